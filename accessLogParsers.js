@@ -0,0 +1,245 @@
+const moment = require('moment');
+const { getSourceSettings } = require('./sourceSettings');
+
+/**
+ * Parsers for AWS access log formats delivered to S3. Each parser is created
+ * per file (CloudFront reads its column layout from the #Fields header) and
+ * exposes parse(line), which returns:
+ *   - a normalized record { timestamp, status, durationMs, ... } for data lines
+ *   - null for header/comment lines that should be skipped
+ *   - undefined when the line doesn't fit the format (caller falls back to text)
+ */
+
+const FORMATS = ['alb', 'cloudfront', 's3-access', 'vpc-flow', 'text'];
+
+/**
+ * Split a line on spaces, keeping "quoted" and [bracketed] values together
+ */
+function tokenize(line) {
+  const tokens = [];
+  const pattern = /"((?:[^"\\]|\\.)*)"|\[([^\]]*)\]|(\S+)/g;
+  let match;
+  while ((match = pattern.exec(line)) !== null) {
+    tokens.push(match[1] !== undefined ? match[1] : (match[2] !== undefined ? match[2] : match[3]));
+  }
+  return tokens;
+}
+
+/**
+ * Parse an HTTP status token, ignoring "-" and CloudFront's 000 (client aborted)
+ */
+function parseStatus(value) {
+  const status = parseInt(value, 10);
+  return status >= 100 && status <= 599 ? status : undefined;
+}
+
+/**
+ * Convert a seconds value to milliseconds, treating ALB's -1 as missing
+ */
+function secondsToMs(value) {
+  const seconds = parseFloat(value);
+  return Number.isFinite(seconds) && seconds >= 0 ? seconds * 1000 : undefined;
+}
+
+/**
+ * Build the normalized HTTP record shared by ALB, CloudFront and S3 access logs
+ */
+function httpRecord(timestamp, status, durationMs, extra = {}) {
+  return {
+    timestamp,
+    status,
+    durationMs,
+    isError: status >= 500,
+    isClientError: status >= 400 && status < 500,
+    ...extra
+  };
+}
+
+/**
+ * Application Load Balancer access logs
+ * type time elb client:port target:port request_processing_time target_processing_time
+ * response_processing_time elb_status_code target_status_code received_bytes sent_bytes "request" ...
+ */
+function createAlbParser() {
+  return {
+    format: 'alb',
+    parse(line) {
+      const tokens = tokenize(line);
+      if (tokens.length < 13 || !/^\d{4}-\d{2}-\d{2}T/.test(tokens[1])) {
+        return undefined;
+      }
+
+      const requestProcessingMs = secondsToMs(tokens[5]);
+      const targetProcessingMs = secondsToMs(tokens[6]);
+      const responseProcessingMs = secondsToMs(tokens[7]);
+      const parts = [requestProcessingMs, targetProcessingMs, responseProcessingMs];
+
+      return httpRecord(
+        new Date(tokens[1]).toISOString(),
+        parseStatus(tokens[8]),
+        parts.every(part => part !== undefined) ? parts.reduce((a, b) => a + b) : undefined,
+        {
+          targetStatus: parseStatus(tokens[9]),
+          requestProcessingMs,
+          targetProcessingMs,
+          responseProcessingMs,
+          request: tokens[12]
+        }
+      );
+    }
+  };
+}
+
+/**
+ * CloudFront standard (tab separated) logs, laid out by the #Fields header
+ */
+function createCloudFrontParser() {
+  // Default layout of the standard log, used until a #Fields header is seen
+  let fields = ['date', 'time', 'x-edge-location', 'sc-bytes', 'c-ip', 'cs-method', 'cs(Host)',
+    'cs-uri-stem', 'sc-status', 'cs(Referer)', 'cs(User-Agent)', 'cs-uri-query', 'cs(Cookie)',
+    'x-edge-result-type', 'x-edge-request-id', 'x-host-header', 'cs-protocol', 'cs-bytes', 'time-taken'];
+
+  return {
+    format: 'cloudfront',
+    parse(line) {
+      if (line.startsWith('#')) {
+        if (line.startsWith('#Fields:')) {
+          fields = line.substring('#Fields:'.length).trim().split(/\s+/);
+        }
+        return null;
+      }
+
+      const values = line.split('\t');
+      if (values.length < 9) {
+        return undefined;
+      }
+      const field = name => values[fields.indexOf(name)];
+
+      const timestamp = new Date(`${field('date')}T${field('time')}Z`);
+      if (isNaN(timestamp.getTime())) {
+        return undefined;
+      }
+
+      return httpRecord(
+        timestamp.toISOString(),
+        parseStatus(field('sc-status')),
+        secondsToMs(field('time-taken')),
+        {
+          edgeResultType: field('x-edge-result-type'),
+          request: `${field('cs-method')} ${field('cs-uri-stem')}`
+        }
+      );
+    }
+  };
+}
+
+/**
+ * S3 server access logs
+ * bucket_owner bucket [time] remote_ip requester request_id operation key "request_uri"
+ * http_status error_code bytes_sent object_size total_time turn_around_time ...
+ */
+function createS3AccessParser() {
+  return {
+    format: 's3-access',
+    parse(line) {
+      const tokens = tokenize(line);
+      const timestamp = moment(tokens[2], 'DD/MMM/YYYY:HH:mm:ss Z', true);
+      if (tokens.length < 15 || !timestamp.isValid()) {
+        return undefined;
+      }
+
+      const totalTime = parseFloat(tokens[13]);
+      return httpRecord(
+        timestamp.toISOString(),
+        parseStatus(tokens[9]),
+        Number.isFinite(totalTime) ? totalTime : undefined,
+        {
+          operation: tokens[6],
+          errorCode: tokens[10] !== '-' ? tokens[10] : undefined,
+          request: tokens[8]
+        }
+      );
+    }
+  };
+}
+
+/**
+ * VPC Flow Logs in the default (version 2) format
+ * version account-id interface-id srcaddr dstaddr srcport dstport protocol packets bytes start end action log-status
+ */
+function createVpcFlowParser() {
+  return {
+    format: 'vpc-flow',
+    parse(line) {
+      if (line.startsWith('version ')) {
+        return null;
+      }
+
+      const tokens = line.trim().split(/\s+/);
+      if (tokens.length < 14 || !/^\d+$/.test(tokens[10])) {
+        return undefined;
+      }
+      if (tokens[13] !== 'OK') {
+        // NODATA / SKIPDATA records carry no flow
+        return null;
+      }
+
+      return {
+        timestamp: new Date(parseInt(tokens[10], 10) * 1000).toISOString(),
+        flowAction: tokens[12],
+        bytes: parseInt(tokens[9], 10) || 0,
+        isError: false
+      };
+    }
+  };
+}
+
+const PARSER_FACTORIES = {
+  alb: createAlbParser,
+  cloudfront: createCloudFrontParser,
+  's3-access': createS3AccessParser,
+  'vpc-flow': createVpcFlowParser
+};
+
+/**
+ * Work out the format of an S3 log file: a format configured for the file's
+ * source wins, otherwise the first line is sniffed
+ */
+function detectLogFormat(key, firstLine) {
+  const { format } = getSourceSettings(key);
+  if (format && format !== 'auto') {
+    return format;
+  }
+
+  const line = firstLine.trim();
+  if (line.startsWith('#Version:') || line.startsWith('#Fields:')) {
+    return 'cloudfront';
+  }
+  if (/^(?:http|https|h2|grpcs|ws|wss) \d{4}-\d{2}-\d{2}T\S+ \S+/.test(line)) {
+    return 'alb';
+  }
+  if (/^\S+ \S+ \[\d{2}\/\w{3}\/\d{4}:\d{2}:\d{2}:\d{2} [+-]\d{4}\]/.test(line)) {
+    return 's3-access';
+  }
+  if (/^version account-id interface-id/.test(line) || /^\d+ \S+ eni-[0-9a-f]+ /.test(line)) {
+    return 'vpc-flow';
+  }
+  return 'text';
+}
+
+/**
+ * Create a parser for a format, or null for free text
+ */
+function createAccessLogParser(format) {
+  if (!FORMATS.includes(format)) {
+    throw new Error(`Unknown log format: ${format}`);
+  }
+  return PARSER_FACTORIES[format] ? PARSER_FACTORIES[format]() : null;
+}
+
+module.exports = {
+  FORMATS,
+  tokenize,
+  detectLogFormat,
+  createAccessLogParser
+};
@@ -0,0 +1,419 @@
+const { SNSClient, PublishCommand } = require('@aws-sdk/client-sns');
+const { SESClient, SendEmailCommand } = require('@aws-sdk/client-ses');
+const config = require('./config');
+
+/**
+ * Alert channels deliver one alert to one destination. Every channel exposes:
+ *   name              -> unique name used in delivery results
+ *   send(alert)       -> Promise; resolves when delivered (or with
+ *                        { skipped: reason } when there is nothing to do),
+ *                        rejects with a ChannelError when delivery failed
+ * An alert is { subject, textMessage, htmlMessage, markdownMessage, severity,
+ * alertType, source, routing, timestamp } plus, for incident notifications,
+ * incidents. markdownMessage is optional; chat channels fall back to the text.
+ */
+
+/**
+ * A failed delivery; `retryable` is false when retrying can't help (4xx)
+ */
+class ChannelError extends Error {
+  constructor(message, { statusCode, retryable = true } = {}) {
+    super(message);
+    this.name = 'ChannelError';
+    this.statusCode = statusCode;
+    this.retryable = retryable;
+  }
+}
+
+/**
+ * Raised by AlertService.sendAlert when no channel could deliver an alert
+ */
+class AlertDeliveryError extends Error {
+  constructor(alertType, deliveries) {
+    const failures = deliveries.filter(d => d.status === 'failed');
+    super(`Alert '${alertType}' could not be delivered: ${failures.map(d => `${d.channel} (${d.error})`).join(', ')}`);
+    this.name = 'AlertDeliveryError';
+    this.deliveries = deliveries;
+  }
+}
+
+/**
+ * POST a JSON body, turning network errors and non-2xx responses into
+ * ChannelErrors. Only the host is logged since webhook URLs embed secrets.
+ */
+async function postJson(url, body, options = {}) {
+  const host = new URL(url).host;
+  let response;
+  try {
+    response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...options.headers },
+      body: JSON.stringify(body),
+      signal: AbortSignal.timeout(options.timeoutMs || config.alerts.delivery.timeoutMs)
+    });
+  } catch (error) {
+    throw new ChannelError(`Request to ${host} failed: ${error.message}`);
+  }
+
+  const responseText = await response.text();
+  if (!response.ok) {
+    throw new ChannelError(`HTTP ${response.status} from ${host}: ${responseText.substring(0, 200)}`, {
+      statusCode: response.status,
+      retryable: response.status >= 500 || response.status === 429
+    });
+  }
+  return { statusCode: response.status, body: responseText };
+}
+
+/**
+ * Shorten text to a channel's field limit
+ */
+function truncate(text, maxLength) {
+  return text.length > maxLength ? `${text.substring(0, maxLength - 1)}…` : text;
+}
+
+/**
+ * Convert Markdown from the alert templates to Slack mrkdwn: bold is a single
+ * asterisk, backslash escapes aren't supported and &, < and > must be entities
+ */
+function toSlackMrkdwn(markdown) {
+  const entities = { '&': '&amp;', '<': '&lt;', '>': '&gt;' };
+  return markdown.replace(/\\([\\`*_~[\]#|<>])|\*\*|[&<>]/g, (match, escaped) => {
+    if (escaped) {
+      return entities[escaped] || escaped;
+    }
+    return match === '**' ? '*' : entities[match];
+  });
+}
+
+const SEVERITY_EMOJI = { CRITICAL: '🚨', WARNING: '⚠️', INFO: 'ℹ️' };
+
+/**
+ * Amazon SNS topic; the alert's routing.snsTopicArn overrides the topic
+ */
+class SnsChannel {
+  constructor(options = {}) {
+    this.name = options.name || 'sns';
+    this.topicArn = options.topicArn;
+    this.snsClient = options.snsClient || new SNSClient({ region: config.s3Config.region });
+  }
+
+  async send(alert) {
+    const topicArn = alert.routing.snsTopicArn || this.topicArn || config.alerts.snsTopicArn;
+    if (!topicArn) {
+      return { skipped: 'no SNS topic configured' };
+    }
+
+    const command = new PublishCommand({
+      TopicArn: topicArn,
+      Subject: truncate(`[${alert.severity}] ${alert.subject}`, 100),
+      Message: alert.textMessage,
+      MessageAttributes: {
+        severity: {
+          DataType: 'String',
+          StringValue: alert.severity
+        },
+        timestamp: {
+          DataType: 'String',
+          StringValue: alert.timestamp
+        }
+      }
+    });
+    const result = await this.snsClient.send(command);
+    console.log('SNS alert sent successfully:', result.MessageId);
+    return result;
+  }
+}
+
+/**
+ * Email through Amazon SES; the alert's routing.emailTo overrides the recipients
+ */
+class EmailChannel {
+  constructor(options = {}) {
+    this.name = options.name || 'email';
+    this.recipients = options.recipients;
+    this.sesClient = options.sesClient || new SESClient({ region: config.s3Config.region });
+  }
+
+  async send(alert) {
+    const recipients = alert.routing.emailTo || this.recipients || config.alerts.emailTo;
+    if (!recipients || recipients.length === 0) {
+      return { skipped: 'no email recipients configured' };
+    }
+
+    const command = new SendEmailCommand({
+      Source: config.alerts.emailFrom,
+      Destination: {
+        ToAddresses: recipients
+      },
+      Message: {
+        Subject: {
+          Data: `[${alert.severity}] ${alert.subject}`,
+          Charset: 'UTF-8'
+        },
+        Body: {
+          Html: {
+            Data: alert.htmlMessage,
+            Charset: 'UTF-8'
+          },
+          Text: {
+            Data: alert.textMessage,
+            Charset: 'UTF-8'
+          }
+        }
+      }
+    });
+    const result = await this.sesClient.send(command);
+    console.log('Email alert sent successfully:', result.MessageId);
+    return result;
+  }
+}
+
+/**
+ * Slack incoming webhook, formatted with Block Kit
+ */
+class SlackChannel {
+  constructor(options) {
+    this.name = options.name || 'slack';
+    this.webhookUrl = options.webhookUrl;
+  }
+
+  buildPayload(alert) {
+    return {
+      text: `[${alert.severity}] ${alert.subject}`,
+      blocks: [
+        {
+          type: 'header',
+          text: { type: 'plain_text', text: truncate(`${SEVERITY_EMOJI[alert.severity] || ''} ${alert.subject}`.trim(), 150) }
+        },
+        {
+          type: 'context',
+          elements: [
+            { type: 'mrkdwn', text: `*Severity:* ${alert.severity}` },
+            { type: 'mrkdwn', text: `*Type:* ${alert.alertType}` },
+            { type: 'mrkdwn', text: `*Source:* ${alert.source || 'all sources'}` }
+          ]
+        },
+        {
+          type: 'section',
+          text: {
+            type: 'mrkdwn',
+            text: alert.markdownMessage
+              ? truncate(toSlackMrkdwn(alert.markdownMessage.trim()), 3000)
+              : `\`\`\`${truncate(alert.textMessage.trim(), 2900)}\`\`\``
+          }
+        }
+      ]
+    };
+  }
+
+  async send(alert) {
+    return postJson(this.webhookUrl, this.buildPayload(alert));
+  }
+}
+
+/**
+ * Microsoft Teams incoming webhook (or Workflows URL), sent as an Adaptive Card
+ */
+class TeamsChannel {
+  constructor(options) {
+    this.name = options.name || 'teams';
+    this.webhookUrl = options.webhookUrl;
+  }
+
+  buildPayload(alert) {
+    return {
+      type: 'message',
+      attachments: [{
+        contentType: 'application/vnd.microsoft.card.adaptive',
+        content: {
+          $schema: 'http://adaptivecards.io/schemas/adaptive-card.json',
+          type: 'AdaptiveCard',
+          version: '1.4',
+          body: [
+            {
+              type: 'TextBlock',
+              text: alert.subject,
+              size: 'Medium',
+              weight: 'Bolder',
+              wrap: true,
+              color: alert.severity === 'CRITICAL' ? 'Attention' : alert.severity === 'WARNING' ? 'Warning' : 'Default'
+            },
+            {
+              type: 'FactSet',
+              facts: [
+                { title: 'Severity', value: alert.severity },
+                { title: 'Type', value: alert.alertType },
+                { title: 'Source', value: alert.source || 'all sources' },
+                { title: 'Time', value: alert.timestamp }
+              ]
+            },
+            alert.markdownMessage
+              ? { type: 'TextBlock', text: truncate(alert.markdownMessage.trim(), 20000), wrap: true }
+              : { type: 'TextBlock', text: truncate(alert.textMessage.trim(), 20000), fontType: 'Monospace', wrap: true }
+          ]
+        }
+      }]
+    };
+  }
+
+  async send(alert) {
+    return postJson(this.webhookUrl, this.buildPayload(alert));
+  }
+}
+
+const PAGERDUTY_SEVERITY = { CRITICAL: 'critical', WARNING: 'warning', INFO: 'info' };
+
+/**
+ * PagerDuty Events API v2. Alerts about incidents (see incidentTracker.js)
+ * send one event per incident, keyed by its dedup key, and resolve the
+ * PagerDuty incident when ours resolves. Other alerts (like the summary)
+ * are skipped, as nothing would ever resolve what they trigger. When an
+ * event fails, deliver() retries the alert and only the events PagerDuty
+ * hasn't accepted yet are posted again.
+ */
+class PagerDutyChannel {
+  constructor(options) {
+    this.name = options.name || 'pagerduty';
+    this.routingKey = options.routingKey;
+    this.url = options.url || 'https://events.pagerduty.com/v2/enqueue';
+    // Dedup keys of the events accepted per alert
+    this.accepted = new WeakMap();
+  }
+
+  buildPayload(alert, incident) {
+    if (incident.resolvedAt) {
+      return { routing_key: this.routingKey, event_action: 'resolve', dedup_key: incident.key };
+    }
+
+    return {
+      routing_key: this.routingKey,
+      event_action: 'trigger',
+      dedup_key: incident.key,
+      payload: {
+        summary: truncate(`${incident.source}: ${incident.title}`, 1024),
+        source: alert.source || 'log-analyzer',
+        severity: PAGERDUTY_SEVERITY[incident.severity] || 'warning',
+        timestamp: alert.timestamp,
+        component: 'log-analyzer',
+        group: alert.alertType,
+        custom_details: {
+          details: alert.textMessage.trim()
+        }
+      }
+    };
+  }
+
+  async send(alert) {
+    if (!alert.incidents || alert.incidents.length === 0) {
+      return { skipped: 'not about an incident' };
+    }
+    if (!this.accepted.has(alert)) {
+      this.accepted.set(alert, new Set());
+    }
+    const accepted = this.accepted.get(alert);
+    for (const incident of alert.incidents) {
+      if (!accepted.has(incident.key)) {
+        await postJson(this.url, this.buildPayload(alert, incident));
+        accepted.add(incident.key);
+      }
+    }
+  }
+}
+
+/**
+ * Generic JSON webhook with optional extra headers (e.g. Authorization)
+ */
+class WebhookChannel {
+  constructor(options) {
+    this.name = options.name || 'webhook';
+    this.url = options.url;
+    this.headers = options.headers || {};
+  }
+
+  buildPayload(alert) {
+    return {
+      subject: alert.subject,
+      severity: alert.severity,
+      alertType: alert.alertType,
+      source: alert.source || null,
+      timestamp: alert.timestamp,
+      text: alert.textMessage,
+      html: alert.htmlMessage,
+      markdown: alert.markdownMessage
+    };
+  }
+
+  async send(alert) {
+    return postJson(this.url, this.buildPayload(alert), { headers: this.headers });
+  }
+}
+
+const CHANNEL_TYPES = {
+  sns: SnsChannel,
+  email: EmailChannel,
+  slack: SlackChannel,
+  teams: TeamsChannel,
+  pagerduty: PagerDutyChannel,
+  webhook: WebhookChannel
+};
+
+/**
+ * Create a channel from a config.alerts.channels entry ({ type, name, ... })
+ */
+function createChannel(definition, clients = {}) {
+  const Channel = CHANNEL_TYPES[definition.type];
+  if (!Channel) {
+    throw new Error(`Unknown alert channel type: ${definition.type}`);
+  }
+  return new Channel({ ...clients, ...definition });
+}
+
+/**
+ * Create every configured channel
+ */
+function createChannels(definitions = config.alerts.channels, clients = {}) {
+  return definitions.map(definition => createChannel(definition, clients));
+}
+
+/**
+ * Deliver an alert to one channel, retrying retryable failures with
+ * exponential backoff. Never throws; returns the channel's delivery result.
+ */
+async function deliver(channel, alert, options = config.alerts.delivery) {
+  let attempts = 0;
+
+  for (;;) {
+    attempts++;
+    try {
+      const response = await channel.send(alert);
+      if (response && response.skipped) {
+        return { channel: channel.name, status: 'skipped', reason: response.skipped, attempts };
+      }
+      return { channel: channel.name, status: 'sent', attempts };
+    } catch (error) {
+      if (error.retryable === false || attempts > options.retries) {
+        return { channel: channel.name, status: 'failed', attempts, error: error.message };
+      }
+      console.log(`Alert delivery to ${channel.name} failed (${error.message}), retrying`);
+      await new Promise(resolve => setTimeout(resolve, options.retryDelayMs * 2 ** (attempts - 1)));
+    }
+  }
+}
+
+module.exports = {
+  ChannelError,
+  AlertDeliveryError,
+  SnsChannel,
+  EmailChannel,
+  SlackChannel,
+  TeamsChannel,
+  PagerDutyChannel,
+  WebhookChannel,
+  CHANNEL_TYPES,
+  postJson,
+  toSlackMrkdwn,
+  createChannel,
+  createChannels,
+  deliver
+};
@@ -0,0 +1,100 @@
+const config = require('./config');
+
+/**
+ * Routing rules decide which channels (and recipients) receive an alert.
+ * config.alerts.routes is an ordered list; the first rule whose `match`
+ * accepts the alert wins, otherwise config.alerts.defaultRoute applies:
+ *   { name, match: { severity, alertType, source, metric },
+ *     channels, snsTopicArn, emailTo, quietHours: [{ start, end, timezone, days }] }
+ * Every match field is a list and is optional; an alert matches a field when
+ * any entry accepts it (source and metric entries are regular expressions).
+ */
+
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+/**
+ * Whether a rule's match accepts an alert ({ severity, alertType, source, metrics })
+ */
+function matchesRule(match = {}, alert) {
+  if (match.severity && !match.severity.includes(alert.severity)) {
+    return false;
+  }
+  if (match.alertType && !match.alertType.includes(alert.alertType)) {
+    return false;
+  }
+  if (match.source && !(alert.source && match.source.some(pattern => pattern.test(alert.source)))) {
+    return false;
+  }
+  if (match.metric && !(alert.metrics || []).some(metric => match.metric.some(pattern => pattern.test(metric)))) {
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Local weekday and minute of the day of a date in a time zone
+ */
+function localTime(date, timezone = 'UTC') {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone, weekday: 'short', hour: '2-digit', minute: '2-digit', hourCycle: 'h23' })
+      .formatToParts(date)
+      .map(part => [part.type, part.value])
+  );
+  return {
+    day: parts.weekday.toLowerCase(),
+    minutes: Number(parts.hour) * 60 + Number(parts.minute)
+  };
+}
+
+/**
+ * Minutes since midnight of an "HH:MM" time
+ */
+function parseTimeOfDay(value) {
+  const [hours, minutes] = value.split(':').map(Number);
+  return hours * 60 + minutes;
+}
+
+/**
+ * Whether a date falls inside any of the quiet hour windows. A window whose
+ * end is before its start runs overnight; `days` limits the window to the
+ * given local weekdays.
+ */
+function isInQuietHours(quietHours = [], date = new Date()) {
+  return quietHours.some(window => {
+    const { day, minutes } = localTime(date, window.timezone);
+    if (window.days && !window.days.includes(day)) {
+      return false;
+    }
+
+    const start = parseTimeOfDay(window.start);
+    const end = parseTimeOfDay(window.end);
+    return start <= end
+      ? minutes >= start && minutes < end
+      : minutes >= start || minutes < end;
+  });
+}
+
+/**
+ * Resolve the route for an alert. Returns the route's name, the channel
+ * names to deliver to (undefined for every channel), recipient overrides and
+ * whether the alert falls in the route's quiet hours.
+ */
+function resolveRoute(alert, now = new Date(), routes = config.alerts.routes, defaultRoute = config.alerts.defaultRoute) {
+  const rule = routes.find(candidate => matchesRule(candidate.match, alert));
+  const route = rule || defaultRoute || {};
+
+  return {
+    name: rule ? rule.name || `routes[${routes.indexOf(rule)}]` : 'default',
+    channels: route.channels,
+    snsTopicArn: route.snsTopicArn,
+    emailTo: route.emailTo,
+    quiet: isInQuietHours(route.quietHours, now)
+  };
+}
+
+module.exports = {
+  WEEKDAYS,
+  matchesRule,
+  isInQuietHours,
+  resolveRoute
+};
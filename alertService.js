@@ -1,211 +1,205 @@
-const { SNSClient, PublishCommand } = require('@aws-sdk/client-sns');
-const { SESClient, SendEmailCommand } = require('@aws-sdk/client-ses');
+const { SNSClient } = require('@aws-sdk/client-sns');
+const { SESClient } = require('@aws-sdk/client-ses');
 const config = require('./config');
+const { groupErrors } = require('./errorFingerprint');
+const { AlertDeliveryError, createChannels, deliver } = require('./alertChannels');
+const { resolveRoute } = require('./alertRouter');
+const { renderAlert } = require('./alertTemplates');
 
 class AlertService {
-  constructor() {
+  constructor(options = {}) {
     this.snsClient = new SNSClient({ region: config.s3Config.region });
     this.sesClient = new SESClient({ region: config.s3Config.region });
-    this.lastAlertTimes = new Map();
+    this.channels = options.channels || createChannels(config.alerts.channels, {
+      snsClient: this.snsClient,
+      sesClient: this.sesClient
+    });
   }
 
   /**
-   * Check if alert is within cooldown period
+   * Format alert message for errors, grouped by fingerprint. Uses
+   * options.errorGroups when given, otherwise groups the errors passed in;
+   * options.totalEvents adds the error rate and options.peakWindow
+   * ({ start, end, errors }) the busiest window.
    */
-  isInCooldown(alertType) {
-    const lastAlertTime = this.lastAlertTimes.get(alertType);
-    if (!lastAlertTime) return false;
-
-    const cooldownMs = config.alerts.alertCooldown * 60 * 1000;
-    return (Date.now() - lastAlertTime) < cooldownMs;
+  formatErrorAlert(errors, timeWindow, options = {}) {
+    const errorCount = options.totalCount || errors.length;
+    const groups = options.errorGroups || groupErrors(errors);
+    const countFor = group => (options.source ? group.sourceCounts[options.source] || 0 : group.count);
+
+    return renderAlert('error', {
+      source: options.source,
+      errorCount,
+      errorRate: options.totalEvents ? `${((errorCount / options.totalEvents) * 100).toFixed(2)}% of ${options.totalEvents} events` : null,
+      timeWindow,
+      peakWindow: options.peakWindow,
+      uniqueErrors: groups.length,
+      topErrors: groups.slice(0, 10).map(g => ({
+        count: countFor(g),
+        pattern: g.pattern,
+        sources: g.sources,
+        sourceList: g.sources.join(', '),
+        firstSeen: g.firstSeen,
+        lastSeen: g.lastSeen,
+        sample: g.sample
+      })),
+      moreErrors: Math.max(groups.length - 10, 0)
+    });
   }
 
   /**
-   * Record alert time for cooldown tracking
+   * Describe a single violation in one line
    */
-  recordAlert(alertType) {
-    this.lastAlertTimes.set(alertType, Date.now());
+  formatViolation(v) {
+    const unit = v.unit ? ` ${v.unit}` : '';
+    if (v.type === 'anomaly') {
+      return `${v.metric}: ${v.value}${unit} ${v.comparison} ${v.baseline}${unit} (z-score ${v.zScore} over ${v.baselineSamples} ${v.method} runs)`;
+    }
+    if (v.metric === 'Log Volume Drop') {
+      return `${v.metric}: ${v.value}% (${v.previousVolume} to ${v.volume} events) ${v.comparison} ${v.threshold}%`;
+    }
+    const window = v.windowStart ? ` (peak window ${v.windowStart} to ${v.windowEnd})` : '';
+    const lookback = v.lookbackMinutes ? ` in the last ${v.lookbackMinutes} minutes` : '';
+    return `${v.metric}: ${v.value} ${v.comparison} ${v.threshold} ${v.unit || ''}${window}${lookback}`;
   }
 
   /**
-   * Send SNS notification
+   * Template view of a violation
    */
-  async sendSNSAlert(subject, message, severity = 'WARNING') {
-    try {
-      if (!config.alerts.snsTopicArn) {
-        console.log('SNS Topic ARN not configured, skipping SNS alert');
-        return;
-      }
-
-      const params = {
-        TopicArn: config.alerts.snsTopicArn,
-        Subject: `[${severity}] ${subject}`,
-        Message: message,
-        MessageAttributes: {
-          severity: {
-            DataType: 'String',
-            StringValue: severity
-          },
-          timestamp: {
-            DataType: 'String',
-            StringValue: new Date().toISOString()
-          }
-        }
-      };
-
-      const command = new PublishCommand(params);
-      const result = await this.snsClient.send(command);
-      console.log('SNS alert sent successfully:', result.MessageId);
-      return result;
-    } catch (error) {
-      console.error('Failed to send SNS alert:', error);
-      throw error;
-    }
+  violationView(v) {
+    return {
+      description: this.formatViolation(v),
+      metric: v.metric,
+      window: v.windowStart ? `${v.windowStart} to ${v.windowEnd}` : null,
+      value: v.value,
+      unit: v.unit || '',
+      limit: v.type === 'anomaly' ? `baseline ${v.baseline} ${v.unit || ''} (z-score ${v.zScore})` : `${v.threshold} ${v.unit || ''}`,
+      comparison: v.comparison
+    };
   }
 
   /**
-   * Send email alert using SES
+   * Format alert message for threshold violations
    */
-  async sendEmailAlert(subject, htmlBody, textBody, severity = 'WARNING') {
-    try {
-      const params = {
-        Source: config.alerts.emailFrom,
-        Destination: {
-          ToAddresses: config.alerts.emailTo
-        },
-        Message: {
-          Subject: {
-            Data: `[${severity}] ${subject}`,
-            Charset: 'UTF-8'
-          },
-          Body: {
-            Html: {
-              Data: htmlBody,
-              Charset: 'UTF-8'
-            },
-            Text: {
-              Data: textBody,
-              Charset: 'UTF-8'
-            }
-          }
-        }
-      };
-
-      const command = new SendEmailCommand(params);
-      const result = await this.sesClient.send(command);
-      console.log('Email alert sent successfully:', result.MessageId);
-      return result;
-    } catch (error) {
-      console.error('Failed to send email alert:', error);
-      throw error;
-    }
+  formatThresholdAlert(violations) {
+    return renderAlert('threshold', {
+      violations: violations.map(v => this.violationView(v)),
+      timestamp: new Date().toISOString()
+    });
   }
 
   /**
-   * Format alert message for errors
+   * Format the run summary. `incidents` ({ opened, ongoing, resolved }
+   * counts) is optional.
    */
-  formatErrorAlert(errors, timeWindow) {
-    const errorCount = errors.length;
-    const uniqueErrors = [...new Set(errors.map(e => e.message))];
-
-    const subject = `${errorCount} errors detected in the last ${timeWindow} minutes`;
-
-    const textMessage = `
-Error Alert Summary:
-==================
-Total Errors: ${errorCount}
-Time Window: ${timeWindow} minutes
-Unique Error Types: ${uniqueErrors.length}
-
-Recent Errors:
-${errors.slice(0, 10).map(e => `- ${e.timestamp}: ${e.message}`).join('\n')}
-
-${errorCount > 10 ? `... and ${errorCount - 10} more errors` : ''}
-`;
-
-    const htmlMessage = `
-<html>
-<body>
-  <h2>🚨 Error Alert Summary</h2>
-  <table border="1" style="border-collapse: collapse;">
-    <tr><td><strong>Total Errors:</strong></td><td>${errorCount}</td></tr>
-    <tr><td><strong>Time Window:</strong></td><td>${timeWindow} minutes</td></tr>
-    <tr><td><strong>Unique Error Types:</strong></td><td>${uniqueErrors.length}</td></tr>
-  </table>
-  
-  <h3>Recent Errors:</h3>
-  <ul>
-    ${errors.slice(0, 10).map(e => `<li><strong>${e.timestamp}:</strong> ${e.message}</li>`).join('')}
-    ${errorCount > 10 ? `<li><em>... and ${errorCount - 10} more errors</em></li>` : ''}
-  </ul>
-</body>
-</html>`;
-
-    return { subject, textMessage, htmlMessage };
+  formatSummaryAlert(results, incidents) {
+    const { summary, violations } = results;
+    const errorGroups = results.errorGroups || [];
+
+    return renderAlert('summary', {
+      timestamp: results.timestamp,
+      lookbackMinutes: config.analysis.lookbackMinutes,
+      totalErrors: summary.totalErrors,
+      uniqueErrors: errorGroups.length,
+      totalViolations: summary.totalViolations,
+      incidents,
+      cloudWatchSources: summary.cloudWatchSources,
+      s3Sources: summary.s3Sources,
+      topErrors: errorGroups.slice(0, 5).map(g => ({
+        count: g.count,
+        pattern: g.pattern.substring(0, 100),
+        sourceList: g.sources.join(', ')
+      })),
+      violations: violations.map(v => this.violationView(v))
+    });
   }
 
   /**
-   * Format alert message for threshold violations
+   * Format a reminder for incidents that are still ongoing
    */
-  formatThresholdAlert(violations) {
-    const subject = 'Threshold violations detected';
-
-    const textMessage = `
-Threshold Violation Alert:
-========================
-${violations.map(v => `- ${v.metric}: ${v.value} ${v.comparison} ${v.threshold} ${v.unit || ''}`).join('\n')}
-
-Timestamp: ${new Date().toISOString()}
-`;
-
-    const htmlMessage = `
-<html>
-<body>
-  <h2>⚠️ Threshold Violation Alert</h2>
-  <table border="1" style="border-collapse: collapse;">
-    <tr><th>Metric</th><th>Current Value</th><th>Threshold</th><th>Status</th></tr>
-    ${violations.map(v => `
-      <tr>
-        <td>${v.metric}</td>
-        <td>${v.value} ${v.unit || ''}</td>
-        <td>${v.threshold} ${v.unit || ''}</td>
-        <td style="color: red;">${v.comparison}</td>
-      </tr>
-    `).join('')}
-  </table>
-  <p><strong>Timestamp:</strong> ${new Date().toISOString()}</p>
-</body>
-</html>`;
-
-    return { subject, textMessage, htmlMessage };
+  formatIncidentDigest(incidents) {
+    return renderAlert('digest', {
+      countLabel: `${incidents.length} incident${incidents.length === 1 ? '' : 's'}`,
+      incidents,
+      timestamp: new Date().toISOString()
+    });
   }
 
   /**
-   * Send comprehensive alert (both SNS and Email)
+   * Format a notification for incidents of one source that have cleared
    */
-  async sendAlert(alertData, alertType, severity = 'WARNING') {
-    if (this.isInCooldown(alertType)) {
-      console.log(`Alert type '${alertType}' is in cooldown period, skipping`);
-      return;
-    }
-
-    try {
-      const { subject, textMessage, htmlMessage } = alertData;
+  formatResolvedAlert(incidents, source) {
+    return renderAlert('resolved', {
+      countLabel: `${incidents.length} incident${incidents.length === 1 ? '' : 's'}`,
+      source,
+      incidents,
+      timestamp: new Date().toISOString()
+    });
+  }
 
-      // Send SNS alert
-      await this.sendSNSAlert(subject, textMessage, severity);
+  /**
+   * Format the alert about the analyzer itself failing
+   */
+  formatFailureAlert(error) {
+    return renderAlert('failure', {
+      message: error.message,
+      stack: error.stack,
+      timestamp: new Date().toISOString()
+    });
+  }
 
-      // Send email alert
-      await this.sendEmailAlert(subject, htmlMessage, textMessage, severity);
+  /**
+   * Send an alert to the channels its route selects (see alertRouter.js).
+   * Channels are delivered independently, each with its own retries, so one
+   * failing channel never blocks the others. `routing` (a source's alerts
+   * settings) may override the SNS topic (snsTopicArn) and email recipients
+   * (emailTo); a route's own overrides take precedence. alertData.metrics
+   * lists the metrics the alert is about, for routes matching on metric,
+   * and alertData.incidents the incidents it notifies about (see
+   * incidentTracker.js); repeats are throttled there, not here.
+   * Returns the per-channel delivery results and throws an
+   * AlertDeliveryError only when no channel delivered the alert.
+   */
+  async sendAlert(alertData, alertType, severity = 'WARNING', source, routing = {}) {
+    const route = resolveRoute({ alertType, severity, source, metrics: alertData.metrics });
+    if (route.quiet) {
+      console.log(`Alert type '${alertType}' (${severity}) is in quiet hours of route '${route.name}', skipping`);
+      return [];
+    }
 
-      // Record alert time for cooldown
-      this.recordAlert(alertType);
+    const channels = route.channels
+      ? this.channels.filter(channel => route.channels.includes(channel.name))
+      : this.channels;
+    if (channels.length === 0) {
+      console.log(`Route '${route.name}' sends ${severity} '${alertType}' alerts to no channels, skipping`);
+      return [];
+    }
 
-      console.log(`Alert sent successfully for type: ${alertType}`);
-    } catch (error) {
-      console.error(`Failed to send alert for type ${alertType}:`, error);
-      throw error;
+    const alert = {
+      ...alertData,
+      alertType,
+      severity,
+      source,
+      routing: {
+        ...routing,
+        ...(route.snsTopicArn && { snsTopicArn: route.snsTopicArn }),
+        ...(route.emailTo && { emailTo: route.emailTo })
+      },
+      route: route.name,
+      timestamp: new Date().toISOString()
+    };
+    const deliveries = await Promise.all(channels.map(channel => deliver(channel, alert)));
+
+    const failed = deliveries.filter(d => d.status === 'failed');
+    failed.forEach(d => console.error(`Failed to send ${alertType} alert to ${d.channel} after ${d.attempts} attempts: ${d.error}`));
+
+    if (deliveries.some(d => d.status === 'sent')) {
+      console.log(`Alert sent successfully for type: ${alertType}`, deliveries.map(d => `${d.channel}: ${d.status}`).join(', '));
+    } else if (failed.length > 0) {
+      throw new AlertDeliveryError(alertType, deliveries);
     }
+
+    return deliveries;
   }
 }
 
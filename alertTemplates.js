@@ -0,0 +1,333 @@
+const config = require('./config');
+const { render, escapeHtml, escapeMarkdown } = require('./templateEngine');
+
+/**
+ * Default templates for each kind of alert. Every kind renders a subject and
+ * a text, HTML and Markdown body from the view built by AlertService (see
+ * its format* methods for the fields available). Any of them can be
+ * replaced through config.alerts.templates, e.g.
+ *   alerts:
+ *     templates:
+ *       error:
+ *         subject: '[{{source}}] {{errorCount}} errors'
+ * Values are escaped for the body's format; use {{{name}}} to insert one as is.
+ */
+const DEFAULT_TEMPLATES = {
+  error: {
+    subject: '{{errorCount}} errors detected{{#source}} in {{source}}{{/source}} in the last {{timeWindow}} minutes',
+    text: `Error Alert Summary:
+==================
+{{#source}}
+Source: {{source}}
+{{/source}}
+Total Errors: {{errorCount}}{{#errorRate}} ({{errorRate}}){{/errorRate}}
+Time Window: {{timeWindow}} minutes
+{{#peakWindow}}
+Peak Window: {{errors}} errors from {{start}} to {{end}}
+{{/peakWindow}}
+Unique Error Types: {{uniqueErrors}}
+
+Top Errors:
+{{#topErrors}}
+- [{{count}}x] {{pattern}}
+    Sources: {{sourceList}}
+    First seen: {{firstSeen}}, last seen: {{lastSeen}}
+    Sample: {{sample}}
+{{/topErrors}}
+{{#moreErrors}}
+
+... and {{moreErrors}} more error types
+{{/moreErrors}}
+`,
+    html: `<html>
+<body>
+  <h2>🚨 Error Alert Summary</h2>
+  <table border="1" style="border-collapse: collapse;">
+    {{#source}}<tr><td><strong>Source:</strong></td><td>{{source}}</td></tr>{{/source}}
+    <tr><td><strong>Total Errors:</strong></td><td>{{errorCount}}{{#errorRate}} ({{errorRate}}){{/errorRate}}</td></tr>
+    <tr><td><strong>Time Window:</strong></td><td>{{timeWindow}} minutes</td></tr>
+    {{#peakWindow}}<tr><td><strong>Peak Window:</strong></td><td>{{errors}} errors from {{start}} to {{end}}</td></tr>{{/peakWindow}}
+    <tr><td><strong>Unique Error Types:</strong></td><td>{{uniqueErrors}}</td></tr>
+  </table>
+
+  <h3>Top Errors:</h3>
+  <table border="1" style="border-collapse: collapse;">
+    <tr><th>Count</th><th>Error</th><th>Sources</th><th>First Seen</th><th>Last Seen</th></tr>
+    {{#topErrors}}
+    <tr><td>{{count}}</td><td>{{pattern}}<br><small>{{sample}}</small></td><td>{{#sources}}{{.}}<br>{{/sources}}</td><td>{{firstSeen}}</td><td>{{lastSeen}}</td></tr>
+    {{/topErrors}}
+  </table>
+  {{#moreErrors}}<p><em>... and {{moreErrors}} more error types</em></p>{{/moreErrors}}
+</body>
+</html>
+`,
+    markdown: `**🚨 Error Alert Summary**
+
+{{#source}}
+- **Source:** {{source}}
+{{/source}}
+- **Total Errors:** {{errorCount}}{{#errorRate}} ({{errorRate}}){{/errorRate}}
+- **Time Window:** {{timeWindow}} minutes
+{{#peakWindow}}
+- **Peak Window:** {{errors}} errors from {{start}} to {{end}}
+{{/peakWindow}}
+- **Unique Error Types:** {{uniqueErrors}}
+
+**Top Errors**
+
+{{#topErrors}}
+- **{{count}}x** {{pattern}}
+  - Sources: {{sourceList}}
+  - First seen {{firstSeen}}, last seen {{lastSeen}}
+  - Sample: {{sample}}
+{{/topErrors}}
+{{#moreErrors}}
+
+_... and {{moreErrors}} more error types_
+{{/moreErrors}}
+`
+  },
+
+  threshold: {
+    subject: 'Threshold violations detected',
+    text: `Threshold Violation Alert:
+========================
+{{#violations}}
+- {{description}}
+{{/violations}}
+
+Timestamp: {{timestamp}}
+`,
+    html: `<html>
+<body>
+  <h2>⚠️ Threshold Violation Alert</h2>
+  <table border="1" style="border-collapse: collapse;">
+    <tr><th>Metric</th><th>Current Value</th><th>Threshold</th><th>Status</th></tr>
+    {{#violations}}
+    <tr>
+      <td>{{metric}}{{#window}}<br><small>{{window}}</small>{{/window}}</td>
+      <td>{{value}} {{unit}}</td>
+      <td>{{limit}}</td>
+      <td style="color: red;">{{comparison}}</td>
+    </tr>
+    {{/violations}}
+  </table>
+  <p><strong>Timestamp:</strong> {{timestamp}}</p>
+</body>
+</html>
+`,
+    markdown: `**⚠️ Threshold Violation Alert**
+
+{{#violations}}
+- {{description}}
+{{/violations}}
+
+**Timestamp:** {{timestamp}}
+`
+  },
+
+  summary: {
+    subject: 'Log Analysis Summary - Issues Detected',
+    text: `Log Analysis Summary:
+===================
+Timestamp: {{timestamp}}
+Analysis Window: {{lookbackMinutes}} minutes
+
+Issues Found:
+- Total Errors: {{totalErrors}}
+- Unique Error Types: {{uniqueErrors}}
+- Threshold Violations: {{totalViolations}}
+{{#incidents}}
+- Incidents: {{opened}} opened, {{ongoing}} ongoing, {{resolved}} resolved
+{{/incidents}}
+
+Sources Analyzed:
+- CloudWatch Log Groups: {{cloudWatchSources}}
+- S3 Log Sources: {{s3Sources}}
+{{#topErrors.length}}
+
+Top Errors:
+{{/topErrors.length}}
+{{#topErrors}}
+- [{{count}}x] {{pattern}} ({{sourceList}})
+{{/topErrors}}
+{{#violations.length}}
+
+Threshold Violations:
+{{/violations.length}}
+{{#violations}}
+- {{description}}
+{{/violations}}
+`,
+    html: `<html>
+<body>
+  <h2>📊 Log Analysis Summary</h2>
+  <table border="1" style="border-collapse: collapse;">
+    <tr><td><strong>Timestamp:</strong></td><td>{{timestamp}}</td></tr>
+    <tr><td><strong>Analysis Window:</strong></td><td>{{lookbackMinutes}} minutes</td></tr>
+    <tr><td><strong>Total Errors:</strong></td><td style="color: {{#totalErrors}}red{{/totalErrors}}{{^totalErrors}}green{{/totalErrors}};">{{totalErrors}}</td></tr>
+    <tr><td><strong>Unique Error Types:</strong></td><td>{{uniqueErrors}}</td></tr>
+    <tr><td><strong>Threshold Violations:</strong></td><td style="color: {{#totalViolations}}red{{/totalViolations}}{{^totalViolations}}green{{/totalViolations}};">{{totalViolations}}</td></tr>
+    {{#incidents}}<tr><td><strong>Incidents:</strong></td><td>{{opened}} opened, {{ongoing}} ongoing, {{resolved}} resolved</td></tr>{{/incidents}}
+    <tr><td><strong>CloudWatch Sources:</strong></td><td>{{cloudWatchSources}}</td></tr>
+    <tr><td><strong>S3 Sources:</strong></td><td>{{s3Sources}}</td></tr>
+  </table>
+  {{#topErrors.length}}
+
+  <h3>Top Errors:</h3>
+  <ul>
+    {{#topErrors}}<li><strong>{{count}}x</strong> {{pattern}} <em>({{sourceList}})</em></li>{{/topErrors}}
+  </ul>
+  {{/topErrors.length}}
+  {{#violations.length}}
+
+  <h3>Threshold Violations:</h3>
+  <ul>
+    {{#violations}}<li>{{description}}</li>{{/violations}}
+  </ul>
+  {{/violations.length}}
+</body>
+</html>
+`,
+    markdown: `**📊 Log Analysis Summary**
+
+- **Timestamp:** {{timestamp}}
+- **Analysis Window:** {{lookbackMinutes}} minutes
+- **Total Errors:** {{totalErrors}}
+- **Unique Error Types:** {{uniqueErrors}}
+- **Threshold Violations:** {{totalViolations}}
+{{#incidents}}
+- **Incidents:** {{opened}} opened, {{ongoing}} ongoing, {{resolved}} resolved
+{{/incidents}}
+- **Sources:** {{cloudWatchSources}} CloudWatch, {{s3Sources}} S3
+{{#topErrors.length}}
+
+**Top Errors**
+
+{{/topErrors.length}}
+{{#topErrors}}
+- **{{count}}x** {{pattern}} ({{sourceList}})
+{{/topErrors}}
+{{#violations.length}}
+
+**Threshold Violations**
+
+{{/violations.length}}
+{{#violations}}
+- {{description}}
+{{/violations}}
+`
+  },
+
+  digest: {
+    subject: '{{countLabel}} still ongoing',
+    text: `Ongoing Incidents:
+=================
+{{#incidents}}
+- [{{severity}}] {{source}}: {{title}}
+    open since {{openedAt}}, seen in {{runs}} runs
+{{/incidents}}
+
+Timestamp: {{timestamp}}
+`,
+    html: `<html>
+<body>
+  <h2>🔁 Ongoing Incidents</h2>
+  <table border="1" style="border-collapse: collapse;">
+    <tr><th>Severity</th><th>Source</th><th>Issue</th><th>Open Since</th><th>Runs</th></tr>
+    {{#incidents}}
+    <tr><td>{{severity}}</td><td>{{source}}</td><td>{{title}}</td><td>{{openedAt}}</td><td>{{runs}}</td></tr>
+    {{/incidents}}
+  </table>
+  <p><strong>Timestamp:</strong> {{timestamp}}</p>
+</body>
+</html>
+`,
+    markdown: `**🔁 Ongoing Incidents**
+
+{{#incidents}}
+- **{{severity}}** {{source}}: {{title}} (open since {{openedAt}}, seen in {{runs}} runs)
+{{/incidents}}
+
+**Timestamp:** {{timestamp}}
+`
+  },
+
+  resolved: {
+    subject: '{{countLabel}} resolved{{#source}} in {{source}}{{/source}}',
+    text: `Resolved Incidents:
+==================
+{{#incidents}}
+- [{{severity}}] {{title}}
+    open from {{openedAt}} to {{lastSeenAt}}, not seen for {{missedRuns}} runs
+{{/incidents}}
+
+Timestamp: {{timestamp}}
+`,
+    html: `<html>
+<body>
+  <h2>✅ Resolved Incidents</h2>
+  <table border="1" style="border-collapse: collapse;">
+    <tr><th>Severity</th><th>Issue</th><th>Opened</th><th>Last Seen</th></tr>
+    {{#incidents}}
+    <tr><td>{{severity}}</td><td>{{title}}</td><td>{{openedAt}}</td><td>{{lastSeenAt}}</td></tr>
+    {{/incidents}}
+  </table>
+  <p><strong>Timestamp:</strong> {{timestamp}}</p>
+</body>
+</html>
+`,
+    markdown: `**✅ Resolved Incidents**
+
+{{#incidents}}
+- **{{severity}}** {{title}} (open from {{openedAt}} to {{lastSeenAt}})
+{{/incidents}}
+
+**Timestamp:** {{timestamp}}
+`
+  },
+
+  failure: {
+    subject: 'Log Analyzer Lambda Function Failed',
+    text: `The log analyzer Lambda function failed with error: {{message}}
+
+Stack trace: {{stack}}
+`,
+    html: `<html>
+<body>
+  <h2>🚨 Critical Alert: Log Analyzer Failed</h2>
+  <p><strong>Error:</strong> {{message}}</p>
+  <p><strong>Timestamp:</strong> {{timestamp}}</p>
+  <pre>{{stack}}</pre>
+</body>
+</html>
+`,
+    markdown: `**🚨 Log Analyzer Failed**
+
+- **Error:** {{message}}
+- **Timestamp:** {{timestamp}}
+`
+  }
+};
+
+const TEMPLATE_FORMATS = ['subject', 'text', 'html', 'markdown'];
+
+/**
+ * Render an alert kind's templates, configured overrides first
+ */
+function renderAlert(kind, view, templates = config.alerts.templates) {
+  const template = { ...DEFAULT_TEMPLATES[kind], ...(templates && templates[kind]) };
+
+  return {
+    subject: render(template.subject, view).replace(/\s+/g, ' ').trim(),
+    textMessage: render(template.text, view),
+    htmlMessage: render(template.html, view, escapeHtml),
+    markdownMessage: render(template.markdown, view, escapeMarkdown)
+  };
+}
+
+module.exports = {
+  DEFAULT_TEMPLATES,
+  TEMPLATE_FORMATS,
+  renderAlert
+};
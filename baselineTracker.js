@@ -0,0 +1,126 @@
+const { createStateStore } = require('./stateStore');
+const { getSourceSettings } = require('./sourceSettings');
+
+/**
+ * Run metrics tracked per monitored source. `direction` says which
+ * deviations matter: fewer errors or faster responses are never a problem.
+ */
+const BASELINE_METRICS = [
+  { name: 'errorCount', label: 'Error Count', direction: 'up' },
+  { name: 'volume', label: 'Log Volume', unit: 'events', direction: 'both' },
+  { name: 'avgResponseTime', label: 'Average Response Time', unit: 'ms', direction: 'up' },
+  { name: 'p95ResponseTime', label: 'P95 Response Time', unit: 'ms', direction: 'up' }
+];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Keeps a rolling history of per-source run metrics and flags runs that
+ * deviate from it, either against every recent run (z-score) or only against
+ * runs at the same hour of the same weekday (seasonal)
+ */
+class BaselineTracker {
+  constructor(options = {}) {
+    this.historyStore = options.historyStore || createStateStore('metric-history');
+  }
+
+  /**
+   * Compare this run's samples ({ source: { errorCount, volume, ... } }) with
+   * the stored history, then append them to it. Returns anomaly violations.
+   */
+  async checkAndRecord(samples, now = new Date()) {
+    const state = await this.historyStore.read();
+    const history = state.sources || {};
+    const violations = [];
+    let historyDays = 0;
+
+    for (const [source, sample] of Object.entries(samples)) {
+      const settings = getSourceSettings(source).baseline;
+      if (!settings.enabled) {
+        continue;
+      }
+      historyDays = Math.max(historyDays, settings.historyDays);
+
+      violations.push(...this.findAnomalies(source, sample, history[source] || [], settings, now));
+      history[source] = [...(history[source] || []), { timestamp: now.toISOString(), ...sample }];
+    }
+
+    if (historyDays === 0) {
+      return violations;
+    }
+
+    // Drop runs older than the retention period, and sources with none left
+    for (const [source, runs] of Object.entries(history)) {
+      const cutoff = now.getTime() - getSourceSettings(source).baseline.historyDays * DAY_MS;
+      const kept = runs.filter(run => Date.parse(run.timestamp) >= cutoff);
+      if (kept.length > 0) {
+        history[source] = kept;
+      } else {
+        delete history[source];
+      }
+    }
+
+    await this.historyStore.write({ sources: history, updatedAt: now.toISOString() });
+    return violations;
+  }
+
+  /**
+   * Flag each metric of a sample whose z-score against the baseline runs
+   * exceeds the configured threshold
+   */
+  findAnomalies(source, sample, runs, settings, now) {
+    const baselineRuns = settings.method === 'seasonal'
+      ? runs.filter(run => isSameHourOfWeek(new Date(run.timestamp), now))
+      : runs;
+    const violations = [];
+
+    for (const metric of BASELINE_METRICS) {
+      const value = sample[metric.name];
+      const values = baselineRuns.map(run => run[metric.name]).filter(v => typeof v === 'number');
+      if (typeof value !== 'number' || values.length < settings.minSamples) {
+        continue;
+      }
+
+      const mean = values.reduce((a, b) => a + b) / values.length;
+      const stdDev = Math.sqrt(values.reduce((sum, v) => sum + (v - mean) ** 2, 0) / values.length);
+      // Floor the spread so a flat history (say, always 0 errors) doesn't
+      // turn the smallest change into an enormous z-score
+      const spread = Math.max(stdDev, Math.abs(mean) * 0.1, 1);
+      const zScore = (value - mean) / spread;
+
+      const deviates = metric.direction === 'up'
+        ? zScore > settings.zScoreThreshold
+        : Math.abs(zScore) > settings.zScoreThreshold;
+      if (!deviates) {
+        continue;
+      }
+
+      violations.push({
+        type: 'anomaly',
+        metric: `${metric.label} Anomaly`,
+        value: Math.round(value),
+        baseline: Math.round(mean),
+        stdDev: Math.round(stdDev),
+        zScore: Number(zScore.toFixed(1)),
+        threshold: settings.zScoreThreshold,
+        comparison: zScore > 0 ? 'above baseline' : 'below baseline',
+        unit: metric.unit,
+        method: settings.method,
+        baselineSamples: values.length,
+        severity: Math.abs(zScore) > settings.zScoreThreshold * 2 ? 'CRITICAL' : 'WARNING',
+        source
+      });
+    }
+
+    return violations;
+  }
+}
+
+/**
+ * Whether two dates fall in the same UTC hour of the same weekday
+ */
+function isSameHourOfWeek(a, b) {
+  return a.getUTCDay() === b.getUTCDay() && a.getUTCHours() === b.getUTCHours();
+}
+
+module.exports = BaselineTracker;
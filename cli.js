@@ -0,0 +1,320 @@
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const config = require('./config');
+const LogAnalyzer = require('./logAnalyzer');
+const AlertService = require('./alertService');
+const IncidentTracker = require('./incidentTracker');
+const { MemoryStateStore } = require('./stateStore');
+const { loadConfig, ConfigValidationError } = require('./configLoader');
+const { getEventVolume } = require('./errorRate');
+const { processAnalysisResults } = require('./index');
+
+const USAGE = `Usage: log-analyzer [options] [path ...]
+
+Analyze local log files, directories (read recursively), gzipped files or
+stdin ("-", or no paths when input is piped) with the analyzer's pipeline.
+
+Options:
+  -c, --config <file>   Configuration file to load (default: $CONFIG_PATH)
+  -s, --source <name>   Analyze the input as this source: a log group name, or
+                        an S3 prefix ending in "/" that file names are added to
+  -f, --format <fmt>    Output format: table (default) or json
+      --dry-run         Render the alerts that would be sent instead of sending them
+  -v, --verbose         Show the analyzer's log output on stderr
+  -h, --help            Show this help
+`;
+
+const OPTIONS = {
+  config: { type: 'string', short: 'c' },
+  source: { type: 'string', short: 's' },
+  format: { type: 'string', short: 'f', default: 'table' },
+  'dry-run': { type: 'boolean' },
+  verbose: { type: 'boolean', short: 'v' },
+  help: { type: 'boolean', short: 'h' }
+};
+
+/**
+ * Raised for invalid command lines; reported with the usage text
+ */
+class UsageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'UsageError';
+  }
+}
+
+/**
+ * AlertService that records every alert it is asked to send
+ */
+class RecordingAlertService extends AlertService {
+  constructor(options) {
+    super(options);
+    this.sent = [];
+  }
+
+  async sendAlert(alertData, alertType, severity, source, routing) {
+    const deliveries = await super.sendAlert(alertData, alertType, severity, source, routing);
+    this.sent.push({ alertType, severity, source, alert: alertData, deliveries });
+    return deliveries;
+  }
+}
+
+/**
+ * Channels that accept every alert without sending it, one per configured
+ * channel so routing still decides who would receive what
+ */
+function createDryRunChannels() {
+  return config.alerts.channels.map(definition => ({
+    name: definition.name || definition.type,
+    send: async () => {}
+  }));
+}
+
+/**
+ * List the files of a path, recursing into directories (hidden entries skipped)
+ */
+async function listFiles(inputPath) {
+  const stats = await fs.promises.stat(inputPath);
+  if (!stats.isDirectory()) {
+    return [inputPath];
+  }
+
+  const entries = (await fs.promises.readdir(inputPath, { withFileTypes: true }))
+    .filter(entry => !entry.name.startsWith('.'))
+    .sort((a, b) => a.name.localeCompare(b.name));
+  const files = [];
+  for (const entry of entries) {
+    files.push(...await listFiles(path.join(inputPath, entry.name)));
+  }
+  return files;
+}
+
+/**
+ * Turn the command line paths into analyzer inputs ({ source, open }).
+ * Without --source each file is its own source, named by its path; with a
+ * prefix source (ending in "/") the path below the given directory (or the
+ * file name) is added to it; any other --source name takes every input.
+ */
+async function collectInputs(paths, source, stdin) {
+  const sourceFor = name => {
+    if (!source) return name;
+    return source.endsWith('/') ? `${source}${name}` : source;
+  };
+  const inputs = [];
+
+  for (const inputPath of paths) {
+    if (inputPath === '-') {
+      inputs.push({ source: sourceFor('stdin'), open: () => stdin });
+      continue;
+    }
+
+    let files;
+    try {
+      files = await listFiles(inputPath);
+    } catch (error) {
+      throw new UsageError(`Cannot read ${inputPath}: ${error.code === 'ENOENT' ? 'no such file or directory' : error.message}`);
+    }
+    for (const file of files) {
+      const name = file === inputPath ? path.basename(file) : path.relative(inputPath, file);
+      inputs.push({
+        source: sourceFor(source ? name.split(path.sep).join('/') : file),
+        open: () => fs.createReadStream(file)
+      });
+    }
+  }
+
+  return inputs;
+}
+
+/**
+ * Per-source rows for the report
+ */
+function sourceRows(results, logAnalyzer) {
+  return Object.entries(results.metrics).map(([source, metrics]) => {
+    const volume = getEventVolume(metrics);
+    const responseTimes = metrics.responseTimes || [];
+    return {
+      source,
+      format: metrics.logFormat || 'cloudwatch',
+      events: volume,
+      errors: metrics.errorCount,
+      errorPercent: volume > 0 ? Number(((metrics.errorCount / volume) * 100).toFixed(2)) : 0,
+      avgResponseTime: responseTimes.length > 0 ? Math.round(responseTimes.reduce((a, b) => a + b, 0) / responseTimes.length) : null,
+      p95ResponseTime: responseTimes.length > 0 ? logAnalyzer.calculatePercentile(responseTimes, 95) : null
+    };
+  });
+}
+
+/**
+ * Lay rows out as a plain text table
+ */
+function formatTable(headers, rows, maxWidth = 80) {
+  const cell = value => {
+    const text = value === null || value === undefined ? '-' : String(value).replace(/\s+/g, ' ');
+    return text.length > maxWidth ? `${text.substring(0, maxWidth - 1)}…` : text;
+  };
+  const cells = rows.map(row => row.map(cell));
+  const widths = headers.map((header, i) => Math.max(header.length, ...cells.map(row => row[i].length)));
+  const line = row => row.map((value, i) => value.padEnd(widths[i])).join('  ').trimEnd();
+
+  return [line(headers), line(widths.map(width => '-'.repeat(width))), ...cells.map(line)].join('\n');
+}
+
+/**
+ * Describe where an alert went (or, in a dry run, would go)
+ */
+function deliveryList(deliveries, dryRun) {
+  if (!deliveries || deliveries.length === 0) {
+    return 'not sent (route, quiet hours or no channels)';
+  }
+  return deliveries.map(d => (dryRun ? d.channel : `${d.channel}: ${d.status}`)).join(', ');
+}
+
+/**
+ * Render the report as text tables
+ */
+function formatReport(report, dryRun) {
+  const { summary } = report;
+  const sections = [
+    formatTable(
+      ['SOURCE', 'FORMAT', 'EVENTS', 'ERRORS', 'ERROR %', 'AVG MS', 'P95 MS'],
+      report.sources.map(s => [s.source, s.format, s.events, s.errors, s.errorPercent, s.avgResponseTime, s.p95ResponseTime])
+    )
+  ];
+
+  if (report.errorGroups.length > 0) {
+    sections.push(`Top errors:\n${formatTable(
+      ['COUNT', 'PATTERN', 'SOURCES'],
+      report.errorGroups.slice(0, 20).map(g => [g.count, g.pattern, g.sources.join(', ')])
+    )}`);
+  }
+
+  if (report.violations.length > 0) {
+    sections.push(`Violations:\n${formatTable(
+      ['SEVERITY', 'SOURCE', 'VIOLATION'],
+      report.violations.map(v => [v.severity, v.source, v.description])
+    )}`);
+  }
+
+  if (report.alerts.length > 0) {
+    sections.push(`${dryRun ? 'Alerts (dry run, not sent)' : 'Alerts'}:\n${report.alerts.map(a =>
+      `--- [${a.severity}] ${a.alertType}${a.source ? ` ${a.source}` : ''} -> ${deliveryList(a.deliveries, dryRun)}\nSubject: ${a.subject}\n\n${a.textMessage.trim()}\n`
+    ).join('\n')}`);
+  }
+
+  const suppressed = summary.suppressedErrors ? `, ${summary.suppressedErrors} errors suppressed` : '';
+  const redactions = summary.redactions ? `, ${summary.redactions} values redacted` : '';
+  sections.push(`${summary.totalErrors} errors (${summary.uniqueErrors} unique), ${summary.totalViolations} violations in ${report.sources.length} sources${suppressed}${redactions}`);
+  return `${sections.join('\n\n')}\n`;
+}
+
+/**
+ * Run the CLI. Returns the process exit code: 0 on success, 1 when the
+ * analysis or alert delivery failed and 2 for invalid usage or configuration.
+ */
+async function run(argv, io = { stdin: process.stdin, stdout: process.stdout, stderr: process.stderr }) {
+  let values;
+  let inputs;
+  try {
+    const args = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+    values = args.values;
+    if (values.help) {
+      io.stdout.write(USAGE);
+      return 0;
+    }
+    if (!['table', 'json'].includes(values.format)) {
+      throw new UsageError(`Unknown format "${values.format}", expected table or json`);
+    }
+
+    const paths = args.positionals.length > 0 ? args.positionals : ['-'];
+    if (args.positionals.length === 0 && io.stdin.isTTY) {
+      throw new UsageError('No input: give files or directories, or pipe logs to stdin');
+    }
+
+    await loadConfig({ location: values.config });
+    inputs = await collectInputs(paths, values.source, io.stdin);
+    if (inputs.length === 0) {
+      throw new UsageError('No log files found');
+    }
+  } catch (error) {
+    if (error instanceof ConfigValidationError) {
+      io.stderr.write(`${error.message}\n`);
+      return 2;
+    }
+    // parseArgs reports bad options with ERR_PARSE_ARGS_* codes
+    if (error instanceof UsageError || (error.code && error.code.startsWith('ERR_PARSE_ARGS'))) {
+      io.stderr.write(`log-analyzer: ${error.message}\n\n${USAGE}`);
+      return 2;
+    }
+    throw error;
+  }
+
+  const dryRun = Boolean(values['dry-run']);
+  const logAnalyzer = new LogAnalyzer();
+  const alertService = new RecordingAlertService(dryRun ? { channels: createDryRunChannels() } : {});
+  // A dry run starts from no incidents, so every issue renders its opening alert
+  const incidentTracker = new IncidentTracker(dryRun ? { store: new MemoryStateStore() } : {});
+
+  let results;
+  let exitCode = 0;
+  try {
+    results = await logAnalyzer.analyzeLocalLogs(inputs);
+    const { summaryAlertError } = await processAnalysisResults(results, alertService, incidentTracker);
+    if (summaryAlertError) {
+      io.stderr.write(`log-analyzer: ${summaryAlertError}\n`);
+      exitCode = 1;
+    }
+  } catch (error) {
+    io.stderr.write(`log-analyzer: ${error.message}\n`);
+    if (!results) {
+      return 1;
+    }
+    exitCode = 1;
+  }
+
+  const report = {
+    summary: results.summary,
+    sources: sourceRows(results, logAnalyzer),
+    errorGroups: results.errorGroups,
+    violations: results.violations.map(v => ({ ...v, description: alertService.formatViolation(v) })),
+    alerts: alertService.sent.map(({ alertType, severity, source, alert, deliveries }) => ({
+      alertType,
+      severity,
+      source,
+      subject: alert.subject,
+      textMessage: alert.textMessage,
+      htmlMessage: alert.htmlMessage,
+      markdownMessage: alert.markdownMessage,
+      // Dry-run channels accept every alert; report them as not sent
+      deliveries: (deliveries || []).map(d => (dryRun && d.status === 'sent' ? { ...d, status: 'dry-run' } : d))
+    }))
+  };
+
+  io.stdout.write(values.format === 'json' ? `${JSON.stringify({ dryRun, ...report }, null, 2)}\n` : formatReport(report, dryRun));
+  return exitCode;
+}
+
+/**
+ * Entry point for bin/log-analyzer. The analyzer logs progress with
+ * console.log; it goes to stderr with --verbose and is dropped otherwise so
+ * stdout only carries the report.
+ */
+async function main(argv = process.argv.slice(2)) {
+  const verbose = argv.includes('-v') || argv.includes('--verbose');
+  console.log = verbose ? console.error : () => {};
+
+  try {
+    process.exitCode = await run(argv);
+  } catch (error) {
+    console.error(error);
+    process.exitCode = 1;
+  }
+}
+
+module.exports = {
+  run,
+  main,
+  collectInputs,
+  formatTable
+};
@@ -1,16 +1,61 @@
+/**
+ * Read a numeric environment variable. A value that is not a number is kept
+ * as an { invalidEnv, value } marker so validation in configLoader.js reports
+ * it, rather than silently falling back to the default.
+ */
+function envNumber(name, defaultValue) {
+  const raw = process.env[name];
+  if (raw === undefined || raw.trim() === '') {
+    return defaultValue;
+  }
+
+  const value = Number(raw);
+  return Number.isFinite(value) ? value : { invalidEnv: name, value: raw };
+}
+
 const config = {
-  // CloudWatch Log Groups to monitor
+  // CloudWatch Log Groups to monitor. Entries are names, or objects that
+  // override settings for that group (see sourceSettings.js), e.g.
+  // { name: '/aws/lambda/payments', thresholds: { errorRate: { maxErrors: 0 } } }
   logGroups: [
     '/aws/lambda/my-application',
     '/aws/apigateway/my-api',
     '/aws/ecs/my-service'
   ],
 
+  // Log groups found at run time instead of listed above (see
+  // logGroupDiscovery.js). Sources select groups by name prefix, name
+  // pattern and/or tags and may override settings like logGroups entries, e.g.
+  // { prefix: '/aws/lambda/payments-', thresholds: { errorRate: { maxErrors: 0 } } }
+  // { pattern: /^\/aws\/ecs\/.+-prod$/ } or { prefix: '/aws/lambda/', tags: { team: 'payments' } }
+  logGroupDiscovery: {
+    sources: (process.env.LOG_GROUP_PREFIXES || '').split(',')
+      .map(prefix => prefix.trim())
+      .filter(Boolean)
+      .map(prefix => ({ prefix })),
+    exclude: [], // log group names
+    excludePatterns: [],
+    cacheMinutes: envNumber('LOG_GROUP_DISCOVERY_CACHE_MINUTES', 60)
+  },
+
   // S3 bucket for log files
   s3Config: {
     bucket: process.env.LOG_BUCKET || 'my-log-bucket',
     prefix: process.env.LOG_PREFIX || 'logs/',
-    region: process.env.AWS_REGION || 'us-east-1'
+    region: process.env.AWS_REGION || 'us-east-1',
+    maxFilesPerRun: envNumber('MAX_S3_FILES_PER_RUN', 50),
+    maxFileAgeMinutes: envNumber('MAX_S3_FILE_AGE_MINUTES', 1440),
+    // Start each listing after the last key earlier runs left behind as too
+    // old, rather than at the start of the prefix. Only safe when new keys
+    // always sort after older ones (keys starting with their date); files
+    // arriving late under an earlier key would be skipped.
+    listFromCheckpoint: process.env.S3_LIST_FROM_CHECKPOINT === 'true',
+    // Log format: 'auto' (sniffed from the first line), 'alb', 'cloudfront', 's3-access', 'vpc-flow' or 'text'
+    format: process.env.LOG_FORMAT || 'auto',
+    // S3 sources with per-prefix overrides, longest matching prefix wins, e.g.
+    // { prefix: 'logs/alb/', format: 'alb', thresholds: { responseTime: { maxP95ResponseTime: 2000 } } }
+    // When any are declared, only their prefixes are listed instead of `prefix`.
+    sources: []
   },
 
   // Error patterns to search for
@@ -27,36 +72,170 @@ const config = {
     /504\s+Gateway\s+Timeout/i
   ],
 
+  // Lines matching any of these are never counted as errors
+  ignorePatterns: [],
+
+  // Time-boxed suppressions of known issues, e.g. during an incident or a
+  // deploy window. Matching errors are counted as suppressed, not as errors.
+  // { pattern: /PaymentGateway timeout/, sources: ['/aws/lambda/payments'],
+  //   reason: 'INC-1234 gateway degraded', expires: '2024-05-01T18:00:00Z' }
+  // Without a pattern every error of the listed sources is suppressed.
+  suppressions: [],
+
+  // Structured JSON log parsing; each field lists candidate paths, first match wins.
+  // Lines that are not JSON fall back to errorPatterns and free-text metric extraction.
+  jsonParsing: {
+    enabled: process.env.JSON_PARSING_ENABLED !== 'false',
+    fields: {
+      level: ['level', 'severity', 'log.level', 'levelname'],
+      message: ['message', 'msg', 'errorMessage'],
+      timestamp: ['timestamp', '@timestamp', 'time', 'ts'],
+      duration: ['durationMs', 'latencyMs', 'duration', 'responseTime', 'elapsedMs'],
+      status: ['status', 'statusCode', 'http.status_code', 'res.statusCode'],
+      memory: ['memoryPercent', 'memory.percent']
+    },
+    errorLevels: ['error', 'err', 'fatal', 'critical', 'crit', 'alert', 'emerg', 'emergency']
+  },
+
+  // Sensitive data removed from log messages before they are stored, alerted
+  // or exported (see redactor.js). `patterns` adds custom regexes, or
+  // { name, pattern, replacement } objects, applied after the detectors.
+  redaction: {
+    enabled: process.env.REDACTION_ENABLED !== 'false',
+    detectors: ['bearerToken', 'jwt', 'awsAccessKey', 'awsSecretKey', 'password', 'creditCard', 'email'],
+    patterns: []
+  },
+
   // Threshold configurations
   thresholds: {
     errorRate: {
-      maxErrors: parseInt(process.env.MAX_ERRORS) || 10,
-      timeWindow: parseInt(process.env.TIME_WINDOW_MINUTES) || 15 // minutes
+      maxErrors: envNumber('MAX_ERRORS', 10), // used below minEvents
+      maxErrorPercent: envNumber('MAX_ERROR_PERCENT', 5.0), // errors as % of events
+      minEvents: envNumber('MIN_EVENTS_FOR_ERROR_RATE', 1000),
+      timeWindow: envNumber('TIME_WINDOW_MINUTES', 15) // minutes
     },
     responseTime: {
-      maxAvgResponseTime: parseInt(process.env.MAX_AVG_RESPONSE_TIME) || 5000, // ms
-      maxP95ResponseTime: parseInt(process.env.MAX_P95_RESPONSE_TIME) || 10000 // ms
+      maxAvgResponseTime: envNumber('MAX_AVG_RESPONSE_TIME', 5000), // ms
+      maxP95ResponseTime: envNumber('MAX_P95_RESPONSE_TIME', 10000) // ms
     },
     memoryUsage: {
-      maxMemoryPercent: parseFloat(process.env.MAX_MEMORY_PERCENT) || 85.0
+      maxMemoryPercent: envNumber('MAX_MEMORY_PERCENT', 85.0)
     },
     diskSpace: {
-      maxDiskPercent: parseFloat(process.env.MAX_DISK_PERCENT) || 90.0
+      maxDiskPercent: envNumber('MAX_DISK_PERCENT', 90.0)
+    },
+    httpErrors: {
+      maxClientErrorPercent: envNumber('MAX_CLIENT_ERROR_PERCENT', 20.0)
+    },
+    volume: {
+      minEvents: envNumber('MIN_LOG_EVENTS', 1), // per log group per run; 0 disables
+      minFiles: envNumber('MIN_S3_FILES', 0), // per S3 prefix within its lookback; 0 disables
+      maxDropPercent: envNumber('MAX_VOLUME_DROP_PERCENT', 0) // vs previous run; 0 disables
+    },
+    lambda: {
+      maxTimeouts: envNumber('MAX_LAMBDA_TIMEOUTS', 0),
+      maxRuntimeExits: envNumber('MAX_LAMBDA_RUNTIME_EXITS', 0),
+      maxColdStartPercent: envNumber('MAX_COLD_START_PERCENT', 25.0),
+      maxAvgInitDuration: envNumber('MAX_AVG_INIT_DURATION', 3000) // ms
     }
   },
 
+  // Logs Insights mode (see logsInsights.js), used by log groups that set
+  // `insights: true` or override these settings, e.g.
+  // { name: '/aws/lambda/busy', insights: { timeoutSeconds: 120 } }
+  insights: {
+    query: [
+      'fields @timestamp, @duration, @message like /(?i)(ERROR|FATAL|Exception|failed|timeout)/ as isError',
+      '| stats count(*) as events, sum(isError) as errors, avg(@duration) as avgDuration, pct(@duration, 95) as p95Duration by bin(1m) as bin'
+    ].join('\n'),
+    timeoutSeconds: envNumber('INSIGHTS_QUERY_TIMEOUT_SECONDS', 60),
+    pollIntervalMs: envNumber('INSIGHTS_POLL_INTERVAL_MS', 1000),
+    // Rows a query may return (Logs Insights allows at most 10000); a query
+    // reaching it may have dropped rows, so its group counts as partial
+    limit: envNumber('INSIGHTS_QUERY_LIMIT', 10000)
+  },
+
+  // Fetch only candidate error lines from CloudWatch, with a filter pattern
+  // built from errorPatterns (see filterPattern.js); log groups can also set
+  // their own `filterPattern`. A Logs Insights count query (run with the
+  // insights timeout settings) keeps the event volume accurate.
+  filterPushdown: {
+    enabled: process.env.FILTER_PUSHDOWN === 'true',
+    // Also the source of response times, memory and Lambda invocations,
+    // which the candidate lines alone would skew (Lambda REPORT fields)
+    countQuery: [
+      'stats count(*) as events, avg(@duration) as avgDuration, pct(@duration, 95) as p95Duration,',
+      'avg(@maxMemoryUsed / @memorySize * 100) as avgMemoryPercent, count(@duration) as invocations by bin(1m) as bin'
+    ].join(' ')
+  },
+
+  // Anomaly detection against each source's own history of runs
+  baseline: {
+    enabled: process.env.BASELINE_ENABLED !== 'false',
+    method: process.env.BASELINE_METHOD || 'zscore', // 'zscore' or 'seasonal'
+    zScoreThreshold: envNumber('BASELINE_Z_SCORE', 3.0),
+    minSamples: envNumber('BASELINE_MIN_SAMPLES', 10), // runs needed before flagging
+    historyDays: envNumber('BASELINE_HISTORY_DAYS', 28)
+  },
+
   // Alert configuration
   alerts: {
     snsTopicArn: process.env.SNS_TOPIC_ARN,
     emailFrom: process.env.EMAIL_FROM || 'noreply@company.com',
     emailTo: process.env.EMAIL_TO ? process.env.EMAIL_TO.split(',') : ['admin@company.com'],
-    alertCooldown: parseInt(process.env.ALERT_COOLDOWN_MINUTES) || 30 // minutes
+    alertCooldown: envNumber('ALERT_COOLDOWN_MINUTES', 30), // minutes between reminders for an ongoing incident
+    // Incident lifecycle (see incidentTracker.js): repeats of an ongoing
+    // incident are either sent as a periodic 'digest' or 'suppress'ed
+    incidents: {
+      resolveAfterRuns: envNumber('INCIDENT_RESOLVE_AFTER_RUNS', 2),
+      ongoing: process.env.INCIDENT_ONGOING || 'digest'
+    },
+    // Where alerts are delivered: sns, email, slack, teams, pagerduty, webhook
+    channels: [
+      { type: 'sns' },
+      { type: 'email' },
+      process.env.SLACK_WEBHOOK_URL && { type: 'slack', webhookUrl: process.env.SLACK_WEBHOOK_URL },
+      process.env.TEAMS_WEBHOOK_URL && { type: 'teams', webhookUrl: process.env.TEAMS_WEBHOOK_URL },
+      process.env.PAGERDUTY_ROUTING_KEY && { type: 'pagerduty', routingKey: process.env.PAGERDUTY_ROUTING_KEY },
+      process.env.ALERT_WEBHOOK_URL && { type: 'webhook', url: process.env.ALERT_WEBHOOK_URL }
+    ].filter(Boolean),
+    // Which channels receive which alerts (see alertRouter.js); the default
+    // route, used when no rule matches, delivers to every channel
+    routes: [],
+    defaultRoute: {},
+    // Overrides of the default alert templates, per alert kind and format
+    // (see alertTemplates.js)
+    templates: {},
+    delivery: {
+      retries: envNumber('ALERT_RETRIES', 2),
+      retryDelayMs: envNumber('ALERT_RETRY_DELAY_MS', 500),
+      timeoutMs: envNumber('ALERT_HTTP_TIMEOUT_MS', 5000)
+    }
+  },
+
+  // Persistent state shared between runs (incidents, S3 checkpoint, metric history)
+  state: {
+    type: process.env.STATE_STORE || (process.env.STATE_BUCKET ? 's3' : 'file'),
+    bucket: process.env.STATE_BUCKET,
+    prefix: process.env.STATE_PREFIX || 'log-analyzer/state/',
+    directory: process.env.STATE_DIR || '/tmp/log-analyzer-state'
+  },
+
+  // Full report of each run written to S3 (see reportExporter.js); off
+  // unless a bucket is set
+  reports: {
+    bucket: process.env.REPORT_BUCKET,
+    prefix: process.env.REPORT_PREFIX || 'log-analyzer/reports/'
   },
 
   // Analysis time window
   analysis: {
-    lookbackMinutes: parseInt(process.env.LOOKBACK_MINUTES) || 60,
-    batchSize: parseInt(process.env.BATCH_SIZE) || 1000
+    lookbackMinutes: envNumber('LOOKBACK_MINUTES', 60),
+    batchSize: envNumber('BATCH_SIZE', 1000),
+    maxEventsPerGroup: envNumber('MAX_EVENTS_PER_GROUP', 50000),
+    maxScanSecondsPerGroup: envNumber('MAX_SCAN_SECONDS_PER_GROUP', 60),
+    maxStoredErrorsPerSource: envNumber('MAX_STORED_ERRORS_PER_SOURCE', 1000),
+    maxMetricSamples: envNumber('MAX_METRIC_SAMPLES', 10000)
   }
 };
 
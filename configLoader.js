@@ -0,0 +1,586 @@
+const fs = require('fs');
+const path = require('path');
+const { isRegExp } = require('util').types;
+const yaml = require('js-yaml');
+const { S3Client, GetObjectCommand } = require('@aws-sdk/client-s3');
+const config = require('./config');
+const { WEEKDAYS } = require('./alertRouter');
+const { DEFAULT_TEMPLATES, TEMPLATE_FORMATS } = require('./alertTemplates');
+const { parse: parseTemplate } = require('./templateEngine');
+const { DETECTORS } = require('./redactor');
+
+/**
+ * Raised when the configuration is invalid; `errors` lists every problem found
+ */
+class ConfigValidationError extends Error {
+  constructor(errors) {
+    super(`Invalid configuration (${errors.length} error${errors.length === 1 ? '' : 's'}):\n${errors.map(e => `  - ${e}`).join('\n')}`);
+    this.name = 'ConfigValidationError';
+    this.errors = errors;
+  }
+}
+
+// Schema building blocks. Every field is optional; a validator returns the
+// normalized value (regex strings compiled to RegExp) and pushes problems
+// onto `errors` using the dotted path of the offending value.
+const string = () => ({ type: 'string' });
+const boolean = () => ({ type: 'boolean' });
+const number = (limits = {}) => ({ type: 'number', ...limits });
+const integer = (limits = {}) => ({ type: 'number', integer: true, ...limits });
+const regex = () => ({ type: 'regex' });
+const date = () => ({ type: 'date' });
+const oneOf = (...values) => ({ type: 'enum', values });
+const arrayOf = items => ({ type: 'array', items });
+const object = properties => ({ type: 'object', properties });
+const anyOf = (...schemas) => ({ type: 'anyOf', schemas });
+const mapOf = values => ({ type: 'map', values });
+
+const thresholdsSchema = object({
+  errorRate: object({
+    maxErrors: integer({ min: 0 }),
+    maxErrorPercent: number({ min: 0, max: 100 }),
+    minEvents: integer({ min: 0 }),
+    timeWindow: integer({ min: 1 })
+  }),
+  responseTime: object({
+    maxAvgResponseTime: number({ min: 0 }),
+    maxP95ResponseTime: number({ min: 0 })
+  }),
+  memoryUsage: object({
+    maxMemoryPercent: number({ min: 0, max: 100 })
+  }),
+  diskSpace: object({
+    maxDiskPercent: number({ min: 0, max: 100 })
+  }),
+  httpErrors: object({
+    maxClientErrorPercent: number({ min: 0, max: 100 })
+  }),
+  volume: object({
+    minEvents: integer({ min: 0 }),
+    minFiles: integer({ min: 0 }),
+    maxDropPercent: number({ min: 0, max: 100 })
+  }),
+  lambda: object({
+    maxTimeouts: integer({ min: 0 }),
+    maxRuntimeExits: integer({ min: 0 }),
+    maxColdStartPercent: number({ min: 0, max: 100 }),
+    maxAvgInitDuration: number({ min: 0 })
+  })
+});
+
+const baselineSchema = object({
+  enabled: boolean(),
+  method: oneOf('zscore', 'seasonal'),
+  zScoreThreshold: number({ min: 0 }),
+  minSamples: integer({ min: 2 }),
+  historyDays: integer({ min: 1 })
+});
+
+const alertRoutingSchema = object({
+  snsTopicArn: string(),
+  emailTo: arrayOf(string())
+});
+
+// Settings any source (log group or S3 prefix) may override
+const sourceOverrides = {
+  errorPatterns: arrayOf(regex()),
+  ignorePatterns: arrayOf(regex()),
+  mute: object({
+    reason: { ...string(), required: true },
+    starts: date(),
+    expires: date()
+  }),
+  thresholds: thresholdsSchema,
+  lookbackMinutes: integer({ min: 1 }),
+  baseline: baselineSchema,
+  alerts: alertRoutingSchema
+};
+
+const CHANNEL_TYPES = ['sns', 'email', 'slack', 'teams', 'pagerduty', 'webhook'];
+
+// Settings each channel type needs (see alertChannels.js)
+const CHANNEL_REQUIRED = {
+  slack: 'webhookUrl',
+  teams: 'webhookUrl',
+  pagerduty: 'routingKey',
+  webhook: 'url'
+};
+
+const SEVERITIES = ['CRITICAL', 'WARNING', 'INFO'];
+
+const routeTargets = {
+  channels: arrayOf(string()),
+  snsTopicArn: string(),
+  emailTo: arrayOf(string()),
+  quietHours: arrayOf(object({
+    start: { ...string(), required: true },
+    end: { ...string(), required: true },
+    timezone: string(),
+    days: arrayOf(oneOf(...WEEKDAYS))
+  }))
+};
+
+// Template overrides per alert kind (see alertTemplates.js)
+const templatesSchema = object(Object.fromEntries(Object.keys(DEFAULT_TEMPLATES).map(kind => [
+  kind,
+  object(Object.fromEntries(TEMPLATE_FORMATS.map(format => [format, string()])))
+])));
+
+const LOG_FORMATS = ['auto', 'alb', 'cloudfront', 's3-access', 'vpc-flow', 'text'];
+
+const insightsSchema = object({
+  query: string(),
+  timeoutSeconds: integer({ min: 1 }),
+  pollIntervalMs: integer({ min: 0 }),
+  limit: integer({ min: 1, max: 10000 })
+});
+
+const configSchema = object({
+  logGroups: arrayOf(anyOf(string(), object({
+    name: { ...string(), required: true },
+    insights: anyOf(boolean(), insightsSchema),
+    filterPattern: anyOf(boolean(), string()),
+    ...sourceOverrides
+  }))),
+  logGroupDiscovery: object({
+    sources: arrayOf(object({
+      prefix: string(),
+      pattern: regex(),
+      tags: mapOf(string()),
+      insights: anyOf(boolean(), insightsSchema),
+      filterPattern: anyOf(boolean(), string()),
+      ...sourceOverrides
+    })),
+    exclude: arrayOf(string()),
+    excludePatterns: arrayOf(regex()),
+    cacheMinutes: integer({ min: 0 })
+  }),
+  s3Config: object({
+    bucket: string(),
+    prefix: string(),
+    region: string(),
+    maxFilesPerRun: integer({ min: 1 }),
+    maxFileAgeMinutes: integer({ min: 1 }),
+    listFromCheckpoint: boolean(),
+    format: oneOf(...LOG_FORMATS),
+    sources: arrayOf(object({ prefix: { ...string(), required: true }, format: oneOf(...LOG_FORMATS), ...sourceOverrides }))
+  }),
+  errorPatterns: arrayOf(regex()),
+  ignorePatterns: arrayOf(regex()),
+  suppressions: arrayOf(object({
+    name: string(),
+    pattern: regex(),
+    sources: arrayOf(string()),
+    reason: { ...string(), required: true },
+    starts: date(),
+    expires: { ...date(), required: true }
+  })),
+  jsonParsing: object({
+    enabled: boolean(),
+    fields: object({
+      level: arrayOf(string()),
+      message: arrayOf(string()),
+      timestamp: arrayOf(string()),
+      duration: arrayOf(string()),
+      status: arrayOf(string()),
+      memory: arrayOf(string())
+    }),
+    errorLevels: arrayOf(string())
+  }),
+  redaction: object({
+    enabled: boolean(),
+    detectors: arrayOf(oneOf(...Object.keys(DETECTORS))),
+    patterns: arrayOf(anyOf(regex(), object({
+      name: string(),
+      pattern: { ...regex(), required: true },
+      replacement: string()
+    })))
+  }),
+  thresholds: thresholdsSchema,
+  insights: insightsSchema,
+  filterPushdown: object({
+    enabled: boolean(),
+    countQuery: string()
+  }),
+  baseline: baselineSchema,
+  alerts: object({
+    snsTopicArn: string(),
+    emailFrom: string(),
+    emailTo: arrayOf(string()),
+    alertCooldown: integer({ min: 0 }),
+    incidents: object({
+      resolveAfterRuns: integer({ min: 1 }),
+      ongoing: oneOf('digest', 'suppress')
+    }),
+    channels: arrayOf(object({
+      type: { ...oneOf(...CHANNEL_TYPES), required: true },
+      name: string(),
+      topicArn: string(),
+      recipients: arrayOf(string()),
+      webhookUrl: string(),
+      routingKey: string(),
+      url: string(),
+      headers: mapOf(string())
+    })),
+    routes: arrayOf(object({
+      name: string(),
+      match: object({
+        severity: arrayOf(oneOf(...SEVERITIES)),
+        alertType: arrayOf(string()),
+        source: arrayOf(regex()),
+        metric: arrayOf(regex())
+      }),
+      ...routeTargets
+    })),
+    defaultRoute: object(routeTargets),
+    templates: templatesSchema,
+    delivery: object({
+      retries: integer({ min: 0, max: 10 }),
+      retryDelayMs: integer({ min: 0 }),
+      timeoutMs: integer({ min: 1 })
+    })
+  }),
+  state: object({
+    type: oneOf('s3', 'file', 'memory'),
+    bucket: string(),
+    prefix: string(),
+    directory: string()
+  }),
+  reports: object({
+    bucket: string(),
+    prefix: string()
+  }),
+  analysis: object({
+    lookbackMinutes: integer({ min: 1 }),
+    batchSize: integer({ min: 1, max: 10000 }),
+    maxEventsPerGroup: integer({ min: 1 }),
+    maxScanSecondsPerGroup: integer({ min: 0 }),
+    maxStoredErrorsPerSource: integer({ min: 0 }),
+    maxMetricSamples: integer({ min: 1 })
+  })
+});
+
+/**
+ * Compile "/body/flags" or a bare pattern string to a RegExp
+ */
+function compileRegex(value) {
+  const match = value.match(/^\/(.*)\/([a-z]*)$/s);
+  return match ? new RegExp(match[1], match[2]) : new RegExp(value);
+}
+
+/**
+ * Describe a value for error messages
+ */
+function describe(value) {
+  if (Array.isArray(value)) return 'an array';
+  if (value === null) return 'null';
+  return typeof value === 'string' ? `"${value}"` : `${typeof value} ${JSON.stringify(value)}`;
+}
+
+/**
+ * Validate a value against a schema node, returning the normalized value
+ */
+function validate(schema, value, keyPath, errors) {
+  if (value === undefined) {
+    return value;
+  }
+
+  // Environment numbers that failed to parse (see envNumber in config.js)
+  if (value && typeof value === 'object' && value.invalidEnv) {
+    errors.push(`${keyPath}: environment variable ${value.invalidEnv} must be a number, got "${value.value}"`);
+    return value;
+  }
+
+  switch (schema.type) {
+  case 'string':
+  case 'boolean':
+    if (typeof value !== schema.type) {
+      errors.push(`${keyPath}: expected a ${schema.type}, got ${describe(value)}`);
+    }
+    return value;
+
+  case 'number':
+    if (typeof value !== 'number' || !Number.isFinite(value)) {
+      errors.push(`${keyPath}: expected a number, got ${describe(value)}`);
+    } else if (schema.integer && !Number.isInteger(value)) {
+      errors.push(`${keyPath}: expected an integer, got ${value}`);
+    } else if (schema.min !== undefined && value < schema.min) {
+      errors.push(`${keyPath}: must be at least ${schema.min}, got ${value}`);
+    } else if (schema.max !== undefined && value > schema.max) {
+      errors.push(`${keyPath}: must be at most ${schema.max}, got ${value}`);
+    }
+    return value;
+
+  case 'enum':
+    if (!schema.values.includes(value)) {
+      errors.push(`${keyPath}: must be one of ${schema.values.map(v => `"${v}"`).join(', ')}, got ${describe(value)}`);
+    }
+    return value;
+
+  case 'regex': {
+    if (!isRegExp(value) && typeof value !== 'string') {
+      errors.push(`${keyPath}: expected a regular expression string, got ${describe(value)}`);
+      return value;
+    }
+    let compiled;
+    try {
+      compiled = isRegExp(value) ? value : compileRegex(value);
+    } catch (error) {
+      errors.push(`${keyPath}: invalid regular expression ${describe(value)} (${error.message})`);
+      return value;
+    }
+    // Patterns are tested line after line; g and y would carry lastIndex
+    // from one line to the next
+    if (/[gy]/.test(compiled.flags)) {
+      errors.push(`${keyPath}: the g and y flags are not supported, got ${describe(String(compiled))}`);
+      return value;
+    }
+    return compiled;
+  }
+
+  case 'date': {
+    // YAML parses unquoted timestamps to Dates; both forms end up ISO strings
+    const time = value instanceof Date ? value.getTime() : (typeof value === 'string' ? Date.parse(value) : NaN);
+    if (Number.isNaN(time)) {
+      errors.push(`${keyPath}: expected a date such as "2024-05-01T18:00:00Z", got ${describe(value)}`);
+      return value;
+    }
+    return new Date(time).toISOString();
+  }
+
+  case 'array':
+    if (!Array.isArray(value)) {
+      errors.push(`${keyPath}: expected an array, got ${describe(value)}`);
+      return value;
+    }
+    return value.map((item, index) => validate(schema.items, item, `${keyPath}[${index}]`, errors));
+
+  case 'object': {
+    if (!value || typeof value !== 'object' || Array.isArray(value) || isRegExp(value)) {
+      errors.push(`${keyPath}: expected an object, got ${describe(value)}`);
+      return value;
+    }
+
+    const normalized = {};
+    for (const [key, child] of Object.entries(value)) {
+      const childPath = keyPath ? `${keyPath}.${key}` : key;
+      if (!Object.prototype.hasOwnProperty.call(schema.properties, key)) {
+        errors.push(`${childPath}: unknown key`);
+        continue;
+      }
+      normalized[key] = validate(schema.properties[key], child, childPath, errors);
+    }
+    for (const [key, property] of Object.entries(schema.properties)) {
+      if (property.required && value[key] === undefined) {
+        errors.push(`${keyPath ? `${keyPath}.` : ''}${key}: is required`);
+      }
+    }
+    return normalized;
+  }
+
+  case 'map': {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+      errors.push(`${keyPath}: expected an object, got ${describe(value)}`);
+      return value;
+    }
+    const normalized = {};
+    for (const [key, child] of Object.entries(value)) {
+      normalized[key] = validate(schema.values, child, `${keyPath}.${key}`, errors);
+    }
+    return normalized;
+  }
+
+  case 'anyOf': {
+    // Use the first schema the value validates against; otherwise report
+    // against the schema whose basic type matches the value
+    for (const candidate of schema.schemas) {
+      const candidateErrors = [];
+      const normalized = validate(candidate, value, keyPath, candidateErrors);
+      if (candidateErrors.length === 0) {
+        return normalized;
+      }
+    }
+    const closest = schema.schemas.find(candidate => (candidate.type === 'object') === (typeof value === 'object'));
+    return validate(closest || schema.schemas[0], value, keyPath, errors);
+  }
+
+  default:
+    throw new Error(`Unknown schema type: ${schema.type}`);
+  }
+}
+
+/**
+ * Cross-field rules the schema can't express
+ */
+function checkConsistency(effectiveConfig, errors) {
+  if (effectiveConfig.state && effectiveConfig.state.type === 's3' && !effectiveConfig.state.bucket) {
+    errors.push('state.bucket: is required when state.type is "s3"');
+  }
+
+  const discoverySources = (effectiveConfig.logGroupDiscovery && effectiveConfig.logGroupDiscovery.sources) || [];
+  discoverySources.forEach((source, index) => {
+    // Tags alone would mean reading the tags of every log group in the account
+    if (source && !source.prefix && !source.pattern) {
+      errors.push(`logGroupDiscovery.sources[${index}]: needs a prefix or pattern to select log groups by (tags can only narrow them down)`);
+    }
+  });
+
+  const channels = (effectiveConfig.alerts && effectiveConfig.alerts.channels) || [];
+  const names = new Set();
+  channels.forEach((channel, index) => {
+    const required = CHANNEL_REQUIRED[channel.type];
+    if (required && !channel[required]) {
+      errors.push(`alerts.channels[${index}].${required}: is required for ${channel.type} channels`);
+    }
+    const name = channel.name || channel.type;
+    if (names.has(name)) {
+      errors.push(`alerts.channels[${index}].name: duplicate channel name "${name}"`);
+    }
+    names.add(name);
+  });
+
+  const alerts = effectiveConfig.alerts || {};
+  const routes = (alerts.routes || []).map((route, index) => [`alerts.routes[${index}]`, route]);
+  if (alerts.defaultRoute) {
+    routes.push(['alerts.defaultRoute', alerts.defaultRoute]);
+  }
+  for (const [keyPath, route] of routes) {
+    (route.channels || []).forEach((channel, index) => {
+      if (channels.length > 0 && !names.has(channel)) {
+        errors.push(`${keyPath}.channels[${index}]: unknown channel "${channel}"`);
+      }
+    });
+    (route.quietHours || []).forEach((window, index) => {
+      for (const key of ['start', 'end']) {
+        if (typeof window[key] === 'string' && !/^([01]\d|2[0-3]):[0-5]\d$/.test(window[key])) {
+          errors.push(`${keyPath}.quietHours[${index}].${key}: expected a time as "HH:MM", got "${window[key]}"`);
+        }
+      }
+      if (typeof window.timezone === 'string' && !isValidTimeZone(window.timezone)) {
+        errors.push(`${keyPath}.quietHours[${index}].timezone: unknown time zone "${window.timezone}"`);
+      }
+    });
+  }
+
+  for (const [kind, templates] of Object.entries(alerts.templates || {})) {
+    for (const [format, template] of Object.entries(templates || {})) {
+      if (typeof template !== 'string') {
+        continue;
+      }
+      try {
+        parseTemplate(template);
+      } catch (error) {
+        errors.push(`alerts.templates.${kind}.${format}: ${error.message}`);
+      }
+    }
+  }
+}
+
+/**
+ * Whether Intl knows a time zone name
+ */
+function isValidTimeZone(timezone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Deep merge `source` into `target`; arrays and scalars replace, objects merge
+ */
+function mergeInto(target, source) {
+  for (const [key, value] of Object.entries(source)) {
+    if (value && typeof value === 'object' && !Array.isArray(value) && !isRegExp(value) &&
+        target[key] && typeof target[key] === 'object' && !Array.isArray(target[key])) {
+      mergeInto(target[key], value);
+    } else {
+      target[key] = value;
+    }
+  }
+  return target;
+}
+
+/**
+ * Read the raw config text from a local path or an s3://bucket/key location
+ */
+async function readConfigSource(location, s3Client) {
+  const s3Match = location.match(/^s3:\/\/([^/]+)\/(.+)$/);
+  if (!s3Match) {
+    return fs.promises.readFile(location, 'utf8');
+  }
+
+  const client = s3Client || new S3Client({ region: config.s3Config.region });
+  const command = new GetObjectCommand({ Bucket: s3Match[1], Key: s3Match[2] });
+  const response = await client.send(command);
+  return response.Body.transformToString();
+}
+
+/**
+ * Parse config text as JSON or YAML, chosen by the file extension
+ */
+function parseConfigText(text, location) {
+  const extension = path.extname(location).toLowerCase();
+  const parsed = extension === '.json' ? JSON.parse(text) : yaml.load(text);
+
+  if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+    throw new ConfigValidationError([`${location}: expected a mapping of configuration keys at the top level`]);
+  }
+  return parsed;
+}
+
+/**
+ * Validate the configuration, optionally merging in an external JSON/YAML
+ * file first. The file location comes from options.location or the
+ * CONFIG_PATH environment variable and may be a local path or s3://bucket/key.
+ * Throws a ConfigValidationError listing every problem found.
+ */
+async function loadConfig(options = {}) {
+  const location = options.location || process.env.CONFIG_PATH;
+  const errors = [];
+
+  if (location) {
+    let fileConfig;
+    try {
+      fileConfig = parseConfigText(await readConfigSource(location, options.s3Client), location);
+    } catch (error) {
+      if (error instanceof ConfigValidationError) throw error;
+      throw new ConfigValidationError([`${location}: could not be loaded (${error.message})`]);
+    }
+
+    const fileErrors = [];
+    const normalized = validate(configSchema, fileConfig, '', fileErrors);
+    errors.push(...fileErrors.map(e => `${location}: ${e}`));
+
+    // Only apply a file that validated cleanly, so a bad file never half-applies
+    if (fileErrors.length === 0) {
+      mergeInto(config, normalized);
+      console.log(`Loaded configuration from ${location}`);
+    }
+  }
+
+  errors.push(...validateConfig(config));
+
+  if (errors.length > 0) {
+    throw new ConfigValidationError(errors);
+  }
+  return config;
+}
+
+/**
+ * Validate a configuration object, returning a list of problems
+ */
+function validateConfig(value) {
+  const errors = [];
+  validate(configSchema, value, '', errors);
+  checkConsistency(value, errors);
+  return errors;
+}
+
+module.exports = {
+  ConfigValidationError,
+  loadConfig,
+  validateConfig
+};
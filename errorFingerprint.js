@@ -0,0 +1,129 @@
+const crypto = require('crypto');
+
+/**
+ * Variable parts of error messages, masked in order so that messages which
+ * differ only by request IDs, timestamps, numbers etc. share a fingerprint
+ */
+const MASKS = [
+  // Quoted values ("..." and '...', but not apostrophes inside words)
+  [/"(?:[^"\\]|\\.)*"|(?<![A-Za-z])'(?:[^'\\]|\\.)*'/g, '<str>'],
+  [/\b[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}\b/gi, '<uuid>'],
+  [/\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}:\d{2}(?:[.,]\d+)?(?:Z|[+-]\d{2}:?\d{2})?/g, '<timestamp>'],
+  [/\b(?:\d{1,3}\.){3}\d{1,3}(?::\d+)?\b/g, '<ip>'],
+  [/\b0x[0-9a-f]+\b/gi, '<hex>'],
+  // Standalone hex strings long enough to be IDs or hashes, containing at least one digit
+  [/(?<![\w-])(?=[0-9a-f]*\d)[0-9a-f]{8,}(?![\w-])/gi, '<hex>'],
+  // Other IDs: long tokens mixing letters and digits (i-0abc1234, AKIA..., req_8f2k...)
+  [/\b(?=[\w-]*\d)(?=[\w-]*[A-Za-z])[\w-]{8,}\b/g, '<id>'],
+  [/\d+(?:\.\d+)?/g, '<num>']
+];
+
+const MAX_PATTERN_LENGTH = 300;
+
+/**
+ * Normalize an error message into its masked pattern
+ */
+function normalizeMessage(message) {
+  let pattern = String(message);
+  for (const [regex, replacement] of MASKS) {
+    pattern = pattern.replace(regex, replacement);
+  }
+  return pattern.replace(/\s+/g, ' ').trim().substring(0, MAX_PATTERN_LENGTH);
+}
+
+/**
+ * Compute the fingerprint (short hash of the masked pattern) of a message
+ */
+function fingerprintMessage(message) {
+  const pattern = normalizeMessage(message);
+  const fingerprint = crypto.createHash('sha1').update(pattern).digest('hex').substring(0, 12);
+  return { fingerprint, pattern };
+}
+
+/**
+ * Add an error to a map of error groups keyed by fingerprint. `text` is the
+ * part of the message to fingerprint (e.g. the message field of a JSON line).
+ */
+function addToErrorGroups(groups, error, text = error.message) {
+  const { fingerprint, pattern } = fingerprintMessage(text);
+  const source = error.logGroup || error.source;
+
+  let group = groups[fingerprint];
+  if (!group) {
+    group = groups[fingerprint] = {
+      fingerprint,
+      pattern,
+      count: 0,
+      firstSeen: error.timestamp,
+      lastSeen: error.timestamp,
+      sources: [],
+      sourceCounts: {},
+      sample: error.message
+    };
+  }
+
+  group.count++;
+  if (error.timestamp < group.firstSeen) group.firstSeen = error.timestamp;
+  if (error.timestamp > group.lastSeen) group.lastSeen = error.timestamp;
+  if (!group.sourceCounts[source]) {
+    group.sources.push(source);
+    group.sourceCounts[source] = 0;
+  }
+  group.sourceCounts[source]++;
+
+  return fingerprint;
+}
+
+/**
+ * Merge error groups (a map or a list) into a target map
+ */
+function mergeErrorGroups(target, groups) {
+  for (const group of Object.values(groups)) {
+    const existing = target[group.fingerprint];
+    if (!existing) {
+      target[group.fingerprint] = {
+        ...group,
+        sources: [...group.sources],
+        sourceCounts: { ...group.sourceCounts }
+      };
+      continue;
+    }
+
+    existing.count += group.count;
+    if (group.firstSeen < existing.firstSeen) existing.firstSeen = group.firstSeen;
+    if (group.lastSeen > existing.lastSeen) existing.lastSeen = group.lastSeen;
+    for (const [source, count] of Object.entries(group.sourceCounts)) {
+      if (!existing.sourceCounts[source]) {
+        existing.sources.push(source);
+        existing.sourceCounts[source] = 0;
+      }
+      existing.sourceCounts[source] += count;
+    }
+  }
+  return target;
+}
+
+/**
+ * Sort error groups by count, most frequent first
+ */
+function sortErrorGroups(groups) {
+  return Object.values(groups).sort((a, b) => b.count - a.count || a.firstSeen.localeCompare(b.firstSeen));
+}
+
+/**
+ * Group a list of errors by fingerprint, most frequent first
+ */
+function groupErrors(errors) {
+  const groups = {};
+  errors.forEach(error => addToErrorGroups(groups, error));
+  return sortErrorGroups(groups);
+}
+
+module.exports = {
+  normalizeMessage,
+  fingerprintMessage,
+  addToErrorGroups,
+  mergeErrorGroups,
+  sortErrorGroups,
+  groupErrors
+};
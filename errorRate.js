@@ -0,0 +1,132 @@
+const MINUTE_MS = 60 * 1000;
+
+/**
+ * Number of events errors are measured against: parsed requests for access
+ * logs, otherwise every event or line read from the source
+ */
+function getEventVolume(metrics) {
+  return metrics.requestCount || metrics.totalEvents || metrics.totalLines || 0;
+}
+
+/**
+ * Count an event (and whether it was an error) in its per-minute bucket.
+ * Events without a timestamp from the log itself are left out of the timeline.
+ */
+function addToTimeline(metrics, timestamp, isError) {
+  const time = timestamp ? new Date(timestamp).getTime() : NaN;
+  if (Number.isNaN(time)) {
+    return;
+  }
+
+  const minute = Math.floor(time / MINUTE_MS) * MINUTE_MS;
+  metrics.eventsPerMinute = metrics.eventsPerMinute || {};
+  metrics.eventsPerMinute[minute] = (metrics.eventsPerMinute[minute] || 0) + 1;
+  if (isError) {
+    metrics.errorsPerMinute = metrics.errorsPerMinute || {};
+    metrics.errorsPerMinute[minute] = (metrics.errorsPerMinute[minute] || 0) + 1;
+  }
+}
+
+/**
+ * Sliding windows of `windowMinutes` over the per-minute timeline, one
+ * starting at each minute that has errors
+ */
+function getErrorWindows(metrics, windowMinutes) {
+  const errorsPerMinute = metrics.errorsPerMinute || {};
+  const eventsPerMinute = metrics.eventsPerMinute || {};
+
+  return Object.keys(errorsPerMinute).map(Number).sort((a, b) => a - b).map(start => {
+    let errors = 0;
+    let events = 0;
+    for (let minute = start; minute < start + windowMinutes * MINUTE_MS; minute += MINUTE_MS) {
+      errors += errorsPerMinute[minute] || 0;
+      events += eventsPerMinute[minute] || 0;
+    }
+    return {
+      start: new Date(start).toISOString(),
+      end: new Date(start + windowMinutes * MINUTE_MS).toISOString(),
+      errors,
+      events: Math.max(events, errors)
+    };
+  });
+}
+
+/**
+ * Compare an error count against the volume it occurred in: the error
+ * percentage once there are at least minEvents events, the absolute
+ * maxErrors count otherwise. CRITICAL when the limit is exceeded twice over.
+ */
+function assessCounts(errorCount, volume, thresholds) {
+  const percent = volume > 0 ? (errorCount / volume) * 100 : 0;
+  const basis = volume >= thresholds.minEvents ? 'rate' : 'count';
+  const value = basis === 'rate' ? percent : errorCount;
+  const limit = basis === 'rate' ? thresholds.maxErrorPercent : thresholds.maxErrors;
+  const exceeded = errorCount > 0 && value > limit;
+
+  return {
+    basis,
+    errorCount,
+    volume,
+    percent,
+    exceeded,
+    severity: exceeded && value > limit * 2 ? 'CRITICAL' : 'WARNING'
+  };
+}
+
+/**
+ * Assess a source's errors against its errorRate thresholds, applied to every
+ * sliding window of timeWindow minutes so a short burst isn't diluted by the
+ * rest of the lookback period. Returns the peak window (the exceeding window
+ * with the most errors, or the busiest one); sources without timestamped
+ * errors are assessed over the whole run with `window` null.
+ */
+function assessErrorRate(metrics, thresholds) {
+  const windows = getErrorWindows(metrics, thresholds.timeWindow);
+  if (windows.length === 0) {
+    return { ...assessCounts(metrics.errorCount || 0, getEventVolume(metrics), thresholds), window: null };
+  }
+
+  let peak = null;
+  for (const window of windows) {
+    const assessment = { ...assessCounts(window.errors, window.events, thresholds), window };
+    if (!peak ||
+        (assessment.exceeded && !peak.exceeded) ||
+        (assessment.exceeded === peak.exceeded && window.errors > peak.errorCount)) {
+      peak = assessment;
+    }
+  }
+  peak.window.minutes = thresholds.timeWindow;
+  return peak;
+}
+
+/**
+ * Combine the error counts, event volumes and per-minute timelines of
+ * several sources' metrics (e.g. the files of one S3 prefix) so they can be
+ * assessed as one source
+ */
+function combineErrorMetrics(metricsList) {
+  const combined = { errorCount: 0 };
+  for (const metrics of metricsList) {
+    combined.errorCount += metrics.errorCount || 0;
+    for (const field of ['requestCount', 'totalEvents', 'totalLines']) {
+      if (metrics[field] !== undefined) {
+        combined[field] = (combined[field] || 0) + metrics[field];
+      }
+    }
+    for (const timeline of ['eventsPerMinute', 'errorsPerMinute']) {
+      for (const [minute, count] of Object.entries(metrics[timeline] || {})) {
+        combined[timeline] = combined[timeline] || {};
+        combined[timeline][minute] = (combined[timeline][minute] || 0) + count;
+      }
+    }
+  }
+  return combined;
+}
+
+module.exports = {
+  getEventVolume,
+  combineErrorMetrics,
+  addToTimeline,
+  getErrorWindows,
+  assessErrorRate
+};
@@ -0,0 +1,75 @@
+/**
+ * Translation of error patterns into a CloudWatch Logs filter pattern, so
+ * FilterLogEvents only returns candidate error lines. The lines are still
+ * classified locally, so the filter only has to let every error through.
+ */
+
+// Lambda invocation failure lines, counted as errors
+const LAMBDA_FAILURE_TERMS = ['Task timed out', 'Runtime.ExitError'];
+
+// Only the REPORT lines of cold starts carry an init duration; fetching every
+// REPORT line would mean one line per invocation
+const LAMBDA_COLD_START_TERM = 'Init Duration';
+
+// CloudWatch rejects filter patterns longer than this
+const MAX_FILTER_PATTERN_LENGTH = 1024;
+
+/**
+ * The literal text a regex matches, when it is a plain word or phrase
+ * (whitespace classes are read as a single space); null otherwise
+ */
+function literalText(regex) {
+  const text = regex.source
+    .replace(/\\s[+*]?/g, ' ')
+    .replace(/\\([.:/-])/g, '$1');
+  return /^[\w .:/-]+$/.test(text) ? text : null;
+}
+
+/**
+ * A text as written, in lower case, in upper case and capitalized
+ */
+function caseVariants(text) {
+  const lower = text.toLowerCase();
+  return [text, lower, text.toUpperCase(), lower.charAt(0).toUpperCase() + lower.slice(1)];
+}
+
+/**
+ * Filter pattern terms for a regex. Filter patterns are case sensitive, so
+ * case-insensitive regexes match every case variant of their text.
+ */
+function regexTerms(regex) {
+  const text = literalText(regex);
+  if (text === null) {
+    return null;
+  }
+  return regex.flags.includes('i') ? caseVariants(text) : [text];
+}
+
+/**
+ * Build a filter pattern matching any of the error patterns, the JSON error
+ * levels (`errorLevels`, in any case) and the Lambda failure lines, plus the
+ * cold start REPORT lines when `coldStarts` is set, e.g.
+ * `?"ERROR" ?"error" ?"Error"`. Returns null when a pattern isn't a plain
+ * word or phrase, or the result is too long.
+ */
+function buildFilterPattern(errorPatterns, { errorLevels = [], coldStarts = false } = {}) {
+  const terms = [];
+  for (const regex of errorPatterns) {
+    const patternTerms = regexTerms(regex);
+    if (!patternTerms) {
+      return null;
+    }
+    terms.push(...patternTerms);
+  }
+  terms.push(...errorLevels.flatMap(caseVariants), ...LAMBDA_FAILURE_TERMS);
+  if (coldStarts) {
+    terms.push(LAMBDA_COLD_START_TERM);
+  }
+
+  const filterPattern = [...new Set(terms)].map(term => `?"${term}"`).join(' ');
+  return filterPattern.length <= MAX_FILTER_PATTERN_LENGTH ? filterPattern : null;
+}
+
+module.exports = {
+  buildFilterPattern
+};
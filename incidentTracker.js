@@ -0,0 +1,168 @@
+const config = require('./config');
+const { createStateStore } = require('./stateStore');
+
+/**
+ * Incidents track the issues found by each run (threshold violations and
+ * error groups) across runs. An issue is { key, source, title, severity },
+ * where source is the monitored source (log group or S3 prefix, not an S3
+ * file), so its dedup key stays the same from run to run:
+ *   violation:   `${source}::${metric}`
+ *   error group: `${source}::error:${fingerprint}`
+ * An incident opens the first run its issue is found, is ongoing while the
+ * issue keeps being found and resolves once the issue has been missing for
+ * config.alerts.incidents.resolveAfterRuns runs in a row.
+ */
+
+const SEVERITY_RANK = { INFO: 0, WARNING: 1, CRITICAL: 2 };
+
+class IncidentTracker {
+  constructor(options = {}) {
+    this.store = options.store || createStateStore('incidents');
+    this.incidents = null;
+    this.readFailed = false;
+  }
+
+  /**
+   * Dedup key of a threshold violation
+   */
+  static violationKey(violation) {
+    return `${violation.source || 'all'}::${violation.metric}`;
+  }
+
+  /**
+   * Dedup key of an error group in a source
+   */
+  static errorGroupKey(source, fingerprint) {
+    return `${source || 'all'}::error:${fingerprint}`;
+  }
+
+  /**
+   * Load the stored incidents once. When they can't be read every issue is
+   * treated as new, so alerts are never suppressed because of missing state.
+   */
+  async load() {
+    if (!this.incidents) {
+      try {
+        const state = await this.store.read();
+        this.incidents = state.incidents || {};
+      } catch (error) {
+        console.error('Failed to read incident state:', error);
+        this.incidents = {};
+        this.readFailed = true;
+      }
+    }
+    return this.incidents;
+  }
+
+  /**
+   * Match a run's issues against the stored incidents and return the
+   * { opened, ongoing, resolved } incidents. An incident stays "opened" until
+   * a notification for it is delivered (see markNotified), so an alert held
+   * back by quiet hours or a failed delivery goes out on a later run.
+   * Pass `complete: false` for runs that did not look at every source;
+   * incidents missing from such a run are left alone. Likewise for the
+   * incidents of `uncheckedSources`, sources this run couldn't fully read.
+   */
+  async track(issues, now = new Date(), options = {}) {
+    const incidents = await this.load();
+    const timestamp = now.toISOString();
+    const seen = new Set();
+    const opened = [];
+    const ongoing = [];
+    const resolved = [];
+
+    for (const issue of issues) {
+      let incident = incidents[issue.key];
+      if (seen.has(issue.key)) {
+        // The same issue reported twice in one run keeps the higher severity
+        if (SEVERITY_RANK[issue.severity] > SEVERITY_RANK[incident.severity]) {
+          incident.severity = issue.severity;
+          incident.title = issue.title;
+        }
+        continue;
+      }
+      seen.add(issue.key);
+
+      if (!incident || incident.resolvedAt) {
+        incident = incidents[issue.key] = {
+          key: issue.key,
+          source: issue.source,
+          openedAt: timestamp,
+          notifiedAt: null,
+          runs: 0
+        };
+      }
+      incident.title = issue.title;
+      incident.severity = issue.severity;
+      incident.lastSeenAt = timestamp;
+      incident.missedRuns = 0;
+      incident.runs++;
+      (incident.notifiedAt ? ongoing : opened).push(incident);
+    }
+
+    if (options.complete === false) {
+      return { opened, ongoing, resolved };
+    }
+
+    const uncheckedSources = options.uncheckedSources || [];
+    for (const incident of Object.values(incidents)) {
+      if (seen.has(incident.key) || uncheckedSources.includes(incident.source)) {
+        continue;
+      }
+      if (!incident.resolvedAt) {
+        incident.missedRuns++;
+        if (incident.missedRuns < config.alerts.incidents.resolveAfterRuns) {
+          continue;
+        }
+        incident.resolvedAt = timestamp;
+      }
+
+      // Nobody was told about an incident that never got notified
+      if (incident.notifiedAt) {
+        resolved.push(incident);
+      } else {
+        delete incidents[incident.key];
+      }
+    }
+
+    return { opened, ongoing, resolved };
+  }
+
+  /**
+   * Record that notifications for incidents were delivered. Resolved
+   * incidents are forgotten once their resolution has been sent.
+   */
+  markNotified(incidents, now = new Date()) {
+    for (const incident of incidents) {
+      if (incident.resolvedAt) {
+        delete this.incidents[incident.key];
+      } else {
+        incident.notifiedAt = now.toISOString();
+      }
+    }
+  }
+
+  /**
+   * Whether an ongoing incident is due for a reminder
+   */
+  isReminderDue(incident, now = new Date(), intervalMinutes = config.alerts.alertCooldown) {
+    return now.getTime() - Date.parse(incident.notifiedAt) >= intervalMinutes * 60 * 1000;
+  }
+
+  /**
+   * Persist the incidents. Skipped when they could not be read, so a
+   * transient read failure doesn't wipe the stored state.
+   */
+  async save(now = new Date()) {
+    if (!this.incidents || this.readFailed) {
+      return;
+    }
+    try {
+      await this.store.write({ incidents: this.incidents, updatedAt: now.toISOString() });
+    } catch (error) {
+      console.error('Failed to save incident state:', error);
+    }
+  }
+}
+
+module.exports = IncidentTracker;
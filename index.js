@@ -1,17 +1,35 @@
 const LogAnalyzer = require('./logAnalyzer');
 const AlertService = require('./alertService');
 const config = require('./config');
+const { getSourceSettings } = require('./sourceSettings');
+const { loadConfig } = require('./configLoader');
+const IncidentTracker = require('./incidentTracker');
+const ReportExporter = require('./reportExporter');
+const { assessErrorRate, combineErrorMetrics, getEventVolume } = require('./errorRate');
+const { groupErrors } = require('./errorFingerprint');
+
+// Configuration is loaded and validated once per container
+let configLoading = null;
 
 /**
  * AWS Lambda handler for log analysis and alerting
  */
-exports.handler = async (event, _context) => {
+exports.handler = async (event, context) => {
   console.log('Lambda function started');
   console.log('Event:', JSON.stringify(event, null, 2));
 
   const startTime = Date.now();
 
   try {
+    // Load external configuration and fail fast on any invalid setting
+    if (!configLoading) {
+      configLoading = loadConfig().catch(error => {
+        configLoading = null;
+        throw error;
+      });
+    }
+    await configLoading;
+
     // Initialize services
     const logAnalyzer = new LogAnalyzer();
     const alertService = new AlertService();
@@ -19,9 +37,10 @@ exports.handler = async (event, _context) => {
     // Perform log analysis
     console.log('Starting log analysis...');
     const analysisResults = await logAnalyzer.analyzeLogs();
+    const report = await exportReport(analysisResults, context && context.awsRequestId);
 
     // Process results and send alerts if necessary
-    await processAnalysisResults(analysisResults, alertService);
+    const alerting = await processAnalysisResults(analysisResults, alertService);
 
     const duration = Date.now() - startTime;
     console.log(`Lambda function completed successfully in ${duration}ms`);
@@ -31,6 +50,8 @@ exports.handler = async (event, _context) => {
       body: JSON.stringify({
         message: 'Log analysis completed successfully',
         summary: analysisResults.summary,
+        ...(report && { report }),
+        ...(alerting.summaryAlertError && { summaryAlertError: alerting.summaryAlertError }),
         duration: `${duration}ms`,
         timestamp: new Date().toISOString()
       })
@@ -39,27 +60,29 @@ exports.handler = async (event, _context) => {
   } catch (error) {
     console.error('Lambda function failed:', error);
 
-    // Send critical alert about the failure
+    // Send a critical alert about the failure, tracked as an incident so a
+    // failing schedule doesn't page on every run and resolves once runs succeed
     try {
       const alertService = new AlertService();
-      await alertService.sendAlert(
-        {
-          subject: 'Log Analyzer Lambda Function Failed',
-          textMessage: `The log analyzer Lambda function failed with error: ${error.message}\n\nStack trace: ${error.stack}`,
-          htmlMessage: `
-            <html>
-            <body>
-              <h2>🚨 Critical Alert: Log Analyzer Failed</h2>
-              <p><strong>Error:</strong> ${error.message}</p>
-              <p><strong>Timestamp:</strong> ${new Date().toISOString()}</p>
-              <pre>${error.stack}</pre>
-            </body>
-            </html>
-          `
-        },
-        'lambda-failure',
-        'CRITICAL'
-      );
+      const incidentTracker = new IncidentTracker();
+      const now = new Date();
+      const { opened, ongoing } = await incidentTracker.track([{
+        key: 'log-analyzer::lambda-failure',
+        source: 'log-analyzer',
+        title: `Log analyzer failed: ${error.message}`,
+        severity: 'CRITICAL'
+      }], now, { complete: false });
+      const failureIncidents = config.alerts.incidents.ongoing === 'digest'
+        ? [...opened, ...ongoing.filter(incident => incidentTracker.isReminderDue(incident, now))]
+        : opened;
+
+      if (failureIncidents.length > 0) {
+        await notify(alertService, incidentTracker, {
+          ...alertService.formatFailureAlert(error),
+          incidents: failureIncidents
+        }, 'lambda-failure', 'CRITICAL');
+      }
+      await incidentTracker.save(now);
     } catch (alertError) {
       console.error('Failed to send failure alert:', alertError);
     }
@@ -76,105 +99,239 @@ exports.handler = async (event, _context) => {
 };
 
 /**
- * Process analysis results and send appropriate alerts
+ * Process analysis results and send appropriate alerts. Each violation and
+ * error group is tracked as an incident of its monitored source (a log group
+ * or S3 prefix, never a single S3 file): alerts go out when incidents open,
+ * ongoing incidents are either suppressed or sent as a periodic digest, and
+ * a notification follows when an incident resolves. A summary alert that
+ * can't be delivered doesn't fail the run; its error is returned as
+ * { summaryAlertError }.
  */
-async function processAnalysisResults(results, alertService) {
+async function processAnalysisResults(results, alertService, incidentTracker = new IncidentTracker()) {
   console.log('Processing analysis results...');
 
-  const { errors, violations, summary } = results;
+  const { errors, violations, metrics } = results;
+  const errorGroups = results.errorGroups || [];
+  const now = new Date();
+
+  const monitoredSources = new Map();
+  const monitoredSource = source => {
+    if (source && !monitoredSources.has(source)) {
+      monitoredSources.set(source, getSourceSettings(source).monitoredSource);
+    }
+    return source && monitoredSources.get(source);
+  };
+  const violationKey = violation => IncidentTracker.violationKey({ ...violation, source: monitoredSource(violation.source) });
 
-  // Send error alerts if threshold exceeded
-  if (errors.length > config.thresholds.errorRate.maxErrors) {
-    console.log(`Sending error alert for ${errors.length} errors`);
+  // Metrics of the sources read this run (log groups, S3 files) per monitored source
+  const metricsBySource = new Map();
+  for (const [source, sourceMetrics] of Object.entries(metrics)) {
+    const monitored = monitoredSource(source);
+    if (!metricsBySource.has(monitored)) {
+      metricsBySource.set(monitored, { sources: [], metrics: [] });
+    }
+    metricsBySource.get(monitored).sources.push(source);
+    metricsBySource.get(monitored).metrics.push(sourceMetrics);
+  }
 
-    const errorAlert = alertService.formatErrorAlert(
-      errors,
-      config.analysis.lookbackMinutes
-    );
+  // Monitored sources whose peak window is over their own error rate (or count) threshold
+  const errorSources = [];
+  for (const [source, { sources, metrics: metricsList }] of metricsBySource) {
+    const settings = getSourceSettings(source);
+    const sourceMetrics = metricsList.length === 1 ? metricsList[0] : combineErrorMetrics(metricsList);
+    const errorRate = assessErrorRate(sourceMetrics, settings.thresholds.errorRate);
 
-    await alertService.sendAlert(
-      errorAlert,
-      'error-threshold',
-      errors.length > (config.thresholds.errorRate.maxErrors * 2) ? 'CRITICAL' : 'WARNING'
-    );
+    if (errorRate.exceeded) {
+      const sourceErrors = errors.filter(e => sources.includes(errorSource(e)));
+      const groups = results.errorGroups
+        ? errorGroups
+          .map(group => ({ ...group, sourceCounts: { ...group.sourceCounts, [source]: sources.reduce((sum, s) => sum + (group.sourceCounts[s] || 0), 0) } }))
+          .filter(group => group.sourceCounts[source])
+          .sort((a, b) => b.sourceCounts[source] - a.sourceCounts[source])
+        : groupErrors(sourceErrors);
+      errorSources.push({ source, settings, sourceMetrics, sourceErrors, errorRate, groups });
+    }
   }
 
-  // Send threshold violation alerts
-  if (violations.length > 0) {
-    console.log(`Sending threshold violation alert for ${violations.length} violations`);
+  const issues = [
+    ...errorSources.flatMap(({ source, errorRate, groups }) => groups.map(group => ({
+      key: IncidentTracker.errorGroupKey(source, group.fingerprint),
+      source,
+      title: group.pattern,
+      severity: errorRate.severity
+    }))),
+    ...violations.map(violation => ({
+      key: violationKey(violation),
+      source: monitoredSource(violation.source),
+      title: alertService.formatViolation(violation),
+      severity: violation.severity || 'WARNING'
+    }))
+  ];
+
+  // Sources that weren't fully read can't tell whether their incidents
+  // cleared: log groups only partly scanned or failed, and S3 prefixes
+  // without new files or whose listing failed
+  const uncheckedSources = Object.entries({ ...results.scanCoverage, ...(results.s3Scan && results.s3Scan.coverage) })
+    .filter(([, coverage]) => coverage.status !== 'complete')
+    .map(([source]) => source);
+  // Nor can the discovered log groups a failed discovery may have missed
+  const discovery = results.summary && results.summary.logGroupDiscovery;
+  const complete = !(discovery && discovery.error);
+
+  const incidents = await incidentTracker.track(issues, now, { complete, uncheckedSources });
+  const byKey = new Map([...incidents.opened, ...incidents.ongoing].map(incident => [incident.key, incident]));
+  const isOpened = key => incidents.opened.includes(byKey.get(key));
+  console.log(`Incidents: ${incidents.opened.length} opened, ${incidents.ongoing.length} ongoing, ${incidents.resolved.length} resolved`);
+
+  try {
+    // Send error alerts for sources with new error groups
+    for (const { source, settings, sourceMetrics, sourceErrors, errorRate, groups } of errorSources) {
+      const keys = groups.map(group => IncidentTracker.errorGroupKey(source, group.fingerprint));
+      if (!keys.some(isOpened)) {
+        continue;
+      }
+      console.log(`Sending error alert for ${sourceMetrics.errorCount} errors in ${source} (peak ${errorRate.errorCount} errors, ${errorRate.percent.toFixed(1)}% of ${errorRate.volume} events)`);
+
+      const errorAlert = alertService.formatErrorAlert(
+        sourceErrors,
+        settings.lookbackMinutes,
+        {
+          source,
+          totalCount: sourceMetrics.errorCount,
+          totalEvents: getEventVolume(sourceMetrics),
+          peakWindow: errorRate.window,
+          errorGroups: groups
+        }
+      );
+
+      errorAlert.metrics = [errorRate.basis === 'rate' ? 'Error Rate' : 'Error Count'];
+      errorAlert.incidents = keys.map(key => byKey.get(key));
+      await notify(alertService, incidentTracker, errorAlert, 'error-threshold', errorRate.severity, source, settings.alerts);
+    }
+
+    // Send threshold violation alerts for new violations, one per monitored
+    // source so each follows its own routing
+    const violationsBySource = new Map();
+    for (const violation of violations.filter(v => isOpened(violationKey(v)))) {
+      const source = monitoredSource(violation.source);
+      if (!violationsBySource.has(source)) {
+        violationsBySource.set(source, []);
+      }
+      violationsBySource.get(source).push(violation);
+    }
+
+    for (const [source, sourceViolations] of violationsBySource) {
+      console.log(`Sending threshold violation alert for ${sourceViolations.length} violations in ${source}`);
+
+      const thresholdAlert = alertService.formatThresholdAlert(sourceViolations);
+      thresholdAlert.metrics = sourceViolations.map(v => v.metric);
+      thresholdAlert.incidents = [...new Set(sourceViolations.map(v => byKey.get(violationKey(v))))];
+
+      await notify(alertService, incidentTracker, thresholdAlert, 'threshold-violation', highestSeverity(sourceViolations), source, getSourceSettings(source).alerts);
+    }
+
+    // Remind about ongoing incidents that haven't been notified for a while
+    const dueIncidents = config.alerts.incidents.ongoing === 'digest'
+      ? incidents.ongoing.filter(incident => incidentTracker.isReminderDue(incident, now))
+      : [];
+    if (dueIncidents.length > 0) {
+      console.log(`Sending digest for ${dueIncidents.length} ongoing incidents`);
+
+      const digestAlert = alertService.formatIncidentDigest(dueIncidents);
+      digestAlert.incidents = dueIncidents;
+      await notify(alertService, incidentTracker, digestAlert, 'incident-digest', highestSeverity(dueIncidents));
+    }
+
+    // Tell each source's recipients about its incidents that have cleared
+    const resolvedBySource = new Map();
+    for (const incident of incidents.resolved) {
+      if (!resolvedBySource.has(incident.source)) {
+        resolvedBySource.set(incident.source, []);
+      }
+      resolvedBySource.get(incident.source).push(incident);
+    }
 
-    const thresholdAlert = alertService.formatThresholdAlert(violations);
+    for (const [source, resolved] of resolvedBySource) {
+      console.log(`Sending resolved notification for ${resolved.length} incidents in ${source}`);
 
-    await alertService.sendAlert(
-      thresholdAlert,
-      'threshold-violation',
-      violations.some(v => v.metric.includes('Memory') || v.metric.includes('Error')) ? 'CRITICAL' : 'WARNING'
-    );
+      const resolvedAlert = alertService.formatResolvedAlert(resolved, source);
+      resolvedAlert.incidents = resolved;
+      await notify(alertService, incidentTracker, resolvedAlert, 'incident-resolved', 'INFO', source, getSourceSettings(source).alerts);
+    }
+  } finally {
+    await incidentTracker.save(now);
   }
 
-  // Send summary if there are any issues
-  if (errors.length > 0 || violations.length > 0) {
+  // Send a summary when incidents opened or resolved in this run
+  const changed = incidents.opened.length > 0 || incidents.resolved.length > 0;
+  if (changed && (errors.length > 0 || violations.length > 0)) {
     console.log('Sending summary alert');
 
-    const summaryAlert = {
-      subject: 'Log Analysis Summary - Issues Detected',
-      textMessage: `
-Log Analysis Summary:
-===================
-Timestamp: ${results.timestamp}
-Analysis Window: ${config.analysis.lookbackMinutes} minutes
-
-Issues Found:
-- Total Errors: ${summary.totalErrors}
-- Threshold Violations: ${summary.totalViolations}
-
-Sources Analyzed:
-- CloudWatch Log Groups: ${summary.cloudWatchSources}
-- S3 Log Sources: ${summary.s3Sources}
-
-${errors.length > 0 ? `\nRecent Errors:\n${errors.slice(0, 5).map(e => `- ${e.timestamp}: ${e.message.substring(0, 100)}`).join('\n')}` : ''}
-
-${violations.length > 0 ? `\nThreshold Violations:\n${violations.map(v => `- ${v.metric}: ${v.value} ${v.comparison} ${v.threshold}`).join('\n')}` : ''}
-`,
-      htmlMessage: `
-<html>
-<body>
-  <h2>📊 Log Analysis Summary</h2>
-  <table border="1" style="border-collapse: collapse;">
-    <tr><td><strong>Timestamp:</strong></td><td>${results.timestamp}</td></tr>
-    <tr><td><strong>Analysis Window:</strong></td><td>${config.analysis.lookbackMinutes} minutes</td></tr>
-    <tr><td><strong>Total Errors:</strong></td><td style="color: ${summary.totalErrors > 0 ? 'red' : 'green'};">${summary.totalErrors}</td></tr>
-    <tr><td><strong>Threshold Violations:</strong></td><td style="color: ${summary.totalViolations > 0 ? 'red' : 'green'};">${summary.totalViolations}</td></tr>
-    <tr><td><strong>CloudWatch Sources:</strong></td><td>${summary.cloudWatchSources}</td></tr>
-    <tr><td><strong>S3 Sources:</strong></td><td>${summary.s3Sources}</td></tr>
-  </table>
-  
-  ${errors.length > 0 ? `
-    <h3>Recent Errors:</h3>
-    <ul>
-      ${errors.slice(0, 5).map(e => `<li><strong>${e.timestamp}:</strong> ${e.message.substring(0, 100)}...</li>`).join('')}
-    </ul>
-  ` : ''}
-  
-  ${violations.length > 0 ? `
-    <h3>Threshold Violations:</h3>
-    <ul>
-      ${violations.map(v => `<li><strong>${v.metric}:</strong> ${v.value} ${v.comparison} ${v.threshold} ${v.unit || ''}</li>`).join('')}
-    </ul>
-  ` : ''}
-</body>
-</html>
-`
-    };
+    const summaryAlert = alertService.formatSummaryAlert(results, {
+      opened: incidents.opened.length,
+      ongoing: incidents.ongoing.length,
+      resolved: incidents.resolved.length
+    });
+    summaryAlert.metrics = [...new Set(violations.map(v => v.metric))];
 
-    await alertService.sendAlert(
-      summaryAlert,
-      'summary',
-      'INFO'
-    );
+    try {
+      await alertService.sendAlert(
+        summaryAlert,
+        'summary',
+        'INFO'
+      );
+    } catch (error) {
+      console.error('Failed to send summary alert:', error);
+      return { summaryAlertError: error.message };
+    }
+  } else if (!changed) {
+    console.log('No new or resolved incidents - skipping summary');
   } else {
-    console.log('No issues detected - skipping alerts');
+    console.log('No issues detected - skipping summary');
+  }
+  return {};
+}
+
+exports.processAnalysisResults = processAnalysisResults;
+
+/**
+ * Write the run's report to S3 when reports are enabled. A failed export is
+ * logged and doesn't stop the alerts.
+ */
+async function exportReport(results, runId) {
+  if (!config.reports.bucket) {
+    return null;
   }
+  try {
+    return await new ReportExporter().export(results, { runId });
+  } catch (error) {
+    console.error('Failed to export analysis report:', error);
+    return null;
+  }
+}
+
+/**
+ * Send an alert about incidents and, once delivered, record them as notified
+ */
+async function notify(alertService, incidentTracker, alertData, alertType, severity, source, routing) {
+  const deliveries = await alertService.sendAlert(alertData, alertType, severity, source, routing);
+  if (deliveries && deliveries.some(d => d.status === 'sent')) {
+    incidentTracker.markNotified(alertData.incidents);
+  }
+}
+
+/**
+ * The most severe of the violations' (or incidents') severities
+ */
+function highestSeverity(violations) {
+  return ['CRITICAL', 'WARNING', 'INFO'].find(severity => violations.some(v => v.severity === severity)) || 'WARNING';
+}
+
+/**
+ * Source an error was found in: the log group for CloudWatch errors, the S3 key otherwise
+ */
+function errorSource(error) {
+  return error.logGroup || error.source;
 }
 
 // For local testing
@@ -0,0 +1,115 @@
+const config = require('./config');
+
+/**
+ * Read a dotted field path (e.g. "http.status_code") from a parsed record.
+ * A key containing dots is matched as-is before being treated as a path.
+ */
+function getField(record, fieldPath) {
+  if (record[fieldPath] !== undefined) {
+    return record[fieldPath];
+  }
+
+  let value = record;
+  for (const part of fieldPath.split('.')) {
+    if (value === null || typeof value !== 'object') {
+      return undefined;
+    }
+    value = value[part];
+  }
+  return value;
+}
+
+/**
+ * Return the first field from a list of candidate paths that has a value
+ */
+function findField(record, fieldPaths = []) {
+  for (const fieldPath of fieldPaths) {
+    const value = getField(record, fieldPath);
+    if (value !== undefined && value !== null && value !== '') {
+      return value;
+    }
+  }
+  return undefined;
+}
+
+/**
+ * Convert a numeric or string value to a finite number, if possible
+ */
+function toNumber(value) {
+  const number = typeof value === 'number' ? value : parseFloat(value);
+  return Number.isFinite(number) ? number : undefined;
+}
+
+/**
+ * Normalize epoch seconds, epoch milliseconds or date strings to ISO format
+ */
+function toIsoTimestamp(value) {
+  if (value === undefined) return undefined;
+
+  let date;
+  if (typeof value === 'number') {
+    date = new Date(value < 1e12 ? value * 1000 : value);
+  } else {
+    date = new Date(value);
+  }
+  return isNaN(date.getTime()) ? undefined : date.toISOString();
+}
+
+/**
+ * Decide whether a level value denotes an error. Numeric levels follow the
+ * pino/bunyan convention where 50 is error and 60 is fatal.
+ */
+function isErrorLevel(level, errorLevels) {
+  if (typeof level === 'number') {
+    return level >= 50;
+  }
+  return errorLevels.includes(String(level).toLowerCase());
+}
+
+/**
+ * Parse a JSON log line into normalized fields, or return null when the line
+ * is not a JSON object. The JSON may follow a plain text prefix, as in the
+ * Lambda runtime's "<timestamp>\t<requestId>\tINFO\t{...}" format.
+ */
+function parseJsonLine(line, options = config.jsonParsing) {
+  const trimmed = line.trim();
+  if (!trimmed.endsWith('}')) {
+    return null;
+  }
+
+  const start = trimmed.indexOf('{');
+  if (start === -1) {
+    return null;
+  }
+
+  let record;
+  try {
+    record = JSON.parse(trimmed.substring(start));
+  } catch (_error) {
+    return null;
+  }
+  if (!record || typeof record !== 'object' || Array.isArray(record)) {
+    return null;
+  }
+
+  const { fields } = options;
+  const level = findField(record, fields.level);
+  const message = findField(record, fields.message);
+  const status = toNumber(findField(record, fields.status));
+
+  return {
+    record,
+    level,
+    message: message !== undefined ? String(message) : undefined,
+    isError: level !== undefined ? isErrorLevel(level, options.errorLevels) : undefined,
+    timestamp: toIsoTimestamp(findField(record, fields.timestamp)),
+    duration: toNumber(findField(record, fields.duration)),
+    status: status !== undefined ? Math.trunc(status) : undefined,
+    memory: toNumber(findField(record, fields.memory))
+  };
+}
+
+module.exports = {
+  getField,
+  parseJsonLine
+};
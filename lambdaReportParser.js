@@ -0,0 +1,63 @@
+/**
+ * Parser for the Lambda runtime's per-invocation REPORT line, e.g.
+ * REPORT RequestId: 3f1c... Duration: 12.34 ms Billed Duration: 13 ms
+ *   Memory Size: 512 MB Max Memory Used: 480 MB Init Duration: 234.56 ms
+ */
+
+const REPORT_PATTERN = /^(?:.*\s)?REPORT RequestId:\s*(\S+)/;
+const TIMEOUT_PATTERN = /Task timed out after\s+(\d+(?:\.\d+)?)\s*seconds/;
+const RUNTIME_EXIT_PATTERN = /Runtime\.ExitError/;
+
+/**
+ * Read a "<label>: <number> <unit>" field from a REPORT line
+ */
+function readField(line, label) {
+  const match = line.match(new RegExp(`(?:^|\\s)${label}:\\s*(\\d+(?:\\.\\d+)?)`));
+  return match ? parseFloat(match[1]) : undefined;
+}
+
+/**
+ * Parse a REPORT line, or return null when the line is not one
+ */
+function parseReportLine(line) {
+  const match = line.match(REPORT_PATTERN);
+  if (!match) {
+    return null;
+  }
+
+  const memorySize = readField(line, 'Memory Size');
+  const maxMemoryUsed = readField(line, 'Max Memory Used');
+  const initDuration = readField(line, 'Init Duration');
+
+  return {
+    requestId: match[1],
+    duration: readField(line, 'Duration'),
+    billedDuration: readField(line, 'Billed Duration'),
+    memorySize,
+    maxMemoryUsed,
+    memoryPercent: memorySize > 0 && maxMemoryUsed !== undefined
+      ? (maxMemoryUsed / memorySize) * 100
+      : undefined,
+    initDuration,
+    coldStart: initDuration !== undefined
+  };
+}
+
+/**
+ * Detect lines reporting a failed invocation: 'timeout' for "Task timed out",
+ * 'runtime-exit' for Runtime.ExitError, null otherwise
+ */
+function detectInvocationFailure(line) {
+  if (TIMEOUT_PATTERN.test(line)) {
+    return 'timeout';
+  }
+  if (RUNTIME_EXIT_PATTERN.test(line)) {
+    return 'runtime-exit';
+  }
+  return null;
+}
+
+module.exports = {
+  parseReportLine,
+  detectInvocationFailure
+};
@@ -1,13 +1,39 @@
 const { S3Client, ListObjectsV2Command, GetObjectCommand } = require('@aws-sdk/client-s3');
 const { CloudWatchLogsClient, FilterLogEventsCommand } = require('@aws-sdk/client-cloudwatch-logs');
 const zlib = require('zlib');
+const { Readable, pipeline } = require('stream');
+const { StringDecoder } = require('string_decoder');
 const moment = require('moment');
 const config = require('./config');
+const { createStateStore } = require('./stateStore');
+const { parseJsonLine } = require('./jsonLogParser');
+const { parseReportLine, detectInvocationFailure } = require('./lambdaReportParser');
+const { detectLogFormat, createAccessLogParser } = require('./accessLogParsers');
+const { getLogGroupNames, getS3MonitoredPrefixes, getS3Prefixes, getSourceSettings, isSuppressionActive, setDiscoveredLogGroups } = require('./sourceSettings');
+const { addToErrorGroups, mergeErrorGroups, sortErrorGroups } = require('./errorFingerprint');
+const { addToTimeline, assessErrorRate, getEventVolume } = require('./errorRate');
+const BaselineTracker = require('./baselineTracker');
+const LogGroupDiscovery = require('./logGroupDiscovery');
+const { runInsightsQuery, rowsToMetrics } = require('./logsInsights');
+const { buildFilterPattern } = require('./filterPattern');
+const { Redactor } = require('./redactor');
+
+// Threshold violations that are CRITICAL; every other one is a WARNING
+const METRIC_SEVERITY = {
+  'Memory Usage': 'CRITICAL',
+  'Client Error Rate': 'CRITICAL'
+};
 
 class LogAnalyzer {
-  constructor() {
+  constructor(options = {}) {
     this.s3Client = new S3Client({ region: config.s3Config.region });
     this.cloudWatchClient = new CloudWatchLogsClient({ region: config.s3Config.region });
+    this.checkpointStore = options.checkpointStore || createStateStore('s3-checkpoint');
+    this.baselineTracker = options.baselineTracker || new BaselineTracker();
+    this.volumeStore = options.volumeStore || createStateStore('source-volumes');
+    this.logGroupDiscovery = options.logGroupDiscovery || new LogGroupDiscovery();
+    this.redactor = options.redactor || new Redactor();
+    this.sourceSettings = new Map();
   }
 
   /**
@@ -16,35 +42,49 @@ class LogAnalyzer {
   async analyzeCloudWatchLogs() {
     const results = {
       errors: [],
+      errorGroups: {},
       metrics: {},
-      violations: []
+      violations: [],
+      scanCoverage: {}
     };
 
+    results.logGroupDiscovery = await this.discoverLogGroups(results);
     const endTime = Date.now();
-    const startTime = endTime - (config.analysis.lookbackMinutes * 60 * 1000);
 
-    for (const logGroup of config.logGroups) {
+    for (const logGroup of getLogGroupNames()) {
       try {
         console.log(`Analyzing CloudWatch log group: ${logGroup}`);
 
-        const params = {
-          logGroupName: logGroup,
-          startTime: startTime,
-          endTime: endTime,
-          limit: config.analysis.batchSize
-        };
-
-        const command = new FilterLogEventsCommand(params);
-        const response = await this.cloudWatchClient.send(command);
-
-        if (response.events && response.events.length > 0) {
-          const logGroupResults = this.processLogEvents(response.events, logGroup);
-          results.errors.push(...logGroupResults.errors);
-          results.metrics[logGroup] = logGroupResults.metrics;
-          results.violations.push(...logGroupResults.violations);
+        const { lookbackMinutes, insights, errorPatterns } = this.getSettings(logGroup);
+        const startTime = endTime - (lookbackMinutes * 60 * 1000);
+
+        if (insights) {
+          const { metrics, coverage } = await this.queryLogGroupInsights(logGroup, startTime, endTime, insights);
+          results.scanCoverage[logGroup] = coverage;
+          results.metrics[logGroup] = metrics;
+          results.violations.push(...this.checkThresholds(metrics, logGroup));
+          continue;
         }
+
+        const filterPattern = this.getFilterPattern(logGroup, errorPatterns);
+        const { events, coverage, eventCounts } = filterPattern
+          ? await this.fetchCandidateEvents(logGroup, startTime, endTime, filterPattern)
+          : await this.fetchLogGroupEvents(logGroup, startTime, endTime);
+        results.scanCoverage[logGroup] = coverage;
+
+        if (coverage.status === 'partial') {
+          console.log(`Log group ${logGroup} only partially scanned (${coverage.stopReason}): ${coverage.events} events in ${coverage.pages} pages`);
+        }
+
+        // Groups without events are kept (totalEvents 0) so silence is visible
+        const logGroupResults = this.processLogEvents(events, logGroup, eventCounts);
+        results.errors.push(...logGroupResults.errors);
+        mergeErrorGroups(results.errorGroups, logGroupResults.errorGroups);
+        results.metrics[logGroup] = logGroupResults.metrics;
+        results.violations.push(...logGroupResults.violations);
       } catch (error) {
         console.error(`Error analyzing log group ${logGroup}:`, error);
+        results.scanCoverage[logGroup] = { status: 'failed', error: error.message };
         results.errors.push({
           timestamp: new Date().toISOString(),
           logGroup: logGroup,
@@ -57,55 +97,330 @@ class LogAnalyzer {
     return results;
   }
 
+  /**
+   * Expand the log group discovery sources, so the discovered groups are
+   * analyzed alongside the configured ones. Returns what was discovered,
+   * added and removed since the last run, or null without discovery sources.
+   * A failed discovery is recorded as an analyzer error and keeps the groups
+   * this container discovered last, if any.
+   */
+  async discoverLogGroups(results) {
+    try {
+      const discovery = await this.logGroupDiscovery.discover(this.cloudWatchClient);
+      setDiscoveredLogGroups(discovery ? discovery.logGroups : []);
+      if (!discovery) {
+        return null;
+      }
+
+      const { discovered, added, removed, cached, stale } = discovery;
+      console.log(`Discovered ${discovered.length} log groups${cached ? ' (cached)' : ''}: ${added.length} added, ${removed.length} removed`);
+      return { discovered, added, removed, cached, ...(stale && { stale }) };
+    } catch (error) {
+      console.error('Error discovering log groups:', error);
+      results.errors.push({
+        timestamp: new Date().toISOString(),
+        message: `Failed to discover log groups: ${error.message}`,
+        source: 'log-analyzer'
+      });
+      return { discovered: [], added: [], removed: [], error: error.message };
+    }
+  }
+
+  /**
+   * The filter pattern to fetch a log group's events with, or null to fetch
+   * them all. 'auto' is built from the group's error patterns (when they are
+   * simple enough to translate) and the JSON error levels; Lambda groups also
+   * fetch their cold start REPORT lines for the cold start and init duration
+   * checks.
+   */
+  getFilterPattern(logGroup, errorPatterns) {
+    const { filterPattern } = this.getSettings(logGroup);
+    if (filterPattern !== 'auto') {
+      return filterPattern;
+    }
+
+    const built = buildFilterPattern(errorPatterns, {
+      errorLevels: config.jsonParsing.enabled ? config.jsonParsing.errorLevels : [],
+      coldStarts: logGroup.startsWith('/aws/lambda/')
+    });
+    if (!built) {
+      console.log(`Error patterns of ${logGroup} can't be translated to a filter pattern; reading every event`);
+    }
+    return built;
+  }
+
+  /**
+   * Fetch only the events matching a filter pattern, while a Logs Insights
+   * query counts every event in the window per minute. When the count query
+   * fails every event is fetched instead, as the error rate needs the volume;
+   * when it reaches its row limit the counts may be short and the group is
+   * only partially covered.
+   */
+  async fetchCandidateEvents(logGroup, startTime, endTime, filterPattern) {
+    const [fetched, counted] = await Promise.allSettled([
+      this.fetchLogGroupEvents(logGroup, startTime, endTime, filterPattern),
+      this.countLogGroupEvents(logGroup, startTime, endTime)
+    ]);
+    if (fetched.status === 'rejected') {
+      throw fetched.reason;
+    }
+    if (counted.status === 'rejected') {
+      console.error(`Event count query for ${logGroup} failed, reading every event instead:`, counted.reason);
+      return this.fetchLogGroupEvents(logGroup, startTime, endTime);
+    }
+
+    const { events, coverage } = fetched.value;
+    coverage.filterPattern = filterPattern;
+    coverage.totalEvents = counted.value.totalEvents;
+    if (counted.value.truncated) {
+      coverage.status = 'partial';
+      coverage.stopReason = coverage.stopReason || 'row-limit';
+    }
+    return { events, coverage, eventCounts: counted.value };
+  }
+
+  /**
+   * Count a log group's events per minute with the filterPushdown count
+   * query, along with the response time and memory aggregates and the Lambda
+   * invocations it returns, and whether its rows were truncated
+   */
+  async countLogGroupEvents(logGroup, startTime, endTime) {
+    const { rows, truncated } = await runInsightsQuery(this.cloudWatchClient, {
+      logGroup,
+      startTime,
+      endTime,
+      query: config.filterPushdown.countQuery,
+      timeoutSeconds: config.insights.timeoutSeconds,
+      pollIntervalMs: config.insights.pollIntervalMs,
+      limit: config.insights.limit
+    });
+    const { totalEvents, eventsPerMinute = {}, aggregates, invocations } = rowsToMetrics(rows);
+    return { totalEvents, eventsPerMinute, aggregates, invocations, truncated };
+  }
+
+  /**
+   * Fetch all FilterLogEvents pages for a log group (only those matching
+   * filterPattern, when given), stopping early when the per-group event cap
+   * or time budget is reached
+   */
+  async fetchLogGroupEvents(logGroup, startTime, endTime, filterPattern) {
+    const maxEvents = config.analysis.maxEventsPerGroup;
+    const deadline = Date.now() + (config.analysis.maxScanSecondsPerGroup * 1000);
+    const events = [];
+    const coverage = {
+      status: 'complete',
+      pages: 0,
+      events: 0,
+      windowStart: new Date(startTime).toISOString(),
+      windowEnd: new Date(endTime).toISOString()
+    };
+
+    let nextToken;
+    do {
+      const params = {
+        logGroupName: logGroup,
+        startTime: startTime,
+        endTime: endTime,
+        limit: Math.min(config.analysis.batchSize, maxEvents - events.length)
+      };
+      if (filterPattern) {
+        params.filterPattern = filterPattern;
+      }
+      if (nextToken) {
+        params.nextToken = nextToken;
+      }
+
+      const command = new FilterLogEventsCommand(params);
+      const response = await this.cloudWatchClient.send(command);
+      coverage.pages++;
+
+      if (response.events && response.events.length > 0) {
+        events.push(...response.events);
+      }
+      nextToken = response.nextToken;
+
+      if (nextToken && events.length >= maxEvents) {
+        coverage.status = 'partial';
+        coverage.stopReason = 'event-cap';
+      } else if (nextToken && Date.now() >= deadline) {
+        coverage.status = 'partial';
+        coverage.stopReason = 'time-budget';
+      }
+    } while (nextToken && coverage.status === 'complete');
+
+    coverage.events = events.length;
+    if (coverage.status === 'partial' && events.length > 0) {
+      // Latest event seen tells how far into the lookback window the scan got
+      const latest = events.reduce((max, e) => Math.max(max, e.timestamp), 0);
+      coverage.coveredUntil = new Date(latest).toISOString();
+    }
+
+    return { events, coverage };
+  }
+
+  /**
+   * Aggregate a log group with its Logs Insights query instead of reading its
+   * events. The metrics hold counts and aggregates only: no error samples are
+   * stored, so error rate breaches are reported as threshold violations.
+   */
+  async queryLogGroupInsights(logGroup, startTime, endTime, insights) {
+    const { queryId, rows, statistics, truncated } = await runInsightsQuery(this.cloudWatchClient, {
+      logGroup,
+      startTime,
+      endTime,
+      query: insights.query,
+      timeoutSeconds: insights.timeoutSeconds,
+      pollIntervalMs: insights.pollIntervalMs,
+      limit: insights.limit
+    });
+    const metrics = rowsToMetrics(rows);
+    if (truncated) {
+      console.log(`Logs Insights query on ${logGroup} reached its limit of ${insights.limit} rows; counts may be incomplete`);
+    }
+
+    return {
+      metrics,
+      coverage: {
+        status: truncated ? 'partial' : 'complete',
+        ...(truncated && { stopReason: 'row-limit' }),
+        mode: 'insights',
+        queryId,
+        rows: rows.length,
+        events: metrics.totalEvents,
+        recordsScanned: statistics.recordsScanned,
+        bytesScanned: statistics.bytesScanned,
+        windowStart: new Date(startTime).toISOString(),
+        windowEnd: new Date(endTime).toISOString()
+      }
+    };
+  }
+
   /**
    * Analyze S3 logs for errors and patterns
    */
   async analyzeS3Logs() {
     const results = {
       errors: [],
+      errorGroups: {},
       metrics: {},
-      violations: []
+      violations: [],
+      s3Scan: {
+        listed: 0,
+        tooOld: 0,
+        alreadyProcessed: 0,
+        processed: 0,
+        deferred: 0,
+        failed: 0,
+        recentFiles: null,
+        // Per monitored prefix: 'complete' when every new file was read,
+        // 'partial' when some were deferred or failed, 'no-new-files', or
+        // 'failed' when the run stopped before reading it
+        coverage: {}
+      }
     };
+    const scan = results.s3Scan;
 
     try {
       console.log(`Analyzing S3 logs from bucket: ${config.s3Config.bucket}`);
 
-      // List recent log files
-      const listParams = {
-        Bucket: config.s3Config.bucket,
-        Prefix: config.s3Config.prefix,
-        MaxKeys: 100
-      };
+      const checkpoint = await this.checkpointStore.read();
+      const processedFiles = checkpoint.processed || {};
+      // Deferred files by key and ETag, so an object overwritten since is
+      // judged by its new LastModified
+      const deferredBefore = checkpoint.deferred || {};
+      const wasDeferred = obj => deferredBefore[obj.Key] === obj.ETag;
+      const startAfter = config.s3Config.listFromCheckpoint ? checkpoint.startAfter || {} : {};
 
-      const listCommand = new ListObjectsV2Command(listParams);
-      const listResponse = await this.s3Client.send(listCommand);
+      // Files older than the max file age are never analyzed (bounds the very
+      // first run); a file is recent while within its source's lookback
+      const maxAge = moment().subtract(config.s3Config.maxFileAgeMinutes, 'minutes');
+      const isTooOld = obj => !moment(obj.LastModified).isAfter(maxAge);
+      const isRecent = obj => moment(obj.LastModified)
+        .isAfter(moment().subtract(this.getSettings(obj.Key).lookbackMinutes, 'minutes'));
+
+      const objects = [];
+      const nextStartAfter = {};
+      for (const prefix of getS3Prefixes()) {
+        const listed = await this.listS3LogFiles(prefix, startAfter[prefix]);
+        objects.push(...listed);
 
-      if (!listResponse.Contents || listResponse.Contents.length === 0) {
+        // In date-partitioned layouts new files sort after the older ones, so
+        // the next listing can start after the leading run of keys that are
+        // too old to be picked up again
+        let highWater = startAfter[prefix];
+        for (const obj of listed) {
+          if (!isTooOld(obj) || wasDeferred(obj)) {
+            break;
+          }
+          highWater = obj.Key;
+        }
+        if (highWater) {
+          nextStartAfter[prefix] = highWater;
+        }
+      }
+      scan.listed = objects.length;
+      scan.recentFiles = {};
+
+      if (objects.length === 0) {
         console.log('No log files found in S3');
+        this.setS3Coverage(scan, [], new Set());
         return results;
       }
 
-      // Filter files by modification time (last hour)
-      const cutoffTime = moment().subtract(config.analysis.lookbackMinutes, 'minutes');
-      const recentFiles = listResponse.Contents.filter(obj =>
-        moment(obj.LastModified).isAfter(cutoffTime)
-      );
+      // Except for those a previous run deferred
+      const candidates = objects.filter(obj => !isTooOld(obj) || wasDeferred(obj));
+      scan.tooOld = objects.length - candidates.length;
+      for (const obj of objects.filter(isRecent)) {
+        const source = this.getSettings(obj.Key).monitoredSource;
+        scan.recentFiles[source] = (scan.recentFiles[source] || 0) + 1;
+      }
+
+      // A file is new until its current ETag has been processed
+      const pendingFiles = candidates
+        .filter(obj => processedFiles[obj.Key] !== obj.ETag)
+        .sort((a, b) => new Date(a.LastModified) - new Date(b.LastModified));
+      scan.alreadyProcessed = candidates.length - pendingFiles.length;
 
-      console.log(`Found ${recentFiles.length} recent log files`);
+      // Oldest first; whatever doesn't fit is picked up by the next run,
+      // however old it is by then
+      const filesToProcess = pendingFiles.slice(0, config.s3Config.maxFilesPerRun);
+      const deferredFiles = pendingFiles.slice(filesToProcess.length);
+      scan.deferred = deferredFiles.length;
 
-      // Process each file
-      for (const file of recentFiles.slice(0, 10)) { // Limit to 10 files
+      console.log(`Found ${pendingFiles.length} unprocessed log files, processing ${filesToProcess.length}`);
+
+      const readKeys = new Set();
+      for (const file of filesToProcess) {
         try {
-          const fileResults = await this.processS3LogFile(file.Key);
-          results.errors.push(...fileResults.errors);
-          Object.assign(results.metrics, fileResults.metrics);
-          results.violations.push(...fileResults.violations);
+          this.mergeSourceResults(results, file.Key, await this.processS3LogFile(file.Key));
+          processedFiles[file.Key] = file.ETag;
+          readKeys.add(file.Key);
+          scan.processed++;
         } catch (error) {
           console.error(`Error processing S3 file ${file.Key}:`, error);
+          scan.failed++;
+        }
+      }
+      this.setS3Coverage(scan, pendingFiles, readKeys);
+
+      // Only keep checkpoint entries for files that can still be picked up
+      const retainedFiles = {};
+      for (const obj of candidates) {
+        if (processedFiles[obj.Key]) {
+          retainedFiles[obj.Key] = processedFiles[obj.Key];
         }
       }
+      await this.checkpointStore.write({
+        processed: retainedFiles,
+        deferred: Object.fromEntries(deferredFiles.map(obj => [obj.Key, obj.ETag])),
+        startAfter: nextStartAfter,
+        updatedAt: new Date().toISOString()
+      });
     } catch (error) {
       console.error('Error analyzing S3 logs:', error);
+      for (const prefix of getS3MonitoredPrefixes()) {
+        scan.coverage[prefix] = scan.coverage[prefix] || { status: 'failed', error: error.message };
+      }
       results.errors.push({
         timestamp: new Date().toISOString(),
         source: 's3-analyzer',
@@ -116,6 +431,56 @@ class LogAnalyzer {
     return results;
   }
 
+  /**
+   * Record how much of each monitored prefix a run read, from the new files
+   * found under it and the keys of those that were read
+   */
+  setS3Coverage(scan, pendingFiles, readKeys) {
+    for (const prefix of getS3MonitoredPrefixes()) {
+      const pending = pendingFiles.filter(obj => this.getSettings(obj.Key).monitoredSource === prefix);
+      const files = pending.filter(obj => readKeys.has(obj.Key)).length;
+      let status = 'partial';
+      if (pending.length === 0) {
+        status = 'no-new-files';
+      } else if (files === pending.length) {
+        status = 'complete';
+      }
+      scan.coverage[prefix] = { status, files, pending: pending.length };
+    }
+  }
+
+  /**
+   * List every object under a prefix (after the `startAfter` key, when
+   * given), following continuation tokens
+   */
+  async listS3LogFiles(prefix, startAfter) {
+    const objects = [];
+    let continuationToken;
+
+    do {
+      const listParams = {
+        Bucket: config.s3Config.bucket,
+        Prefix: prefix,
+        MaxKeys: 1000
+      };
+      if (continuationToken) {
+        listParams.ContinuationToken = continuationToken;
+      } else if (startAfter) {
+        listParams.StartAfter = startAfter;
+      }
+
+      const listCommand = new ListObjectsV2Command(listParams);
+      const listResponse = await this.s3Client.send(listCommand);
+
+      if (listResponse.Contents) {
+        objects.push(...listResponse.Contents);
+      }
+      continuationToken = listResponse.IsTruncated ? listResponse.NextContinuationToken : undefined;
+    } while (continuationToken);
+
+    return objects;
+  }
+
   /**
    * Process individual S3 log file
    */
@@ -128,30 +493,87 @@ class LogAnalyzer {
     const command = new GetObjectCommand(params);
     const response = await this.s3Client.send(command);
 
-    let content;
+    return this.processLogStream(response.Body, key);
+  }
+
+  /**
+   * Process a plain text or gzipped log stream line by line, so memory use
+   * doesn't grow with file size
+   */
+  async processLogStream(stream, source) {
+    const results = this.createLineResults();
+    let parser;
 
-    // Handle gzipped files
-    if (key.endsWith('.gz')) {
-      const chunks = [];
-      for await (const chunk of response.Body) {
-        chunks.push(chunk);
+    for await (const line of this.readLines(await this.decompressStream(stream))) {
+      if (line.trim()) {
+        if (parser === undefined) {
+          parser = this.createLineParser(source, line, results.metrics);
+        }
+        this.addLogLine(results, line, source, parser);
+      }
+    }
+
+    return this.finalizeResults(results, source);
+  }
+
+  /**
+   * Return a stream of decompressed content, detecting gzip by its magic bytes
+   */
+  async decompressStream(stream) {
+    const iterator = stream[Symbol.asyncIterator]();
+    const first = await iterator.next();
+
+    // Put the sniffed chunk back in front of the rest of the stream
+    const rewound = Readable.from((async function* () {
+      if (first.done) return;
+      yield first.value;
+      for (let next = await iterator.next(); !next.done; next = await iterator.next()) {
+        yield next.value;
+      }
+    })());
+
+    const head = first.done ? Buffer.alloc(0) : Buffer.from(first.value);
+    if (head.length >= 2 && head[0] === 0x1f && head[1] === 0x8b) {
+      // createGunzip keeps going across concatenated (multi-member) gzip files
+      return pipeline(rewound, zlib.createGunzip(), () => {});
+    }
+    return rewound;
+  }
+
+  /**
+   * Split a byte stream into lines without buffering the whole content
+   */
+  async *readLines(stream) {
+    const decoder = new StringDecoder('utf8');
+    let pending = '';
+
+    for await (const chunk of stream) {
+      pending += typeof chunk === 'string' ? chunk : decoder.write(chunk);
+      const lines = pending.split('\n');
+      pending = lines.pop();
+      for (const line of lines) {
+        yield line.endsWith('\r') ? line.slice(0, -1) : line;
       }
-      const buffer = Buffer.concat(chunks);
-      content = zlib.gunzipSync(buffer).toString();
-    } else {
-      content = await response.Body.transformToString();
     }
 
-    const lines = content.split('\n').filter(line => line.trim());
-    return this.processLogLines(lines, key);
+    pending += decoder.end();
+    if (pending) {
+      yield pending;
+    }
   }
 
   /**
-   * Process CloudWatch log events
+   * Process CloudWatch log events. When only candidate error lines were
+   * fetched, `eventCounts` ({ totalEvents, eventsPerMinute, aggregates,
+   * invocations }) gives the volume of every event in the window, and its
+   * aggregates replace the response time, memory and status code samples of
+   * the candidate lines, which would describe the errors only. Only cold
+   * start REPORT lines are fetched, so invocations come from the counts too.
    */
-  processLogEvents(events, logGroup) {
+  processLogEvents(events, logGroup, eventCounts) {
     const results = {
       errors: [],
+      errorGroups: {},
       metrics: {
         totalEvents: events.length,
         errorCount: 0,
@@ -165,22 +587,34 @@ class LogAnalyzer {
       const message = event.message;
       const timestamp = new Date(event.timestamp).toISOString();
 
-      // Check for error patterns
-      const isError = config.errorPatterns.some(pattern => pattern.test(message));
+      // Check for errors and extract metrics from log messages
+      const { isError, text } = this.inspectMessage(message, results.metrics, logGroup);
+      addToTimeline(results.metrics, event.timestamp, isError);
       if (isError) {
-        results.errors.push({
+        this.recordError(results, {
           timestamp,
           logGroup,
-          message: message.substring(0, 500), // Truncate long messages
+          message,
           source: 'cloudwatch'
-        });
-        results.metrics.errorCount++;
+        }, text);
       }
-
-      // Extract metrics from log messages
-      this.extractMetrics(message, results.metrics);
     });
 
+    if (eventCounts) {
+      results.metrics.candidateEvents = events.length;
+      results.metrics.totalEvents = eventCounts.totalEvents;
+      results.metrics.eventsPerMinute = eventCounts.eventsPerMinute;
+      results.metrics.responseTimes = [];
+      results.metrics.memoryUsage = [];
+      results.metrics.aggregates = eventCounts.aggregates || {};
+      delete results.metrics.statusCodes;
+      if (eventCounts.invocations) {
+        results.metrics.invocations = eventCounts.invocations;
+      } else {
+        delete results.metrics.invocations;
+      }
+    }
+
     // Check for threshold violations
     results.violations.push(...this.checkThresholds(results.metrics, logGroup));
 
@@ -191,39 +625,302 @@ class LogAnalyzer {
    * Process log lines from S3 files
    */
   processLogLines(lines, source) {
-    const results = {
+    const results = this.createLineResults();
+    let parser;
+
+    lines.forEach(line => {
+      if (parser === undefined) {
+        parser = this.createLineParser(source, line, results.metrics);
+      }
+      this.addLogLine(results, line, source, parser);
+    });
+
+    return this.finalizeResults(results, source);
+  }
+
+  /**
+   * Create an empty result set for line-based log sources
+   */
+  createLineResults() {
+    return {
       errors: [],
+      errorGroups: {},
       metrics: {
-        totalLines: lines.length,
+        totalLines: 0,
         errorCount: 0,
         responseTimes: [],
         statusCodes: {}
       },
       violations: []
     };
+  }
 
-    lines.forEach(line => {
-      // Check for error patterns
-      const isError = config.errorPatterns.some(pattern => pattern.test(line));
+  /**
+   * Detect the log format of a source from its first line and create the
+   * matching access log parser (null for free text)
+   */
+  createLineParser(source, firstLine, metrics) {
+    const format = detectLogFormat(source, firstLine);
+    metrics.logFormat = format;
+    return createAccessLogParser(format);
+  }
+
+  /**
+   * Accumulate a single log line into a line-based result set
+   */
+  addLogLine(results, line, source, parser) {
+    const record = parser ? parser.parse(line) : undefined;
+    if (record === null) {
+      // Header or comment line of a structured format
+      return;
+    }
+
+    results.metrics.totalLines++;
+
+    if (record) {
+      this.recordAccessLogEntry(record, results.metrics);
+      const isError = record.isError && !this.suppressError(line, results.metrics, this.getSettings(source));
+      addToTimeline(results.metrics, record.timestamp, isError);
       if (isError) {
-        results.errors.push({
-          timestamp: this.extractTimestamp(line) || new Date().toISOString(),
+        this.recordError(results, {
+          timestamp: record.timestamp,
           source: source,
-          message: line.substring(0, 500)
+          message: line
         });
-        results.metrics.errorCount++;
       }
+      return;
+    }
 
-      // Extract metrics
-      this.extractMetrics(line, results.metrics);
-    });
+    // Check for errors and extract metrics
+    const { isError, timestamp, text } = this.inspectMessage(line, results.metrics, source);
+    const lineTimestamp = timestamp || this.extractTimestamp(line);
+    addToTimeline(results.metrics, lineTimestamp, isError);
+    if (isError) {
+      this.recordError(results, {
+        timestamp: lineTimestamp || new Date().toISOString(),
+        source: source,
+        message: line
+      }, text);
+    }
+  }
 
-    // Check for threshold violations
-    results.violations.push(...this.checkThresholds(results.metrics, source));
+  /**
+   * Accumulate the metrics of a parsed access log record
+   */
+  recordAccessLogEntry(record, metrics) {
+    if (record.status !== undefined) {
+      metrics.requestCount = (metrics.requestCount || 0) + 1;
+      metrics.statusCodes[record.status] = (metrics.statusCodes[record.status] || 0) + 1;
+      if (record.isClientError) {
+        metrics.clientErrorCount = (metrics.clientErrorCount || 0) + 1;
+      }
+    }
+
+    if (record.durationMs !== undefined) {
+      this.recordSample(metrics, 'responseTimes', record.durationMs);
+    }
+    if (record.targetProcessingMs !== undefined) {
+      this.recordSample(metrics, 'targetProcessingTimes', record.targetProcessingMs);
+    }
+    if (record.requestProcessingMs !== undefined) {
+      this.recordSample(metrics, 'requestProcessingTimes', record.requestProcessingMs);
+    }
 
+    if (record.flowAction) {
+      metrics.flowRecords = (metrics.flowRecords || 0) + 1;
+      metrics.bytesTransferred = (metrics.bytesTransferred || 0) + record.bytes;
+      if (record.flowAction === 'REJECT') {
+        metrics.rejectedFlows = (metrics.rejectedFlows || 0) + 1;
+      }
+    }
+  }
+
+  /**
+   * Check thresholds once all lines of a source have been accumulated
+   */
+  finalizeResults(results, source) {
+    results.violations.push(...this.checkThresholds(results.metrics, source));
     return results;
   }
 
+  /**
+   * Count an error and add it to its fingerprint group, keeping at most
+   * maxStoredErrorsPerSource error samples. `text` is the part of the message
+   * to fingerprint when it isn't the whole message (e.g. a JSON message field).
+   * Messages are redacted before they are truncated, so a secret cut short by
+   * the truncation is still recognized.
+   */
+  recordError(results, error, text) {
+    results.metrics.errorCount++;
+    error.message = this.redactor.redact(error.message).substring(0, 500);
+    const redactedText = text === undefined ? undefined : this.redactor.redact(text, { count: false });
+    error.fingerprint = addToErrorGroups(results.errorGroups, error, redactedText);
+    if (results.errors.length < config.analysis.maxStoredErrorsPerSource) {
+      results.errors.push(error);
+    }
+  }
+
+  /**
+   * Add a metric sample, switching to reservoir sampling once maxMetricSamples
+   * values are held so long files keep a bounded, unbiased sample
+   */
+  recordSample(metrics, name, value) {
+    if (!metrics[name]) {
+      metrics[name] = [];
+    }
+
+    const samples = metrics[name];
+    if (samples.length < config.analysis.maxMetricSamples) {
+      samples.push(value);
+      return;
+    }
+
+    metrics.sampledFrom = metrics.sampledFrom || {};
+    const seen = (metrics.sampledFrom[name] || samples.length) + 1;
+    metrics.sampledFrom[name] = seen;
+
+    const slot = Math.floor(Math.random() * seen);
+    if (slot < samples.length) {
+      samples[slot] = value;
+    }
+  }
+
+  /**
+   * Get the effective settings for a source, resolved once per analyzer;
+   * only the suppressions in effect at that time are kept
+   */
+  getSettings(source) {
+    if (!this.sourceSettings.has(source)) {
+      const settings = getSourceSettings(source);
+      const now = Date.now();
+      this.sourceSettings.set(source, {
+        ...settings,
+        suppressions: settings.suppressions.filter(rule => isSuppressionActive(rule, now))
+      });
+    }
+    return this.sourceSettings.get(source);
+  }
+
+  /**
+   * Classify a message as error or not and extract its metrics, applying the
+   * source's ignore patterns and suppressions to whatever was classified as
+   * an error
+   */
+  inspectMessage(message, metrics, source) {
+    const settings = this.getSettings(source);
+    const result = this.classifyMessage(message, metrics, settings);
+
+    if (result.isError && this.suppressError(message, metrics, settings)) {
+      result.isError = false;
+    }
+    return result;
+  }
+
+  /**
+   * Check an error line against the source's ignore patterns and active
+   * suppressions. A suppressed error is counted in metrics.suppressedErrors
+   * and, per rule, in metrics.suppressions instead of as an error.
+   */
+  suppressError(line, metrics, settings) {
+    let rule;
+    if (this.matchesAny(line, settings.ignorePatterns)) {
+      rule = 'ignorePatterns';
+    } else {
+      const suppression = settings.suppressions.find(candidate => !candidate.pattern || candidate.pattern.test(line));
+      rule = suppression && suppression.name;
+    }
+    if (!rule) {
+      return false;
+    }
+
+    metrics.suppressedErrors = (metrics.suppressedErrors || 0) + 1;
+    metrics.suppressions = metrics.suppressions || {};
+    metrics.suppressions[rule] = (metrics.suppressions[rule] || 0) + 1;
+    return true;
+  }
+
+  /**
+   * Classify a message and extract its metrics, reading structured fields from
+   * REPORT and JSON lines and falling back to the error patterns otherwise
+   */
+  classifyMessage(message, metrics, settings) {
+    const report = parseReportLine(message);
+    if (report) {
+      this.recordLambdaReport(report, metrics);
+      return { isError: false };
+    }
+
+    const failure = detectInvocationFailure(message);
+    if (failure) {
+      const counter = failure === 'timeout' ? 'timeouts' : 'runtimeExits';
+      metrics[counter] = (metrics[counter] || 0) + 1;
+      return { isError: true };
+    }
+
+    const parsed = config.jsonParsing.enabled ? parseJsonLine(message) : null;
+
+    if (!parsed) {
+      this.extractMetrics(message, metrics);
+      return { isError: this.matchesAny(message, settings.errorPatterns) };
+    }
+
+    this.extractJsonMetrics(parsed, metrics);
+
+    // Without a level field, fall back to the error patterns on the message text
+    const isError = parsed.isError !== undefined
+      ? parsed.isError
+      : this.matchesAny(parsed.message !== undefined ? parsed.message : message, settings.errorPatterns);
+
+    return { isError, timestamp: parsed.timestamp, text: parsed.message };
+  }
+
+  /**
+   * Check a message against a list of patterns
+   */
+  matchesAny(message, patterns) {
+    return patterns.some(pattern => pattern.test(message));
+  }
+
+  /**
+   * Record the duration, memory and cold start figures of a Lambda REPORT line
+   */
+  recordLambdaReport(report, metrics) {
+    metrics.invocations = (metrics.invocations || 0) + 1;
+
+    if (report.duration !== undefined) {
+      this.recordSample(metrics, 'responseTimes', report.duration);
+    }
+
+    if (report.memoryPercent !== undefined) {
+      this.recordSample(metrics, 'memoryUsage', report.memoryPercent);
+    }
+
+    if (report.coldStart) {
+      metrics.coldStarts = (metrics.coldStarts || 0) + 1;
+      this.recordSample(metrics, 'initDurations', report.initDuration);
+    }
+  }
+
+  /**
+   * Extract metrics from the normalized fields of a parsed JSON line
+   */
+  extractJsonMetrics(parsed, metrics) {
+    if (parsed.duration !== undefined) {
+      this.recordSample(metrics, 'responseTimes', parsed.duration);
+    }
+
+    if (parsed.memory !== undefined) {
+      this.recordSample(metrics, 'memoryUsage', parsed.memory);
+    }
+
+    if (parsed.status !== undefined && parsed.status >= 100 && parsed.status <= 599) {
+      if (!metrics.statusCodes) {
+        metrics.statusCodes = {};
+      }
+      metrics.statusCodes[parsed.status] = (metrics.statusCodes[parsed.status] || 0) + 1;
+    }
+  }
+
   /**
    * Extract metrics from log messages
    */
@@ -231,19 +928,13 @@ class LogAnalyzer {
     // Extract response time
     const responseTimeMatch = message.match(/(?:duration|time|elapsed)[:\s]+(\d+(?:\.\d+)?)\s*(?:ms|milliseconds)/i);
     if (responseTimeMatch) {
-      if (!metrics.responseTimes) {
-        metrics.responseTimes = [];
-      }
-      metrics.responseTimes.push(parseFloat(responseTimeMatch[1]));
+      this.recordSample(metrics, 'responseTimes', parseFloat(responseTimeMatch[1]));
     }
 
-    // Extract memory usage
-    const memoryMatch = message.match(/memory[:\s]+(\d+(?:\.\d+)?)\s*(?:mb|gb|%)/i);
+    // Extract memory usage (percentages only; absolute MB/GB values can't be compared to maxMemoryPercent)
+    const memoryMatch = message.match(/memory(?:\s+usage)?[:\s]+(\d+(?:\.\d+)?)\s*%/i);
     if (memoryMatch) {
-      if (!metrics.memoryUsage) {
-        metrics.memoryUsage = [];
-      }
-      metrics.memoryUsage.push(parseFloat(memoryMatch[1]));
+      this.recordSample(metrics, 'memoryUsage', parseFloat(memoryMatch[1]));
     }
 
     // Extract HTTP status codes
@@ -271,52 +962,86 @@ class LogAnalyzer {
     for (const pattern of patterns) {
       const match = line.match(pattern);
       if (match) {
-        return new Date(match[1]).toISOString();
+        const date = new Date(match[1]);
+        return Number.isNaN(date.getTime()) ? null : date.toISOString();
       }
     }
     return null;
   }
 
+  /**
+   * Average and p95 response time of a source, from its samples or, for
+   * Logs Insights sources, from the query's aggregates
+   */
+  responseTimeStats(metrics) {
+    if (metrics.responseTimes && metrics.responseTimes.length > 0) {
+      return {
+        avgResponseTime: metrics.responseTimes.reduce((a, b) => a + b) / metrics.responseTimes.length,
+        p95ResponseTime: this.calculatePercentile(metrics.responseTimes, 95)
+      };
+    }
+    const { avgResponseTime, p95ResponseTime } = metrics.aggregates || {};
+    return { avgResponseTime, p95ResponseTime };
+  }
+
   /**
    * Check for threshold violations
    */
   checkThresholds(metrics, source) {
     const violations = [];
+    const { thresholds } = this.getSettings(source);
 
-    // Check error rate
-    if (metrics.totalEvents > 0 || metrics.totalLines > 0) {
-      if (metrics.errorCount > config.thresholds.errorRate.maxErrors) {
-        violations.push({
-          metric: 'Error Count',
-          value: metrics.errorCount,
-          threshold: config.thresholds.errorRate.maxErrors,
-          comparison: 'exceeds',
-          source: source
-        });
-      }
+    // Check error rate (absolute count below the minimum volume) in the
+    // peak timeWindow-minute window
+    const errorRate = assessErrorRate(metrics, thresholds.errorRate);
+    const peakWindow = errorRate.window
+      ? { windowStart: errorRate.window.start, windowEnd: errorRate.window.end, windowMinutes: errorRate.window.minutes }
+      : {};
+    if (errorRate.exceeded && errorRate.basis === 'rate') {
+      violations.push({
+        metric: 'Error Rate',
+        value: errorRate.percent.toFixed(1),
+        threshold: thresholds.errorRate.maxErrorPercent,
+        comparison: 'exceeds',
+        unit: '%',
+        errorCount: errorRate.errorCount,
+        volume: errorRate.volume,
+        ...peakWindow,
+        severity: errorRate.severity,
+        source: source
+      });
+    } else if (errorRate.exceeded) {
+      violations.push({
+        metric: 'Error Count',
+        value: errorRate.errorCount,
+        threshold: thresholds.errorRate.maxErrors,
+        comparison: 'exceeds',
+        volume: errorRate.volume,
+        ...peakWindow,
+        severity: errorRate.severity,
+        source: source
+      });
     }
 
     // Check response times
-    if (metrics.responseTimes && metrics.responseTimes.length > 0) {
-      const avgResponseTime = metrics.responseTimes.reduce((a, b) => a + b) / metrics.responseTimes.length;
-      const p95ResponseTime = this.calculatePercentile(metrics.responseTimes, 95);
-
-      if (avgResponseTime > config.thresholds.responseTime.maxAvgResponseTime) {
+    const { avgResponseTime, p95ResponseTime } = this.responseTimeStats(metrics);
+    if (avgResponseTime !== undefined) {
+      if (avgResponseTime > thresholds.responseTime.maxAvgResponseTime) {
         violations.push({
           metric: 'Average Response Time',
           value: Math.round(avgResponseTime),
-          threshold: config.thresholds.responseTime.maxAvgResponseTime,
+          threshold: thresholds.responseTime.maxAvgResponseTime,
           comparison: 'exceeds',
           unit: 'ms',
           source: source
         });
       }
 
-      if (p95ResponseTime > config.thresholds.responseTime.maxP95ResponseTime) {
+      if (p95ResponseTime !== undefined && p95ResponseTime > thresholds.responseTime.maxP95ResponseTime) {
         violations.push({
           metric: 'P95 Response Time',
           value: Math.round(p95ResponseTime),
-          threshold: config.thresholds.responseTime.maxP95ResponseTime,
+          threshold: thresholds.responseTime.maxP95ResponseTime,
           comparison: 'exceeds',
           unit: 'ms',
           source: source
@@ -325,14 +1050,68 @@ class LogAnalyzer {
     }
 
     // Check memory usage
-    if (metrics.memoryUsage && metrics.memoryUsage.length > 0) {
-      const avgMemory = metrics.memoryUsage.reduce((a, b) => a + b) / metrics.memoryUsage.length;
-
-      if (avgMemory > config.thresholds.memoryUsage.maxMemoryPercent) {
+    const avgMemory = metrics.memoryUsage && metrics.memoryUsage.length > 0
+      ? metrics.memoryUsage.reduce((a, b) => a + b) / metrics.memoryUsage.length
+      : (metrics.aggregates || {}).avgMemoryPercent;
+    if (avgMemory !== undefined) {
+      if (avgMemory > thresholds.memoryUsage.maxMemoryPercent) {
         violations.push({
           metric: 'Memory Usage',
           value: avgMemory.toFixed(1),
-          threshold: config.thresholds.memoryUsage.maxMemoryPercent,
+          threshold: thresholds.memoryUsage.maxMemoryPercent,
+          comparison: 'exceeds',
+          unit: '%',
+          source: source
+        });
+      }
+    }
+
+    // Check client (4xx) error rate of parsed access logs
+    if (metrics.requestCount > 0) {
+      const clientErrorPercent = ((metrics.clientErrorCount || 0) / metrics.requestCount) * 100;
+
+      if (clientErrorPercent > thresholds.httpErrors.maxClientErrorPercent) {
+        violations.push({
+          metric: 'Client Error Rate',
+          value: clientErrorPercent.toFixed(1),
+          threshold: thresholds.httpErrors.maxClientErrorPercent,
+          comparison: 'exceeds',
+          unit: '%',
+          source: source
+        });
+      }
+    }
+
+    // Check Lambda invocation health (from REPORT and failure lines)
+    const lambdaThresholds = thresholds.lambda;
+    if (metrics.timeouts > lambdaThresholds.maxTimeouts) {
+      violations.push({
+        metric: 'Lambda Timeouts',
+        value: metrics.timeouts,
+        threshold: lambdaThresholds.maxTimeouts,
+        comparison: 'exceeds',
+        source: source
+      });
+    }
+
+    if (metrics.runtimeExits > lambdaThresholds.maxRuntimeExits) {
+      violations.push({
+        metric: 'Lambda Runtime Exits',
+        value: metrics.runtimeExits,
+        threshold: lambdaThresholds.maxRuntimeExits,
+        comparison: 'exceeds',
+        source: source
+      });
+    }
+
+    if (metrics.invocations > 0 && metrics.coldStarts > 0) {
+      const coldStartPercent = (metrics.coldStarts / metrics.invocations) * 100;
+
+      if (coldStartPercent > lambdaThresholds.maxColdStartPercent) {
+        violations.push({
+          metric: 'Lambda Cold Start Rate',
+          value: coldStartPercent.toFixed(1),
+          threshold: lambdaThresholds.maxColdStartPercent,
           comparison: 'exceeds',
           unit: '%',
           source: source
@@ -340,6 +1119,159 @@ class LogAnalyzer {
       }
     }
 
+    if (metrics.initDurations && metrics.initDurations.length > 0) {
+      const avgInitDuration = metrics.initDurations.reduce((a, b) => a + b) / metrics.initDurations.length;
+
+      if (avgInitDuration > lambdaThresholds.maxAvgInitDuration) {
+        violations.push({
+          metric: 'Lambda Init Duration',
+          value: Math.round(avgInitDuration),
+          threshold: lambdaThresholds.maxAvgInitDuration,
+          comparison: 'exceeds',
+          unit: 'ms',
+          source: source
+        });
+      }
+    }
+
+    // Violations without a severity of their own (error rate sets one)
+    return violations.map(violation => ({ severity: METRIC_SEVERITY[violation.metric] || 'WARNING', ...violation }));
+  }
+
+  /**
+   * Per-run totals for each monitored source (log group or S3 prefix) to
+   * compare against its baseline. Partially scanned log groups are left out
+   * so a truncated run doesn't skew the history.
+   */
+  buildSourceSamples(metrics, scanCoverage = {}) {
+    const totals = {};
+    for (const [key, sourceMetrics] of Object.entries(metrics)) {
+      if (scanCoverage[key] && scanCoverage[key].status !== 'complete') {
+        continue;
+      }
+
+      const name = this.getSettings(key).monitoredSource;
+      const total = totals[name] = totals[name] || { errorCount: 0, volume: 0, responseTimes: [] };
+      total.errorCount += sourceMetrics.errorCount || 0;
+      total.volume += getEventVolume(sourceMetrics);
+      total.responseTimes.push(...(sourceMetrics.responseTimes || []));
+      // Logs Insights sources are log groups, which have no other metrics to combine with
+      total.aggregates = sourceMetrics.aggregates;
+    }
+
+    const samples = {};
+    for (const [name, { errorCount, volume, responseTimes, aggregates }] of Object.entries(totals)) {
+      samples[name] = { errorCount, volume };
+      const { avgResponseTime, p95ResponseTime } = this.responseTimeStats({ responseTimes, aggregates });
+      if (avgResponseTime !== undefined) {
+        samples[name].avgResponseTime = avgResponseTime;
+      }
+      if (p95ResponseTime !== undefined) {
+        samples[name].p95ResponseTime = p95ResponseTime;
+      }
+    }
+    return samples;
+  }
+
+  /**
+   * Compare this run with each source's history, returning anomaly
+   * violations. History problems never fail the analysis.
+   */
+  async detectAnomalies(metrics, scanCoverage) {
+    try {
+      return await this.baselineTracker.checkAndRecord(this.buildSourceSamples(metrics, scanCoverage));
+    } catch (error) {
+      console.error('Error checking metric baselines:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Check every configured source for silence: log groups with fewer than
+   * volume.minEvents events (or a drop of more than volume.maxDropPercent
+   * since the previous run), and S3 prefixes with fewer than volume.minFiles
+   * files inside their lookback. Partial or failed scans are not judged.
+   */
+  async checkSourceVolumes(scanCoverage, metrics, s3Scan) {
+    const violations = [];
+    let state = {};
+    try {
+      state = await this.volumeStore.read();
+    } catch (error) {
+      console.error('Error reading previous source volumes:', error);
+    }
+    const previousVolumes = state.volumes || {};
+    const volumes = {};
+    const now = new Date().toISOString();
+
+    for (const logGroup of getLogGroupNames()) {
+      if (!scanCoverage[logGroup] || scanCoverage[logGroup].status !== 'complete') {
+        continue;
+      }
+
+      const { thresholds, lookbackMinutes } = this.getSettings(logGroup);
+      const volume = metrics[logGroup].totalEvents;
+      const previous = previousVolumes[logGroup];
+      volumes[logGroup] = { volume, timestamp: now };
+
+      if (volume < thresholds.volume.minEvents) {
+        violations.push({
+          type: 'volume',
+          metric: volume === 0 ? 'No Logs' : 'Low Log Volume',
+          value: volume,
+          threshold: thresholds.volume.minEvents,
+          comparison: 'below',
+          unit: 'events',
+          lookbackMinutes,
+          severity: volume === 0 ? 'CRITICAL' : 'WARNING',
+          source: logGroup
+        });
+      } else if (thresholds.volume.maxDropPercent > 0 && previous && previous.volume > 0) {
+        const dropPercent = ((previous.volume - volume) / previous.volume) * 100;
+        if (dropPercent > thresholds.volume.maxDropPercent) {
+          violations.push({
+            type: 'volume',
+            metric: 'Log Volume Drop',
+            value: dropPercent.toFixed(1),
+            threshold: thresholds.volume.maxDropPercent,
+            comparison: 'exceeds',
+            unit: '%',
+            volume,
+            previousVolume: previous.volume,
+            severity: 'WARNING',
+            source: logGroup
+          });
+        }
+      }
+    }
+
+    // S3 prefixes can only be judged when the bucket was listed successfully
+    if (s3Scan.recentFiles) {
+      for (const prefix of getS3MonitoredPrefixes()) {
+        const { thresholds, lookbackMinutes } = this.getSettings(prefix);
+        const files = s3Scan.recentFiles[prefix] || 0;
+
+        if (files < thresholds.volume.minFiles) {
+          violations.push({
+            type: 'volume',
+            metric: files === 0 ? 'No Log Files' : 'Missing Log Files',
+            value: files,
+            threshold: thresholds.volume.minFiles,
+            comparison: 'below',
+            unit: 'files',
+            lookbackMinutes,
+            severity: files === 0 ? 'CRITICAL' : 'WARNING',
+            source: prefix
+          });
+        }
+      }
+    }
+
+    try {
+      await this.volumeStore.write({ volumes: { ...previousVolumes, ...volumes }, updatedAt: now });
+    } catch (error) {
+      console.error('Error saving source volumes:', error);
+    }
     return violations;
   }
 
@@ -352,6 +1284,124 @@ class LogAnalyzer {
     return sorted[index] || 0;
   }
 
+  /**
+   * Count all errors in a result set, including those beyond the stored samples
+   */
+  countErrors(results) {
+    const sourceErrors = Object.values(results.metrics).reduce((total, m) => total + (m.errorCount || 0), 0);
+    const analyzerErrors = results.errors.filter(e => e.source === 'log-analyzer' || e.source === 's3-analyzer').length;
+    return sourceErrors + analyzerErrors;
+  }
+
+  /**
+   * Add one source's results to a run's results
+   */
+  mergeSourceResults(results, source, sourceResults) {
+    results.errors.push(...sourceResults.errors);
+    mergeErrorGroups(results.errorGroups, sourceResults.errorGroups);
+    results.metrics[source] = sourceResults.metrics;
+    results.violations.push(...sourceResults.violations);
+  }
+
+  /**
+   * Combine CloudWatch and S3 results (plus run-level anomaly and volume
+   * violations) into the analysis results and their summary
+   */
+  combineResults(cloudWatchResults, s3Results, anomalies = [], volumeViolations = []) {
+    const errorGroups = sortErrorGroups(
+      mergeErrorGroups(mergeErrorGroups({}, cloudWatchResults.errorGroups), s3Results.errorGroups)
+    );
+    const metrics = { ...cloudWatchResults.metrics, ...s3Results.metrics };
+    const violations = [...cloudWatchResults.violations, ...s3Results.violations, ...anomalies, ...volumeViolations];
+
+    return {
+      errors: [...cloudWatchResults.errors, ...s3Results.errors],
+      errorGroups,
+      metrics,
+      violations,
+      scanCoverage: cloudWatchResults.scanCoverage,
+      s3Scan: s3Results.s3Scan,
+      timestamp: new Date().toISOString(),
+      summary: {
+        totalErrors: this.countErrors(cloudWatchResults) + this.countErrors(s3Results),
+        uniqueErrors: errorGroups.length,
+        topErrorGroups: errorGroups.slice(0, 5).map(group => ({
+          fingerprint: group.fingerprint,
+          pattern: group.pattern,
+          count: group.count,
+          sources: group.sources
+        })),
+        totalViolations: violations.length,
+        anomalies: anomalies.length,
+        silentSources: volumeViolations.filter(v => v.value === 0).map(v => v.source),
+        cloudWatchSources: Object.keys(cloudWatchResults.metrics).length,
+        s3Sources: Object.keys(s3Results.metrics).length,
+        scanCoverage: Object.fromEntries(
+          Object.entries(cloudWatchResults.scanCoverage).map(([logGroup, coverage]) => [logGroup, coverage.status])
+        ),
+        partialScans: Object.values(cloudWatchResults.scanCoverage).filter(c => c.status !== 'complete').length,
+        s3FilesProcessed: s3Results.s3Scan.processed,
+        s3FilesSkipped: s3Results.s3Scan.deferred + s3Results.s3Scan.failed,
+        suppressedErrors: Object.values(metrics).reduce((sum, m) => sum + (m.suppressedErrors || 0), 0),
+        redactions: this.redactor.total(),
+        ...(cloudWatchResults.logGroupDiscovery && { logGroupDiscovery: cloudWatchResults.logGroupDiscovery })
+      },
+      redactions: { ...this.redactor.counts }
+    };
+  }
+
+  /**
+   * Analyze local logs ([{ source, open }], where open() returns a plain or
+   * gzipped stream) with each source's settings, as the CLI does. Inputs of
+   * the same source are analyzed as one. Nothing is read from AWS and no
+   * state is read or written.
+   */
+  async analyzeLocalLogs(inputs) {
+    const cloudWatchResults = { errors: [], errorGroups: {}, metrics: {}, violations: [], scanCoverage: {} };
+    const s3Results = {
+      errors: [],
+      errorGroups: {},
+      metrics: {},
+      violations: [],
+      s3Scan: { listed: inputs.length, tooOld: 0, alreadyProcessed: 0, processed: 0, deferred: 0, failed: 0, recentFiles: null, coverage: {} }
+    };
+
+    const inputsBySource = new Map();
+    for (const input of inputs) {
+      if (!inputsBySource.has(input.source)) {
+        inputsBySource.set(input.source, []);
+      }
+      inputsBySource.get(input.source).push(input);
+    }
+
+    for (const [source, sourceInputs] of inputsBySource) {
+      const stream = Readable.from(this.concatStreams(sourceInputs.map(input => input.open)));
+      const sourceResults = await this.processLogStream(stream, source);
+
+      if (this.getSettings(source).type === 'cloudwatch') {
+        this.mergeSourceResults(cloudWatchResults, source, sourceResults);
+        cloudWatchResults.scanCoverage[source] = { status: 'complete' };
+      } else {
+        this.mergeSourceResults(s3Results, source, sourceResults);
+      }
+      s3Results.s3Scan.processed += sourceInputs.length;
+    }
+
+    return this.combineResults(cloudWatchResults, s3Results);
+  }
+
+  /**
+   * Decompress and chain several streams, one after the other. Each one is
+   * followed by a line break, so a file without a trailing newline doesn't
+   * run its last line into the next file's first (blank lines are skipped).
+   */
+  async *concatStreams(opens) {
+    for (const open of opens) {
+      yield* await this.decompressStream(await open());
+      yield Buffer.from('\n');
+    }
+  }
+
   /**
    * Main analysis function
    */
@@ -363,19 +1413,10 @@ class LogAnalyzer {
       this.analyzeS3Logs()
     ]);
 
-    // Combine results
-    const combinedResults = {
-      errors: [...cloudWatchResults.errors, ...s3Results.errors],
-      metrics: { ...cloudWatchResults.metrics, ...s3Results.metrics },
-      violations: [...cloudWatchResults.violations, ...s3Results.violations],
-      timestamp: new Date().toISOString(),
-      summary: {
-        totalErrors: cloudWatchResults.errors.length + s3Results.errors.length,
-        totalViolations: cloudWatchResults.violations.length + s3Results.violations.length,
-        cloudWatchSources: Object.keys(cloudWatchResults.metrics).length,
-        s3Sources: Object.keys(s3Results.metrics).length
-      }
-    };
+    const metrics = { ...cloudWatchResults.metrics, ...s3Results.metrics };
+    const anomalies = await this.detectAnomalies(metrics, cloudWatchResults.scanCoverage);
+    const volumeViolations = await this.checkSourceVolumes(cloudWatchResults.scanCoverage, metrics, s3Results.s3Scan);
+    const combinedResults = this.combineResults(cloudWatchResults, s3Results, anomalies, volumeViolations);
 
     console.log('Log analysis completed:', combinedResults.summary);
     return combinedResults;
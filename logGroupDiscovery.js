@@ -0,0 +1,242 @@
+const { isRegExp } = require('util').types;
+const { DescribeLogGroupsCommand, ListTagsForResourceCommand } = require('@aws-sdk/client-cloudwatch-logs');
+const config = require('./config');
+const { createStateStore } = require('./stateStore');
+
+/**
+ * Log group discovery: the entries of config.logGroupDiscovery.sources
+ * select log groups by name `prefix`, name `pattern` and/or resource `tags`
+ * (every selector given must match) and are expanded at run time with
+ * DescribeLogGroups. A discovered group takes the overrides of the first
+ * source it matches, as a config.logGroups entry would. Groups listed in
+ * `exclude` or matching `excludePatterns` are never discovered.
+ *
+ * A source with tags must also have a prefix or pattern (see configLoader.js),
+ * so tags are only read for the groups its name selectors narrow down to.
+ *
+ * The expansion is cached between runs for cacheMinutes, and refreshed
+ * early when the declarations change. Tags are cached for as long, per group.
+ */
+
+// Keys of a discovery source that select log groups; the rest are overrides
+const SELECTORS = ['prefix', 'pattern', 'tags'];
+
+const MINUTE_MS = 60 * 1000;
+
+// ListTagsForResource calls are made one at a time and retried this many
+// times when throttled, waiting TAG_RETRY_DELAY_MS, then twice as long, ...
+const TAG_RETRIES = 3;
+const TAG_RETRY_DELAY_MS = 200;
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * A discovery source's settings overrides, without its selectors
+ */
+function sourceOverrides(source) {
+  return Object.fromEntries(Object.entries(source).filter(([key]) => !SELECTORS.includes(key)));
+}
+
+/**
+ * Identify the declarations a cached expansion was made from
+ */
+function declarationKey({ sources, exclude, excludePatterns }) {
+  return JSON.stringify(
+    [sources.map(source => SELECTORS.map(key => source[key])), exclude, excludePatterns],
+    (key, value) => (isRegExp(value) ? String(value) : value)
+  );
+}
+
+/**
+ * Prefixes to list log groups under: one listing per distinct prefix (nested
+ * prefixes dropped), or a single listing of every group when a source isn't
+ * bounded by a prefix
+ */
+function listingPrefixes(sources) {
+  if (!sources.every(source => source.prefix)) {
+    return [undefined];
+  }
+  const prefixes = [...new Set(sources.map(source => source.prefix))];
+  return prefixes.filter(prefix => !prefixes.some(other => other !== prefix && prefix.startsWith(other)));
+}
+
+/**
+ * List the log groups under a prefix, following every page
+ */
+async function listLogGroups(client, prefix) {
+  const logGroups = [];
+  let nextToken;
+  do {
+    const response = await client.send(new DescribeLogGroupsCommand({
+      ...(prefix && { logGroupNamePrefix: prefix }),
+      nextToken
+    }));
+    logGroups.push(...(response.logGroups || []));
+    nextToken = response.nextToken;
+  } while (nextToken);
+  return logGroups;
+}
+
+class LogGroupDiscovery {
+  constructor(options = {}) {
+    this.store = options.store || createStateStore('log-group-discovery');
+  }
+
+  /**
+   * Expand the discovery sources into log groups, from the cache when it is
+   * recent enough. Returns null when no sources are declared, otherwise
+   * { logGroups (config.logGroups style entries), discovered, added, removed,
+   * cached, refreshedAt }; added and removed compare with the previous
+   * expansion and are empty when the cache is used. When DescribeLogGroups
+   * fails, the last expansion is used (marked stale) if there is one.
+   */
+  async discover(client, now = Date.now()) {
+    const settings = config.logGroupDiscovery;
+    if (settings.sources.length === 0) {
+      return null;
+    }
+
+    let state = {};
+    try {
+      state = await this.store.read();
+    } catch (error) {
+      console.error('Error reading discovered log groups:', error);
+    }
+
+    const key = declarationKey(settings);
+    const previous = state.groups || null;
+    if (previous && state.key === key && now - Date.parse(state.refreshedAt) < settings.cacheMinutes * MINUTE_MS) {
+      return this.buildResult(previous, { added: [], removed: [], cached: true, refreshedAt: state.refreshedAt });
+    }
+
+    // Tags read within cacheMinutes are reused, even when the declarations changed
+    const cachedTags = Object.fromEntries(Object.entries(state.tags || {})
+      .filter(([, entry]) => now - Date.parse(entry.fetchedAt) < settings.cacheMinutes * MINUTE_MS));
+
+    let groups;
+    let tags;
+    try {
+      ({ groups, tags } = await this.describe(client, cachedTags, new Date(now).toISOString()));
+    } catch (error) {
+      if (!previous || state.key !== key) {
+        throw error;
+      }
+      console.error(`Log group discovery failed; using the log groups discovered at ${state.refreshedAt}:`, error);
+      return this.buildResult(previous, { added: [], removed: [], cached: true, stale: true, refreshedAt: state.refreshedAt });
+    }
+
+    const names = groups.map(group => group.name);
+    const previousNames = (previous || []).map(group => group.name);
+    const refreshedAt = new Date(now).toISOString();
+
+    try {
+      await this.store.write({ key, refreshedAt, groups, tags });
+    } catch (error) {
+      console.error('Error saving discovered log groups:', error);
+    }
+
+    return this.buildResult(groups, {
+      added: names.filter(name => !previousNames.includes(name)),
+      removed: previousNames.filter(name => !names.includes(name)),
+      cached: false,
+      refreshedAt
+    });
+  }
+
+  /**
+   * Pair each discovered group ({ name, source }) with its source's overrides
+   */
+  buildResult(groups, changes) {
+    const { sources } = config.logGroupDiscovery;
+    return {
+      logGroups: groups
+        .filter(group => sources[group.source])
+        .map(group => ({ ...sourceOverrides(sources[group.source]), name: group.name })),
+      discovered: groups.map(group => group.name),
+      ...changes
+    };
+  }
+
+  /**
+   * List the log groups matching the discovery sources, as { name, source }
+   * sorted by name, where source is the index of the first source matched.
+   * Also returns the tags of the groups looked up ({ [name]: { tags,
+   * fetchedAt } }), taken from `cachedTags` or read now.
+   */
+  async describe(client, cachedTags = {}, fetchedAt = new Date().toISOString()) {
+    const { sources, exclude, excludePatterns } = config.logGroupDiscovery;
+
+    const logGroups = new Map();
+    for (const prefix of listingPrefixes(sources)) {
+      for (const logGroup of await listLogGroups(client, prefix)) {
+        logGroups.set(logGroup.logGroupName, logGroup);
+      }
+    }
+
+    const tags = {};
+    const tagsOf = async logGroup => {
+      const name = logGroup.logGroupName;
+      if (!tags[name]) {
+        tags[name] = cachedTags[name] || { tags: await this.getTags(client, logGroup), fetchedAt };
+      }
+      return tags[name].tags;
+    };
+
+    const discovered = [];
+    for (const [name, logGroup] of logGroups) {
+      if (exclude.includes(name) || excludePatterns.some(pattern => pattern.test(name))) {
+        continue;
+      }
+      const source = await this.matchSource(logGroup, sources, tagsOf);
+      if (source !== -1) {
+        discovered.push({ name, source });
+      }
+    }
+    return { groups: discovered.sort((a, b) => a.name.localeCompare(b.name)), tags };
+  }
+
+  /**
+   * Index of the first source a log group matches, or -1. Tags (from
+   * `tagsOf`) are only looked up for groups whose name matches a source with
+   * tags.
+   */
+  async matchSource(logGroup, sources, tagsOf) {
+    const name = logGroup.logGroupName;
+
+    for (const [index, source] of sources.entries()) {
+      if ((source.prefix && !name.startsWith(source.prefix)) || (source.pattern && !source.pattern.test(name))) {
+        continue;
+      }
+      if (source.tags) {
+        const tags = await tagsOf(logGroup);
+        if (!Object.entries(source.tags).every(([tag, value]) => tags[tag] === value)) {
+          continue;
+        }
+      }
+      return index;
+    }
+    return -1;
+  }
+
+  /**
+   * A log group's resource tags, retrying throttled requests with exponential
+   * backoff. ListTagsForResource takes the group's ARN without the trailing
+   * `:*` DescribeLogGroups reports in `arn`.
+   */
+  async getTags(client, logGroup) {
+    const resourceArn = logGroup.logGroupArn || logGroup.arn.replace(/:\*$/, '');
+    for (let attempt = 0; ; attempt++) {
+      try {
+        const response = await client.send(new ListTagsForResourceCommand({ resourceArn }));
+        return response.tags || {};
+      } catch (error) {
+        if (error.name !== 'ThrottlingException' || attempt >= TAG_RETRIES) {
+          throw error;
+        }
+        await sleep(TAG_RETRY_DELAY_MS * 2 ** attempt);
+      }
+    }
+  }
+}
+
+module.exports = LogGroupDiscovery;
@@ -0,0 +1,153 @@
+const { StartQueryCommand, GetQueryResultsCommand, StopQueryCommand } = require('@aws-sdk/client-cloudwatch-logs');
+
+/**
+ * CloudWatch Logs Insights mode: instead of pulling every event with
+ * FilterLogEvents, a log group's configured query aggregates it in
+ * CloudWatch. The query's rows are read by column name:
+ *   bin               start of the row's time bin (e.g. `by bin(1m) as bin`)
+ *   events, errors    event and error counts
+ *   avgDuration       average response time in ms
+ *   p95Duration       95th percentile response time in ms
+ *   avgMemoryPercent  average memory usage in %
+ *   invocations       Lambda invocations (REPORT lines)
+ * Missing columns are left out of the metrics.
+ */
+
+const FINISHED_STATUSES = ['Complete', 'Failed', 'Cancelled', 'Timeout'];
+
+const MINUTE_MS = 60 * 1000;
+
+/**
+ * Raised when a query fails or doesn't finish within its timeout
+ */
+class InsightsQueryError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'InsightsQueryError';
+  }
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Run a query against a log group and wait for its results, polling every
+ * pollIntervalMs. A query still running after timeoutSeconds is stopped.
+ * Returns the rows as objects keyed by column name, the query statistics and
+ * whether the rows were `truncated`: a query returning `limit` rows may have
+ * had more.
+ */
+async function runInsightsQuery(client, { logGroup, startTime, endTime, query, timeoutSeconds, pollIntervalMs, limit }) {
+  const { queryId } = await client.send(new StartQueryCommand({
+    logGroupName: logGroup,
+    startTime: Math.floor(startTime / 1000),
+    endTime: Math.ceil(endTime / 1000),
+    queryString: query,
+    limit
+  }));
+  const deadline = Date.now() + timeoutSeconds * 1000;
+
+  for (;;) {
+    const response = await client.send(new GetQueryResultsCommand({ queryId }));
+
+    if (response.status === 'Complete') {
+      const rows = (response.results || []).map(fields => Object.fromEntries(fields.map(({ field, value }) => [field, value])));
+      return {
+        queryId,
+        rows,
+        statistics: response.statistics || {},
+        truncated: rows.length >= limit
+      };
+    }
+    if (FINISHED_STATUSES.includes(response.status)) {
+      throw new InsightsQueryError(`Logs Insights query ${queryId} on ${logGroup} ended with status ${response.status}`);
+    }
+
+    if (Date.now() >= deadline) {
+      try {
+        await client.send(new StopQueryCommand({ queryId }));
+      } catch (error) {
+        console.error(`Failed to stop Logs Insights query ${queryId}:`, error);
+      }
+      throw new InsightsQueryError(`Logs Insights query ${queryId} on ${logGroup} did not finish within ${timeoutSeconds}s`);
+    }
+    await sleep(pollIntervalMs);
+  }
+}
+
+/**
+ * Insights bin timestamps are UTC without a zone ("2024-05-01 12:00:00.000")
+ */
+function parseBinTime(value) {
+  if (value === undefined) {
+    return NaN;
+  }
+  return Date.parse(/(?:[zZ]|[+-]\d{2}:?\d{2})$/.test(value) ? value : `${value.replace(' ', 'T')}Z`);
+}
+
+const toNumber = value => (value === undefined || value === '' ? undefined : Number(value));
+
+/**
+ * Map query rows into the metrics checkThresholds consumes. Bin counts fill
+ * the per-minute timeline (a bin longer than a minute is counted at its
+ * start). Response time and memory come from the rows' aggregates, as
+ * metrics.aggregates: averages are weighted by each bin's events and the p95
+ * is the highest of the bins' p95s, so a slow bin is never averaged away.
+ */
+function rowsToMetrics(rows) {
+  const metrics = {
+    totalEvents: 0,
+    errorCount: 0,
+    responseTimes: [],
+    memoryUsage: [],
+    aggregates: {}
+  };
+  const weighted = { avgResponseTime: [0, 0], avgMemoryPercent: [0, 0] };
+
+  for (const row of rows) {
+    const events = toNumber(row.events) || 0;
+    const errors = toNumber(row.errors) || 0;
+    metrics.totalEvents += events;
+    metrics.errorCount += errors;
+    if (row.invocations !== undefined) {
+      metrics.invocations = (metrics.invocations || 0) + toNumber(row.invocations);
+    }
+
+    const time = parseBinTime(row.bin);
+    if (!Number.isNaN(time)) {
+      const minute = Math.floor(time / MINUTE_MS) * MINUTE_MS;
+      metrics.eventsPerMinute = metrics.eventsPerMinute || {};
+      metrics.eventsPerMinute[minute] = (metrics.eventsPerMinute[minute] || 0) + events;
+      if (errors > 0) {
+        metrics.errorsPerMinute = metrics.errorsPerMinute || {};
+        metrics.errorsPerMinute[minute] = (metrics.errorsPerMinute[minute] || 0) + errors;
+      }
+    }
+
+    // Bins without an event count weigh as one
+    const weight = events || 1;
+    for (const [name, column] of [['avgResponseTime', 'avgDuration'], ['avgMemoryPercent', 'avgMemoryPercent']]) {
+      const value = toNumber(row[column]);
+      if (value !== undefined) {
+        weighted[name][0] += value * weight;
+        weighted[name][1] += weight;
+      }
+    }
+    const p95Duration = toNumber(row.p95Duration);
+    if (p95Duration !== undefined) {
+      metrics.aggregates.p95ResponseTime = Math.max(metrics.aggregates.p95ResponseTime || 0, p95Duration);
+    }
+  }
+
+  for (const [name, [sum, weight]] of Object.entries(weighted)) {
+    if (weight > 0) {
+      metrics.aggregates[name] = sum / weight;
+    }
+  }
+  return metrics;
+}
+
+module.exports = {
+  InsightsQueryError,
+  runInsightsQuery,
+  rowsToMetrics
+};
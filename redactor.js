@@ -0,0 +1,103 @@
+const config = require('./config');
+
+/**
+ * Built-in detectors of sensitive data, applied in this order. A match is
+ * replaced with `[REDACTED:<name>]`; lookbehinds keep the label of labelled
+ * values (`Bearer `, `password=`) so redacted lines still read naturally.
+ */
+const DETECTORS = {
+  bearerToken: { regex: /(?<=\bBearer\s+)[\w\-.~+/]+=*/gi },
+  jwt: { regex: /\beyJ[\w-]+\.[\w-]+\.[\w-]+/g },
+  awsAccessKey: { regex: /\b(?:AKIA|ASIA|AGPA|AIDA|AROA|ANPA)[A-Z0-9]{16}\b/g },
+  awsSecretKey: { regex: /(?<=aws_?secret_?access_?key["']?\s*[:=]\s*["']?)[A-Za-z0-9/+=]{40}/gi },
+  password: { regex: /(?<=\b(?:password|passwd|pwd|secret|api_?key|access_?token)["']?\s*[:=]\s*["']?)(?!\[REDACTED)[^\s"',;&]+/gi },
+  // Card numbers start with 3-6 (so epoch milliseconds don't match) and must pass the Luhn check
+  creditCard: { regex: /\b[3-6]\d(?:[ -]?\d){11,17}\b/g, validate: match => luhnValid(match.replace(/\D/g, '')) },
+  email: { regex: /\b[\w.+-]+@[\w-]+(?:\.[\w-]+)*\.[A-Za-z]{2,}\b/g }
+};
+
+/**
+ * Luhn checksum of a digit string
+ */
+function luhnValid(digits) {
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let digit = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+}
+
+/**
+ * Make a regex global, as String.replace needs to replace every match
+ */
+function globalRegex(regex) {
+  return regex.flags.includes('g') ? regex : new RegExp(regex.source, `${regex.flags}g`);
+}
+
+/**
+ * The rules of the enabled detectors followed by the custom patterns, which
+ * are regexes or { name, pattern, replacement } objects
+ */
+function buildRules(settings) {
+  const rules = (settings.detectors || []).map(name => ({
+    name,
+    ...DETECTORS[name],
+    replacement: `[REDACTED:${name}]`
+  }));
+
+  (settings.patterns || []).forEach((entry, index) => {
+    const { name = `custom${index + 1}`, pattern, replacement } = entry instanceof RegExp ? { pattern: entry } : entry;
+    rules.push({ name, regex: globalRegex(pattern), replacement: replacement || `[REDACTED:${name}]` });
+  });
+
+  return rules;
+}
+
+/**
+ * Removes sensitive data from log messages before they are stored in the
+ * results, and so before they reach alerts or exported reports. Counts the
+ * redactions made per rule over the redactor's lifetime (one analysis run).
+ */
+class Redactor {
+  constructor(settings = config.redaction) {
+    this.rules = settings.enabled === false ? [] : buildRules(settings);
+    this.counts = {};
+  }
+
+  /**
+   * Redact a message. Pass `count: false` for text that is part of a
+   * message already counted (e.g. the message field of a JSON line).
+   */
+  redact(text, options = {}) {
+    let redacted = text;
+    for (const rule of this.rules) {
+      redacted = redacted.replace(rule.regex, match => {
+        if (rule.validate && !rule.validate(match)) {
+          return match;
+        }
+        if (options.count !== false) {
+          this.counts[rule.name] = (this.counts[rule.name] || 0) + 1;
+        }
+        return rule.replacement;
+      });
+    }
+    return redacted;
+  }
+
+  /**
+   * Total redactions made
+   */
+  total() {
+    return Object.values(this.counts).reduce((sum, count) => sum + count, 0);
+  }
+}
+
+module.exports = {
+  DETECTORS,
+  Redactor
+};
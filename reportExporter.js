@@ -0,0 +1,181 @@
+const crypto = require('crypto');
+const { S3Client, PutObjectCommand } = require('@aws-sdk/client-s3');
+const config = require('./config');
+const { getSourceSettings } = require('./sourceSettings');
+
+/**
+ * Bumped whenever a field of the report changes meaning or is removed, so
+ * queries over past runs can tell report layouts apart
+ */
+const REPORT_SCHEMA_VERSION = 1;
+
+/**
+ * Columns of the violations CSV, in order
+ */
+const VIOLATION_COLUMNS = [
+  ['run_id', (v, report) => report.runId],
+  ['run_timestamp', (v, report) => report.generatedAt],
+  ['source', v => v.source],
+  ['metric', v => v.metric],
+  ['type', v => v.type || 'threshold'],
+  ['severity', v => v.severity],
+  ['value', v => v.value],
+  ['threshold', v => v.threshold],
+  ['comparison', v => v.comparison],
+  ['unit', v => v.unit],
+  ['baseline', v => v.baseline],
+  ['z_score', v => v.zScore],
+  ['window_start', v => v.windowStart],
+  ['window_end', v => v.windowEnd]
+];
+
+/**
+ * Quote a CSV field when it contains a separator, quote or line break
+ */
+function csvField(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Nearest-rank percentile of sorted values, as LogAnalyzer computes it
+ */
+function percentile(sorted, p) {
+  return sorted[Math.ceil((p / 100) * sorted.length) - 1];
+}
+
+/**
+ * Summarize a metric's samples: count, min, max, average and percentiles
+ */
+function summarizeSamples(values, sampledFrom) {
+  if (values.length === 0) {
+    return { count: 0 };
+  }
+  const sorted = values.slice().sort((a, b) => a - b);
+  return {
+    count: values.length,
+    ...(sampledFrom && { sampledFrom }),
+    min: sorted[0],
+    max: sorted[sorted.length - 1],
+    avg: Number((values.reduce((a, b) => a + b, 0) / values.length).toFixed(2)),
+    p50: percentile(sorted, 50),
+    p90: percentile(sorted, 90),
+    p95: percentile(sorted, 95),
+    p99: percentile(sorted, 99)
+  };
+}
+
+/**
+ * Writes a full report of each analysis run to S3: a JSON document and a CSV
+ * of its violations, both partitioned by date for Athena:
+ *   <prefix>runs/dt=YYYY-MM-DD/<time>_<runId>.json
+ *   <prefix>violations/dt=YYYY-MM-DD/<time>_<runId>.csv
+ * The JSON is written on a single line, as Athena's JSON SerDe expects.
+ */
+class ReportExporter {
+  constructor(options = {}) {
+    this.bucket = options.bucket || config.reports.bucket;
+    this.prefix = options.prefix || config.reports.prefix;
+    this.s3Client = options.s3Client || new S3Client({ region: config.s3Config.region });
+  }
+
+  /**
+   * Per-source metrics, with every sampled metric summarized into percentiles
+   */
+  buildSourceMetrics(metrics) {
+    return Object.entries(metrics).map(([source, sourceMetrics]) => {
+      const entry = { source, type: getSourceSettings(source).type };
+      const sampledFrom = sourceMetrics.sampledFrom || {};
+
+      for (const [name, value] of Object.entries(sourceMetrics)) {
+        if (name === 'sampledFrom') {
+          continue;
+        }
+        entry[name] = Array.isArray(value) ? summarizeSamples(value, sampledFrom[name]) : value;
+      }
+      return entry;
+    });
+  }
+
+  /**
+   * Build the report document for a run's analysis results
+   */
+  buildReport(results, runId, now = new Date()) {
+    return {
+      schemaVersion: REPORT_SCHEMA_VERSION,
+      runId,
+      generatedAt: now.toISOString(),
+      analyzedAt: results.timestamp,
+      lookbackMinutes: config.analysis.lookbackMinutes,
+      summary: results.summary,
+      sources: this.buildSourceMetrics(results.metrics),
+      errorGroups: results.errorGroups || [],
+      errors: results.errors,
+      violations: results.violations,
+      scanCoverage: results.scanCoverage || {},
+      s3Scan: results.s3Scan || null,
+      redactions: results.redactions || {}
+    };
+  }
+
+  /**
+   * Flatten a report's violations to CSV, with a header line
+   */
+  toViolationsCsv(report) {
+    const lines = [
+      VIOLATION_COLUMNS.map(([name]) => name).join(','),
+      ...report.violations.map(violation =>
+        VIOLATION_COLUMNS.map(([, field]) => csvField(field(violation, report))).join(',')
+      )
+    ];
+    return `${lines.join('\n')}\n`;
+  }
+
+  /**
+   * S3 keys of a run's report and violations CSV
+   */
+  keysFor(runId, now) {
+    const date = now.toISOString().substring(0, 10);
+    const name = `${now.toISOString().replace(/[:.]/g, '-')}_${runId}`;
+    return {
+      jsonKey: `${this.prefix}runs/dt=${date}/${name}.json`,
+      csvKey: `${this.prefix}violations/dt=${date}/${name}.csv`
+    };
+  }
+
+  /**
+   * Write the report and violations CSV of a run. Returns their S3 URIs.
+   */
+  async export(results, options = {}) {
+    const now = options.now || new Date();
+    const runId = options.runId || crypto.randomUUID();
+    const report = this.buildReport(results, runId, now);
+    const { jsonKey, csvKey } = this.keysFor(runId, now);
+
+    await Promise.all([
+      this.s3Client.send(new PutObjectCommand({
+        Bucket: this.bucket,
+        Key: jsonKey,
+        Body: JSON.stringify(report),
+        ContentType: 'application/json'
+      })),
+      this.s3Client.send(new PutObjectCommand({
+        Bucket: this.bucket,
+        Key: csvKey,
+        Body: this.toViolationsCsv(report),
+        ContentType: 'text/csv'
+      }))
+    ]);
+
+    console.log(`Analysis report written to s3://${this.bucket}/${jsonKey}`);
+    return {
+      json: `s3://${this.bucket}/${jsonKey}`,
+      csv: `s3://${this.bucket}/${csvKey}`
+    };
+  }
+}
+
+module.exports = ReportExporter;
@@ -0,0 +1,189 @@
+const config = require('./config');
+
+/**
+ * Per-source configuration. A monitored source is either a CloudWatch log
+ * group (an entry of config.logGroups, given as a name or as an object with
+ * a `name`, or a group found by log group discovery) or an S3 prefix (an
+ * entry of config.s3Config.sources with a `prefix`). Any source can override:
+ *   errorPatterns, ignorePatterns, thresholds (merged per category),
+ *   lookbackMinutes, baseline, alerts (snsTopicArn, emailTo), mute
+ *   ({ reason, starts, expires }), for S3 format and, for log groups,
+ *   insights (true, or overrides of config.insights, to query them with
+ *   Logs Insights instead of reading their events) and filterPattern (a
+ *   CloudWatch filter pattern, 'auto' to build one from errorPatterns, or
+ *   false to read every event; see filterPattern.js)
+ */
+
+// Log groups found by the latest discovery (see logGroupDiscovery.js), as
+// config.logGroups entries; explicitly configured groups take precedence
+let discoveredLogGroups = [];
+
+/**
+ * Replace the discovered log groups the next runs' settings are resolved from
+ */
+function setDiscoveredLogGroups(logGroups) {
+  discoveredLogGroups = logGroups;
+}
+
+/**
+ * Normalize a config.logGroups entry to an object with a name
+ */
+function normalizeLogGroup(entry) {
+  return typeof entry === 'string' ? { name: entry } : entry;
+}
+
+/**
+ * The configured log groups followed by the discovered ones
+ */
+function getLogGroups() {
+  return [...config.logGroups.map(normalizeLogGroup), ...discoveredLogGroups];
+}
+
+/**
+ * Names of all configured and discovered CloudWatch log groups
+ */
+function getLogGroupNames() {
+  return [...new Set(getLogGroups().map(entry => entry.name))];
+}
+
+/**
+ * The monitored S3 prefixes: the configured sources' prefixes, or the
+ * default prefix when no sources are declared
+ */
+function getS3MonitoredPrefixes() {
+  const sources = config.s3Config.sources || [];
+  return [...new Set(sources.length > 0 ? sources.map(source => source.prefix) : [config.s3Config.prefix])];
+}
+
+/**
+ * S3 prefixes to list: the monitored prefixes, minus those nested inside
+ * another one so no object is listed twice
+ */
+function getS3Prefixes() {
+  const prefixes = getS3MonitoredPrefixes();
+
+  return prefixes.filter(prefix =>
+    !prefixes.some(other => other !== prefix && prefix.startsWith(other))
+  );
+}
+
+/**
+ * Find the override entry for a source: an exact log group match, otherwise
+ * the S3 source with the longest matching prefix
+ */
+function findSourceOverride(source) {
+  const logGroup = getLogGroups().find(entry => entry.name === source);
+  if (logGroup) {
+    return { type: 'cloudwatch', override: logGroup };
+  }
+
+  const s3Source = (config.s3Config.sources || [])
+    .filter(entry => source.startsWith(entry.prefix))
+    .sort((a, b) => b.prefix.length - a.prefix.length)[0];
+  if (s3Source) {
+    return { type: 's3', override: s3Source };
+  }
+
+  return { type: source.startsWith('/') ? 'cloudwatch' : 's3', override: {} };
+}
+
+/**
+ * The monitored source a log group or S3 key belongs to: the log group
+ * itself, or the S3 prefix its key was listed under
+ */
+function getMonitoredSource(source, type, override) {
+  if (type === 'cloudwatch') {
+    return source;
+  }
+  if (override.prefix) {
+    return override.prefix;
+  }
+  return getS3Prefixes().find(prefix => source.startsWith(prefix)) || config.s3Config.prefix;
+}
+
+/**
+ * Merge threshold overrides into the global thresholds, one category at a time
+ */
+function mergeThresholds(overrides = {}) {
+  const thresholds = {};
+  for (const category of new Set([...Object.keys(config.thresholds), ...Object.keys(overrides)])) {
+    thresholds[category] = { ...config.thresholds[category], ...overrides[category] };
+  }
+  return thresholds;
+}
+
+/**
+ * Suppression rules that apply to a source: the entries of
+ * config.suppressions listing it (or listing no sources) plus its own mute,
+ * which suppresses every error of the source
+ */
+function getSuppressions(source, monitoredSource, override) {
+  const rules = (config.suppressions || [])
+    .filter(rule => !rule.sources || rule.sources.includes(source) || rule.sources.includes(monitoredSource))
+    .map(rule => ({ ...rule, name: rule.name || rule.reason }));
+
+  if (override.mute) {
+    rules.push({ ...override.mute, name: 'muted' });
+  }
+  return rules;
+}
+
+/**
+ * Whether a suppression rule is in effect at a time (ms since the epoch)
+ */
+function isSuppressionActive(rule, now = Date.now()) {
+  return (!rule.starts || Date.parse(rule.starts) <= now) && (!rule.expires || now < Date.parse(rule.expires));
+}
+
+/**
+ * The filter pattern setting of a log group: an explicit pattern, 'auto'
+ * when it is to be built from the error patterns, or null to read every event
+ */
+function getFilterPattern(type, override) {
+  if (type !== 'cloudwatch' || override.insights || override.filterPattern === false) {
+    return null;
+  }
+  if (override.filterPattern === true) {
+    return 'auto';
+  }
+  return override.filterPattern || (config.filterPushdown.enabled ? 'auto' : null);
+}
+
+/**
+ * Resolve the effective settings for a source (log group name or S3 key)
+ */
+function getSourceSettings(source) {
+  const { type, override } = findSourceOverride(source);
+  const monitoredSource = getMonitoredSource(source, type, override);
+
+  return {
+    source,
+    type,
+    monitoredSource,
+    errorPatterns: override.errorPatterns || config.errorPatterns,
+    ignorePatterns: override.ignorePatterns || config.ignorePatterns,
+    suppressions: getSuppressions(source, monitoredSource, override),
+    thresholds: mergeThresholds(override.thresholds),
+    // For S3 the window (by LastModified) files are counted in for volume
+    // checks; config.s3Config.maxFileAgeMinutes bounds which are analyzed
+    lookbackMinutes: override.lookbackMinutes || config.analysis.lookbackMinutes,
+    baseline: { ...config.baseline, ...override.baseline },
+    // Only the source's own routing: channels fall back to their own
+    // destinations, then to config.alerts
+    alerts: { ...override.alerts },
+    format: override.format || config.s3Config.format,
+    filterPattern: getFilterPattern(type, override),
+    insights: type === 'cloudwatch' && override.insights
+      ? { ...config.insights, ...(override.insights === true ? {} : override.insights) }
+      : null
+  };
+}
+
+module.exports = {
+  getLogGroupNames,
+  getS3MonitoredPrefixes,
+  getS3Prefixes,
+  getSourceSettings,
+  isSuppressionActive,
+  setDiscoveredLogGroups
+};
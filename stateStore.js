@@ -0,0 +1,122 @@
+const fs = require('fs');
+const path = require('path');
+const { S3Client, GetObjectCommand, PutObjectCommand } = require('@aws-sdk/client-s3');
+const config = require('./config');
+
+/**
+ * State stores persist one JSON document between Lambda invocations.
+ * Every implementation exposes the same interface:
+ *   read()       -> Promise<object>  (empty object when nothing is stored yet)
+ *   write(state) -> Promise<void>
+ */
+
+/**
+ * In-memory store, useful for tests and local runs
+ */
+class MemoryStateStore {
+  constructor(initialState = {}) {
+    this.state = JSON.parse(JSON.stringify(initialState));
+  }
+
+  async read() {
+    return JSON.parse(JSON.stringify(this.state));
+  }
+
+  async write(state) {
+    this.state = JSON.parse(JSON.stringify(state));
+  }
+}
+
+/**
+ * Local JSON file store (survives warm starts via /tmp, or local runs)
+ */
+class FileStateStore {
+  constructor(filePath) {
+    this.filePath = filePath;
+  }
+
+  async read() {
+    try {
+      const content = await fs.promises.readFile(this.filePath, 'utf8');
+      return JSON.parse(content);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return {};
+      }
+      throw error;
+    }
+  }
+
+  async write(state) {
+    await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+
+    // Write to a temp file first so a crash never leaves half-written JSON behind
+    const tempPath = `${this.filePath}.${process.pid}.tmp`;
+    await fs.promises.writeFile(tempPath, JSON.stringify(state, null, 2));
+    await fs.promises.rename(tempPath, this.filePath);
+  }
+}
+
+/**
+ * S3 object store (survives cold starts and is shared across concurrent runs)
+ */
+class S3StateStore {
+  constructor({ bucket, key, s3Client }) {
+    this.bucket = bucket;
+    this.key = key;
+    this.s3Client = s3Client || new S3Client({ region: config.s3Config.region });
+  }
+
+  async read() {
+    try {
+      const command = new GetObjectCommand({ Bucket: this.bucket, Key: this.key });
+      const response = await this.s3Client.send(command);
+      const content = await response.Body.transformToString();
+      return content ? JSON.parse(content) : {};
+    } catch (error) {
+      if (error.name === 'NoSuchKey' || (error.$metadata && error.$metadata.httpStatusCode === 404)) {
+        return {};
+      }
+      throw error;
+    }
+  }
+
+  async write(state) {
+    const command = new PutObjectCommand({
+      Bucket: this.bucket,
+      Key: this.key,
+      Body: JSON.stringify(state),
+      ContentType: 'application/json'
+    });
+    await this.s3Client.send(command);
+  }
+}
+
+/**
+ * Create the configured state store for a named piece of state
+ */
+function createStateStore(name, options = {}) {
+  const type = options.type || config.state.type;
+
+  switch (type) {
+  case 'memory':
+    return new MemoryStateStore();
+  case 's3':
+    return new S3StateStore({
+      bucket: options.bucket || config.state.bucket,
+      key: `${options.prefix || config.state.prefix}${name}.json`,
+      s3Client: options.s3Client
+    });
+  case 'file':
+    return new FileStateStore(path.join(options.directory || config.state.directory, `${name}.json`));
+  default:
+    throw new Error(`Unknown state store type: ${type}`);
+  }
+}
+
+module.exports = {
+  MemoryStateStore,
+  FileStateStore,
+  S3StateStore,
+  createStateStore
+};
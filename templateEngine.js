@@ -0,0 +1,152 @@
+/**
+ * A small Mustache-style template engine for alert messages:
+ *   {{name}}              value, escaped for the output format
+ *   {{{name}}}            value, unescaped
+ *   {{#name}}...{{/name}} list: once per item; object or other truthy value: once
+ *   {{^name}}...{{/name}} once when the value is missing, false or an empty list
+ *   {{.}}                 the current list item
+ * Names may be dotted (peakWindow.start) and are looked up from the innermost
+ * section outwards. Section tags on a line of their own take the whole line,
+ * so plain-text templates don't fill up with blank lines.
+ */
+
+/**
+ * Raised when a template can't be parsed
+ */
+class TemplateError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'TemplateError';
+  }
+}
+
+const TAG = /\{\{\{\s*([\w.]+)\s*\}\}\}|\{\{\s*([#^/]?)\s*([\w.]+)\s*\}\}/g;
+const STANDALONE_SECTION_TAG = /^[ \t]*(\{\{\s*[#^/]\s*[\w.]+\s*\}\})[ \t]*\r?\n/gm;
+
+const parsed = new Map();
+
+/**
+ * Parse a template into a tree of text, variable and section nodes
+ */
+function parse(template) {
+  if (parsed.has(template)) {
+    return parsed.get(template);
+  }
+
+  const source = template.replace(STANDALONE_SECTION_TAG, '$1');
+  const root = { children: [] };
+  const stack = [root];
+  let position = 0;
+
+  for (const match of source.matchAll(TAG)) {
+    const current = stack[stack.length - 1];
+    if (match.index > position) {
+      current.children.push({ type: 'text', value: source.slice(position, match.index) });
+    }
+    position = match.index + match[0].length;
+
+    const [, rawName, operator, name] = match;
+    if (rawName) {
+      current.children.push({ type: 'variable', name: rawName, raw: true });
+    } else if (operator === '#' || operator === '^') {
+      const section = { type: 'section', name, inverted: operator === '^', children: [] };
+      current.children.push(section);
+      stack.push(section);
+    } else if (operator === '/') {
+      if (current === root || current.name !== name) {
+        throw new TemplateError(`Unexpected {{/${name}}}${current === root ? '' : `, expected {{/${current.name}}}`}`);
+      }
+      stack.pop();
+    } else {
+      current.children.push({ type: 'variable', name, raw: false });
+    }
+  }
+
+  if (stack.length > 1) {
+    throw new TemplateError(`Unclosed section {{#${stack[stack.length - 1].name}}}`);
+  }
+  if (position < source.length) {
+    root.children.push({ type: 'text', value: source.slice(position) });
+  }
+
+  parsed.set(template, root);
+  return root;
+}
+
+/**
+ * Look a (dotted) name up in the context stack, innermost first
+ */
+function lookup(contexts, name) {
+  if (name === '.') {
+    return contexts[contexts.length - 1];
+  }
+
+  const [first, ...rest] = name.split('.');
+  for (let i = contexts.length - 1; i >= 0; i--) {
+    const context = contexts[i];
+    if (context !== null && typeof context === 'object' && first in context) {
+      return rest.reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), context[first]);
+    }
+  }
+  return undefined;
+}
+
+function renderNodes(nodes, contexts, escape) {
+  let output = '';
+  for (const node of nodes) {
+    if (node.type === 'text') {
+      output += node.value;
+      continue;
+    }
+
+    const value = lookup(contexts, node.name);
+    if (node.type === 'variable') {
+      if (value !== null && value !== undefined) {
+        output += node.raw ? String(value) : escape(String(value));
+      }
+      continue;
+    }
+
+    const empty = !value || (Array.isArray(value) && value.length === 0);
+    if (node.inverted) {
+      output += empty ? renderNodes(node.children, contexts, escape) : '';
+    } else if (Array.isArray(value)) {
+      output += value.map(item => renderNodes(node.children, [...contexts, item], escape)).join('');
+    } else if (!empty) {
+      output += renderNodes(node.children, typeof value === 'object' ? [...contexts, value] : contexts, escape);
+    }
+  }
+  return output;
+}
+
+/**
+ * Render a template with a view, escaping {{name}} values with `escape`
+ */
+function render(template, view, escape = value => value) {
+  return renderNodes(parse(template).children, [view], escape);
+}
+
+const HTML_ENTITIES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', '\'': '&#39;' };
+
+/**
+ * Escape text for HTML element content and attribute values
+ */
+function escapeHtml(value) {
+  return value.replace(/[&<>"']/g, character => HTML_ENTITIES[character]);
+}
+
+/**
+ * Escape Markdown formatting characters (and angle brackets, which some
+ * renderers treat as HTML or links) so values render literally
+ */
+function escapeMarkdown(value) {
+  return value.replace(/[\\`*_~[\]#|<>]/g, '\\$&');
+}
+
+module.exports = {
+  TemplateError,
+  parse,
+  render,
+  escapeHtml,
+  escapeMarkdown
+};
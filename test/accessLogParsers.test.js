@@ -0,0 +1,146 @@
+const { Readable } = require('stream');
+const { tokenize, detectLogFormat, createAccessLogParser } = require('../accessLogParsers');
+const LogAnalyzer = require('../logAnalyzer');
+const config = require('../config');
+
+const ALB_LINE = (status, targetTime) =>
+  `https 2018-07-02T22:23:00.186641Z app/my-loadbalancer/50dc6c495c0c9188 192.168.131.39:2817 10.0.0.1:80 0.001 ${targetTime} 0.000 ${status} ${status} 34 366 ` +
+  '"GET https://www.example.com:443/ HTTP/1.1" "curl/7.46.0" ECDHE-RSA-AES128-GCM-SHA256 TLSv1.2 ' +
+  'arn:aws:elasticloadbalancing:us-east-2:123456789012:targetgroup/my-targets/73e2d6bc24d8a067 "Root=1-58337262-36d228ad5d99923122bbe354" "-" "-" 0 2018-07-02T22:22:48.364000Z "forward" "-" "-" "10.0.0.1:80" "200" "-" "-"';
+
+const CLOUDFRONT_LOG = [
+  '#Version: 1.0',
+  '#Fields: date time x-edge-location sc-bytes c-ip cs-method cs(Host) cs-uri-stem sc-status cs(Referer) cs(User-Agent) cs-uri-query cs(Cookie) x-edge-result-type x-edge-request-id x-host-header cs-protocol cs-bytes time-taken',
+  '2019-12-04\t21:02:31\tLAX1\t392\t192.0.2.100\tGET\td111111abcdef8.cloudfront.net\t/index.html\t200\t-\tMozilla/5.0\t-\t-\tHit\tSOX4xwn4XV6Q==\td111111abcdef8.cloudfront.net\thttps\t23\t0.001',
+  '2019-12-04\t21:02:32\tLAX1\t392\t192.0.2.100\tGET\td111111abcdef8.cloudfront.net\t/missing\t404\t-\tMozilla/5.0\t-\t-\tError\tk6WGMNkEzR5B==\td111111abcdef8.cloudfront.net\thttps\t23\t0.012'
+];
+
+const S3_ACCESS_LINE = '79a59df900b949e5 DOC-EXAMPLE-BUCKET1 [06/Feb/2019:00:00:38 +0000] 192.0.2.3 79a59df900b949e5 3E57427F3EXAMPLE ' +
+  'REST.GET.OBJECT photos/cat.jpg "GET /DOC-EXAMPLE-BUCKET1/photos/cat.jpg HTTP/1.1" 503 SlowDown 113 - 7 - "-" "S3Console/0.4" - s9lzHYrFp76Z= SigV4';
+
+const VPC_LOG = [
+  'version account-id interface-id srcaddr dstaddr srcport dstport protocol packets bytes start end action log-status',
+  '2 123456789010 eni-1235b8ca123456789 172.31.16.139 172.31.16.21 20641 22 6 20 4249 1418530010 1418530070 ACCEPT OK',
+  '2 123456789010 eni-1235b8ca123456789 172.31.9.69 172.31.9.12 49761 3389 6 20 4249 1418530010 1418530070 REJECT OK',
+  '2 123456789010 eni-1235b8ca123456789 - - - - - - - 1418530010 1418530070 - NODATA'
+];
+
+describe('Access log format detection', () => {
+  const originalS3Config = { ...config.s3Config };
+
+  afterEach(() => {
+    Object.assign(config.s3Config, originalS3Config);
+  });
+
+  test('should sniff each format from its first line', () => {
+    expect(detectLogFormat('logs/a', ALB_LINE(200, '0.010'))).toBe('alb');
+    expect(detectLogFormat('logs/a', CLOUDFRONT_LOG[0])).toBe('cloudfront');
+    expect(detectLogFormat('logs/a', S3_ACCESS_LINE)).toBe('s3-access');
+    expect(detectLogFormat('logs/a', VPC_LOG[0])).toBe('vpc-flow');
+    expect(detectLogFormat('logs/a', VPC_LOG[1])).toBe('vpc-flow');
+    expect(detectLogFormat('logs/a', 'ERROR: plain text')).toBe('text');
+  });
+
+  test('should prefer the format of the longest matching S3 source prefix', () => {
+    config.s3Config.sources = [
+      { prefix: 'logs/', format: 'text' },
+      { prefix: 'logs/alb/', format: 'alb' }
+    ];
+
+    expect(detectLogFormat('logs/alb/2023/12/01/file.log.gz', 'anything')).toBe('alb');
+    expect(detectLogFormat('logs/app/file.log', ALB_LINE(200, '0.010'))).toBe('text');
+  });
+
+  test('should reject unknown formats', () => {
+    expect(() => createAccessLogParser('syslog')).toThrow('Unknown log format: syslog');
+  });
+});
+
+describe('Access log parsers', () => {
+  test('should keep quoted and bracketed values together when tokenizing', () => {
+    expect(tokenize('a "b c" [d e] f')).toEqual(['a', 'b c', 'd e', 'f']);
+  });
+
+  test('should parse ALB status and processing times', () => {
+    const record = createAccessLogParser('alb').parse(ALB_LINE(502, '-1'));
+
+    expect(record).toMatchObject({
+      timestamp: '2018-07-02T22:23:00.186Z',
+      status: 502,
+      isError: true,
+      requestProcessingMs: 1,
+      targetProcessingMs: undefined,
+      durationMs: undefined,
+      request: 'GET https://www.example.com:443/ HTTP/1.1'
+    });
+    expect(createAccessLogParser('alb').parse(ALB_LINE(200, '0.250')).durationMs).toBeCloseTo(251);
+  });
+
+  test('should parse CloudFront logs using the #Fields header', () => {
+    const parser = createAccessLogParser('cloudfront');
+    const records = CLOUDFRONT_LOG.map(line => parser.parse(line));
+
+    expect(records[0]).toBeNull();
+    expect(records[1]).toBeNull();
+    expect(records[2]).toMatchObject({ timestamp: '2019-12-04T21:02:31.000Z', status: 200, durationMs: 1 });
+    expect(records[3]).toMatchObject({ status: 404, isClientError: true, durationMs: 12 });
+  });
+
+  test('should parse S3 server access logs', () => {
+    expect(createAccessLogParser('s3-access').parse(S3_ACCESS_LINE)).toMatchObject({
+      timestamp: '2019-02-06T00:00:38.000Z',
+      status: 503,
+      errorCode: 'SlowDown',
+      durationMs: 7,
+      operation: 'REST.GET.OBJECT'
+    });
+  });
+
+  test('should parse VPC flow records and skip headers and NODATA', () => {
+    const parser = createAccessLogParser('vpc-flow');
+    const records = VPC_LOG.map(line => parser.parse(line));
+
+    expect(records[0]).toBeNull();
+    expect(records[1]).toMatchObject({ flowAction: 'ACCEPT', bytes: 4249, timestamp: '2014-12-14T04:06:50.000Z' });
+    expect(records[2].flowAction).toBe('REJECT');
+    expect(records[3]).toBeNull();
+  });
+
+  test('should fall back to text for lines that do not fit the format', () => {
+    expect(createAccessLogParser('alb').parse('ERROR: not an ALB line')).toBeUndefined();
+  });
+});
+
+describe('Access log metrics', () => {
+  let logAnalyzer;
+
+  beforeEach(() => {
+    logAnalyzer = new LogAnalyzer();
+  });
+
+  test('should count real status codes only, not byte sizes or ports', async () => {
+    const lines = [ALB_LINE(200, '0.100'), ALB_LINE(404, '0.050'), ALB_LINE(404, '0.050'), ALB_LINE(503, '-1')];
+    const results = await logAnalyzer.processLogStream(Readable.from([Buffer.from(lines.join('\n'))]), 'logs/alb/file.log');
+
+    expect(results.metrics.logFormat).toBe('alb');
+    expect(results.metrics.statusCodes).toEqual({ 200: 1, 404: 2, 503: 1 });
+    expect(results.metrics.requestCount).toBe(4);
+    expect(results.metrics.clientErrorCount).toBe(2);
+    expect(results.metrics.errorCount).toBe(1);
+    expect(results.metrics.targetProcessingTimes).toEqual([100, 50, 50]);
+    expect(results.violations.find(v => v.metric === 'Client Error Rate')).toMatchObject({ value: '50.0', unit: '%' });
+  });
+
+  test('should skip CloudFront header lines when counting', () => {
+    const results = logAnalyzer.processLogLines(CLOUDFRONT_LOG, 'cf/E2ABC.2019-12-04-21.abcd');
+
+    expect(results.metrics.totalLines).toBe(2);
+    expect(results.metrics.statusCodes).toEqual({ 200: 1, 404: 1 });
+  });
+
+  test('should summarize VPC flow records', () => {
+    const results = logAnalyzer.processLogLines(VPC_LOG, 'vpc/flow.log');
+
+    expect(results.metrics).toMatchObject({ flowRecords: 2, rejectedFlows: 1, bytesTransferred: 8498, errorCount: 0 });
+  });
+});
@@ -0,0 +1,183 @@
+const config = require('../config');
+const AlertService = require('../alertService');
+const {
+  SlackChannel,
+  TeamsChannel,
+  PagerDutyChannel,
+  WebhookChannel,
+  SnsChannel,
+  EmailChannel,
+  AlertDeliveryError,
+  deliver
+} = require('../alertChannels');
+const HttpStubServer = require('./httpStubServer');
+
+const alert = {
+  subject: '12 errors detected in /aws/lambda/payments in the last 60 minutes',
+  textMessage: '\nError Alert Summary:\nTotal Errors: 12\n',
+  htmlMessage: '<html><body>12 errors</body></html>',
+  severity: 'CRITICAL',
+  alertType: 'error-threshold',
+  source: '/aws/lambda/payments',
+  routing: {},
+  timestamp: '2023-12-01T10:30:00.000Z'
+};
+
+const originalDelivery = { ...config.alerts.delivery };
+
+beforeEach(() => {
+  config.alerts.delivery.retryDelayMs = 1;
+});
+
+afterEach(() => {
+  Object.assign(config.alerts.delivery, originalDelivery);
+});
+
+describe('Alert channels', () => {
+  const stub = new HttpStubServer();
+
+  beforeAll(() => stub.start());
+  afterAll(() => stub.stop());
+  beforeEach(() => stub.reset());
+
+  test('should post a Block Kit message to Slack', async () => {
+    await new SlackChannel({ webhookUrl: `${stub.url}/services/T000/B000/XXX` }).send(alert);
+
+    const [request] = stub.requests;
+    expect(request.url).toBe('/services/T000/B000/XXX');
+    expect(request.headers['content-type']).toBe('application/json');
+    expect(request.body.text).toBe(`[CRITICAL] ${alert.subject}`);
+    expect(request.body.blocks.map(block => block.type)).toEqual(['header', 'context', 'section']);
+    expect(request.body.blocks[2].text.text).toContain('Total Errors: 12');
+  });
+
+  test('should post an Adaptive Card to Teams', async () => {
+    await new TeamsChannel({ webhookUrl: `${stub.url}/webhook` }).send(alert);
+
+    const [attachment] = stub.requests[0].body.attachments;
+    expect(attachment.contentType).toBe('application/vnd.microsoft.card.adaptive');
+    expect(attachment.content).toMatchObject({ type: 'AdaptiveCard', version: '1.4' });
+    expect(attachment.content.body[0]).toMatchObject({ text: alert.subject, color: 'Attention' });
+    expect(attachment.content.body[1].facts).toContainEqual({ title: 'Source', value: '/aws/lambda/payments' });
+  });
+
+  test('should trigger a PagerDuty Events v2 incident', async () => {
+    await new PagerDutyChannel({ routingKey: 'R0UT1NGK3Y', url: `${stub.url}/v2/enqueue` }).send({
+      ...alert,
+      incidents: [{ key: '/aws/lambda/payments::error:0123456789ab', source: '/aws/lambda/payments', title: 'Timeout', severity: 'CRITICAL' }]
+    });
+
+    expect(stub.requests[0].body).toMatchObject({
+      routing_key: 'R0UT1NGK3Y',
+      event_action: 'trigger',
+      dedup_key: '/aws/lambda/payments::error:0123456789ab',
+      payload: {
+        summary: '/aws/lambda/payments: Timeout',
+        source: '/aws/lambda/payments',
+        severity: 'critical',
+        timestamp: alert.timestamp
+      }
+    });
+  });
+
+  test('should not page for alerts that aren\'t about incidents', async () => {
+    const channel = new PagerDutyChannel({ routingKey: 'R0UT1NGK3Y', url: `${stub.url}/v2/enqueue` });
+
+    expect(await deliver(channel, { ...alert, alertType: 'summary', severity: 'INFO' })).toEqual({
+      channel: 'pagerduty', status: 'skipped', reason: 'not about an incident', attempts: 1
+    });
+    expect(stub.requests).toEqual([]);
+  });
+
+  test('should send one PagerDuty event per incident and resolve cleared ones', async () => {
+    await new PagerDutyChannel({ routingKey: 'R0UT1NGK3Y', url: `${stub.url}/v2/enqueue` }).send({
+      ...alert,
+      incidents: [
+        { key: '/aws/lambda/payments::P95 Response Time', source: '/aws/lambda/payments', title: 'P95 Response Time: 900 exceeds 500 ms', severity: 'WARNING' },
+        { key: '/aws/lambda/payments::error:0123456789ab', source: '/aws/lambda/payments', title: 'Timeout', severity: 'CRITICAL', resolvedAt: '2023-12-01T10:30:00.000Z' }
+      ]
+    });
+
+    expect(stub.requests.map(request => request.body)).toEqual([
+      expect.objectContaining({
+        event_action: 'trigger',
+        dedup_key: '/aws/lambda/payments::P95 Response Time',
+        payload: expect.objectContaining({ summary: '/aws/lambda/payments: P95 Response Time: 900 exceeds 500 ms', severity: 'warning' })
+      }),
+      { routing_key: 'R0UT1NGK3Y', event_action: 'resolve', dedup_key: '/aws/lambda/payments::error:0123456789ab' }
+    ]);
+  });
+
+  test('should only post the PagerDuty events not yet accepted when retrying', async () => {
+    const channel = new PagerDutyChannel({ routingKey: 'R0UT1NGK3Y', url: `${stub.url}/v2/enqueue` });
+    const incidents = ['a', 'b', 'c'].map(id => ({ key: `/aws/lambda/payments::${id}`, source: '/aws/lambda/payments', title: id, severity: 'WARNING' }));
+
+    stub.respondWith({ status: 202 }, { status: 503 });
+    expect(await deliver(channel, { ...alert, incidents }, { retries: 2, retryDelayMs: 0 })).toMatchObject({ status: 'sent', attempts: 2 });
+
+    expect(stub.requests.map(request => request.body.dedup_key)).toEqual([
+      '/aws/lambda/payments::a',
+      '/aws/lambda/payments::b',
+      '/aws/lambda/payments::b',
+      '/aws/lambda/payments::c'
+    ]);
+  });
+
+  test('should send the alert as JSON with custom headers to a webhook', async () => {
+    await new WebhookChannel({ url: `${stub.url}/hooks/alerts`, headers: { Authorization: 'Bearer secret' } }).send(alert);
+
+    expect(stub.requests[0].headers.authorization).toBe('Bearer secret');
+    expect(stub.requests[0].body).toMatchObject({ subject: alert.subject, severity: 'CRITICAL', text: alert.textMessage });
+  });
+
+  test('should retry server errors and give up on client errors', async () => {
+    const channel = new WebhookChannel({ url: `${stub.url}/hooks/alerts` });
+
+    stub.respondWith({ status: 503 }, { status: 500 });
+    expect(await deliver(channel, alert)).toEqual({ channel: 'webhook', status: 'sent', attempts: 3 });
+
+    stub.reset();
+    stub.respondWith({ status: 400, body: 'invalid_payload' });
+    expect(await deliver(channel, alert)).toEqual({
+      channel: 'webhook',
+      status: 'failed',
+      attempts: 1,
+      error: expect.stringContaining('HTTP 400')
+    });
+  });
+});
+
+describe('AlertService delivery', () => {
+  const stub = new HttpStubServer();
+
+  beforeAll(() => stub.start());
+  afterAll(() => stub.stop());
+  beforeEach(() => stub.reset());
+
+  test('should deliver to every channel even when one fails', async () => {
+    const sns = new SnsChannel({ snsClient: { send: jest.fn().mockRejectedValue(new Error('SNS throttled')) } });
+    const sesClient = { send: jest.fn().mockResolvedValue({ MessageId: 'email-1' }) };
+    const alertService = new AlertService({
+      channels: [sns, new EmailChannel({ sesClient }), new SlackChannel({ webhookUrl: `${stub.url}/slack` })]
+    });
+
+    const deliveries = await alertService.sendAlert(alert, 'error-threshold', 'CRITICAL', alert.source);
+
+    expect(deliveries).toEqual([
+      expect.objectContaining({ channel: 'sns', status: 'failed', attempts: config.alerts.delivery.retries + 1 }),
+      { channel: 'email', status: 'sent', attempts: 1 },
+      { channel: 'slack', status: 'sent', attempts: 1 }
+    ]);
+    expect(sesClient.send).toHaveBeenCalledTimes(1);
+    expect(stub.requests).toHaveLength(1);
+  });
+
+  test('should throw when no channel delivers the alert', async () => {
+    stub.respondWith({ status: 404 });
+    const alertService = new AlertService({
+      channels: [new SlackChannel({ webhookUrl: `${stub.url}/gone` })]
+    });
+
+    await expect(alertService.sendAlert(alert, 'error-threshold', 'CRITICAL')).rejects.toThrow(AlertDeliveryError);
+  });
+});
@@ -0,0 +1,107 @@
+const config = require('../config');
+const AlertService = require('../alertService');
+const { isInQuietHours, resolveRoute } = require('../alertRouter');
+const { validateConfig } = require('../configLoader');
+
+const routes = [
+  {
+    name: 'page-critical',
+    match: { severity: ['CRITICAL'], source: [/^\/aws\/lambda\//] },
+    channels: ['pagerduty', 'slack']
+  },
+  {
+    name: 'memory',
+    match: { metric: [/Memory/] },
+    channels: ['slack'],
+    emailTo: ['platform@example.com'],
+    quietHours: [{ start: '22:00', end: '07:00', timezone: 'Europe/Berlin' }]
+  },
+  {
+    name: 'summaries',
+    match: { alertType: ['summary'] },
+    channels: ['email']
+  }
+];
+
+describe('Alert routing', () => {
+  const noon = new Date('2023-12-01T12:00:00Z');
+
+  test('should pick the first matching rule', () => {
+    expect(resolveRoute({ severity: 'CRITICAL', alertType: 'error-threshold', source: '/aws/lambda/payments' }, noon, routes))
+      .toMatchObject({ name: 'page-critical', channels: ['pagerduty', 'slack'], quiet: false });
+    expect(resolveRoute({ severity: 'CRITICAL', alertType: 'error-threshold', source: '/aws/ecs/orders' }, noon, routes, { channels: ['email'] }))
+      .toMatchObject({ name: 'default', channels: ['email'] });
+    expect(resolveRoute({ severity: 'INFO', alertType: 'summary' }, noon, routes).name).toBe('summaries');
+  });
+
+  test('should match when any of the alert\'s metrics matches', () => {
+    const alert = { severity: 'WARNING', alertType: 'threshold-violation', source: 'logs/', metrics: ['P95 Response Time', 'Memory Usage'] };
+    expect(resolveRoute(alert, noon, routes)).toMatchObject({ name: 'memory', emailTo: ['platform@example.com'] });
+  });
+
+  test('should apply quiet hours in the window\'s time zone, including overnight windows', () => {
+    const quietHours = routes[1].quietHours;
+
+    expect(isInQuietHours(quietHours, new Date('2023-12-01T20:59:00Z'))).toBe(false); // 21:59 in Berlin
+    expect(isInQuietHours(quietHours, new Date('2023-12-01T21:00:00Z'))).toBe(true);
+    expect(isInQuietHours(quietHours, new Date('2023-12-02T05:59:00Z'))).toBe(true);
+    expect(isInQuietHours(quietHours, new Date('2023-12-02T06:00:00Z'))).toBe(false);
+    expect(isInQuietHours([{ start: '00:00', end: '23:59', days: ['sat', 'sun'] }], new Date('2023-12-02T12:00:00Z'))).toBe(true);
+    expect(isInQuietHours([{ start: '00:00', end: '23:59', days: ['sat', 'sun'] }], noon)).toBe(false);
+  });
+
+  test('should validate channel names, times and time zones', () => {
+    expect(validateConfig({
+      alerts: {
+        channels: [{ type: 'sns' }, { type: 'email' }],
+        routes: [{ match: { severity: ['CRIT'] }, channels: ['pager'], quietHours: [{ start: '7pm', end: '07:00', timezone: 'Mars/Olympus' }] }]
+      }
+    })).toEqual([
+      'alerts.routes[0].match.severity[0]: must be one of "CRITICAL", "WARNING", "INFO", got "CRIT"',
+      'alerts.routes[0].channels[0]: unknown channel "pager"',
+      'alerts.routes[0].quietHours[0].start: expected a time as "HH:MM", got "7pm"',
+      'alerts.routes[0].quietHours[0].timezone: unknown time zone "Mars/Olympus"'
+    ]);
+  });
+});
+
+describe('AlertService routing', () => {
+  const originalRoutes = config.alerts.routes;
+  let alertService;
+  let sent;
+
+  beforeEach(() => {
+    config.alerts.routes = routes;
+    sent = [];
+    const channel = name => ({ name, send: jest.fn(async alert => { sent.push([name, alert]); }) });
+    alertService = new AlertService({
+      channels: ['sns', 'email', 'slack', 'pagerduty'].map(channel)
+    });
+  });
+
+  afterEach(() => {
+    config.alerts.routes = originalRoutes;
+  });
+
+  test('should deliver only to the routed channels', async () => {
+    const deliveries = await alertService.sendAlert({ subject: 's', textMessage: 't' }, 'summary', 'INFO');
+
+    expect(deliveries).toEqual([{ channel: 'email', status: 'sent', attempts: 1 }]);
+    expect(sent[0][1].route).toBe('summaries');
+  });
+
+  test('should let the route override recipients and honour quiet hours', async () => {
+    jest.useFakeTimers({ now: new Date('2023-12-01T12:00:00Z'), doNotFake: ['setTimeout'] });
+    try {
+      await alertService.sendAlert({ subject: 's', textMessage: 't', metrics: ['Memory Usage'] }, 'threshold-violation', 'CRITICAL', 'logs/', { emailTo: ['team@example.com'] });
+      expect(sent.map(([name]) => name)).toEqual(['slack']);
+      expect(sent[0][1].routing.emailTo).toEqual(['platform@example.com']);
+
+      jest.setSystemTime(new Date('2023-12-01T23:00:00Z'));
+      expect(await alertService.sendAlert({ subject: 's', textMessage: 't', metrics: ['Memory Usage'] }, 'threshold-violation', 'WARNING', 'logs/app/')).toEqual([]);
+      expect(sent).toHaveLength(1);
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+});
@@ -0,0 +1,111 @@
+const config = require('../config');
+const AlertService = require('../alertService');
+const { render, escapeHtml, escapeMarkdown, TemplateError } = require('../templateEngine');
+const { renderAlert } = require('../alertTemplates');
+const { toSlackMrkdwn, SlackChannel } = require('../alertChannels');
+const { validateConfig } = require('../configLoader');
+
+describe('Template engine', () => {
+  test('should render variables, lists and inverted sections', () => {
+    const template = '{{title}}:{{#items}} {{name}}={{value}}{{/items}}{{^items}} none{{/items}} ({{owner.name}})';
+
+    expect(render(template, { title: 'Items', items: [{ name: 'a', value: 1 }, { name: 'b', value: 0 }], owner: { name: 'ops' } }))
+      .toBe('Items: a=1 b=0 (ops)');
+    expect(render(template, { title: 'Items', items: [] })).toBe('Items: none ()');
+  });
+
+  test('should look names up from the innermost section outwards', () => {
+    expect(render('{{#groups}}{{source}}: {{#tags}}{{.}} {{/tags}}{{/groups}}', {
+      source: 'api',
+      groups: [{ tags: ['x', 'y'] }]
+    })).toBe('api: x y ');
+  });
+
+  test('should drop lines that only hold a section tag', () => {
+    expect(render('Errors:\n{{#errors}}\n- {{.}}\n{{/errors}}\nDone\n', { errors: ['a', 'b'] })).toBe('Errors:\n- a\n- b\nDone\n');
+  });
+
+  test('should escape values unless they use triple braces', () => {
+    const view = { message: '<script>alert("x")</script> & *bold*' };
+
+    expect(render('{{message}}', view, escapeHtml)).toBe('&lt;script&gt;alert(&quot;x&quot;)&lt;/script&gt; &amp; *bold*');
+    expect(render('{{{message}}}', view, escapeHtml)).toBe(view.message);
+    expect(render('{{message}}', view, escapeMarkdown)).toBe('\\<script\\>alert("x")\\</script\\> & \\*bold\\*');
+  });
+
+  test('should reject unbalanced sections', () => {
+    expect(() => render('{{#a}}x', {})).toThrow(new TemplateError('Unclosed section {{#a}}'));
+    expect(() => render('{{#a}}x{{/b}}', {})).toThrow('Unexpected {{/b}}, expected {{/a}}');
+  });
+});
+
+describe('Alert templates', () => {
+  const errors = [
+    { timestamp: '2023-12-01T10:30:00Z', message: 'Render failed: </table><script>steal()</script>', source: 'app-logs' }
+  ];
+
+  test('should escape log content in HTML and Markdown renderings', () => {
+    const alert = new AlertService({ channels: [] }).formatErrorAlert(errors, 60);
+
+    expect(alert.textMessage).toContain('Sample: Render failed: </table><script>steal()</script>');
+    expect(alert.htmlMessage).toContain('Render failed: &lt;/table&gt;&lt;script&gt;steal()&lt;/script&gt;');
+    expect(alert.htmlMessage).not.toContain('<script>');
+    expect(alert.markdownMessage).toContain('Render failed: \\</table\\>\\<script\\>steal()\\</script\\>');
+  });
+
+  test('should escape violation and summary fields too', () => {
+    const alertService = new AlertService({ channels: [] });
+    const summary = alertService.formatSummaryAlert({
+      timestamp: '2023-12-01T10:30:00Z',
+      violations: [{ metric: 'Missing Log Files', value: 0, threshold: 1, comparison: 'below', source: '<img src=x>' }],
+      errorGroups: [{ count: 2, pattern: '<b>boom</b>', sources: ['api'] }],
+      summary: { totalErrors: 2, totalViolations: 1, cloudWatchSources: 1, s3Sources: 1 }
+    });
+
+    expect(summary.htmlMessage).toContain('<strong>2x</strong> &lt;b&gt;boom&lt;/b&gt;');
+    expect(summary.textMessage).toContain('- [2x] <b>boom</b> (api)');
+    expect(summary.markdownMessage).toContain('- **2x** \\<b\\>boom\\</b\\> (api)');
+  });
+
+  test('should use configured templates over the defaults', () => {
+    const templates = { failure: { subject: '[analyzer] {{message}}', markdown: 'Failed: {{message}}' } };
+    const alert = renderAlert('failure', { message: 'Access *denied*', stack: 'at x', timestamp: 't' }, templates);
+
+    expect(alert.subject).toBe('[analyzer] Access *denied*');
+    expect(alert.markdownMessage).toBe('Failed: Access \\*denied\\*');
+    expect(alert.textMessage).toContain('Stack trace: at x');
+  });
+
+  test('should validate template overrides when loading configuration', () => {
+    expect(validateConfig({
+      alerts: {
+        templates: {
+          error: { subject: '{{#source}}{{source}}' },
+          weekly: { text: 'x' }
+        }
+      }
+    })).toEqual([
+      'alerts.templates.weekly: unknown key',
+      'alerts.templates.error.subject: Unclosed section {{#source}}'
+    ]);
+    expect(config.alerts.templates).toEqual({});
+  });
+});
+
+describe('Chat rendering', () => {
+  test('should convert template Markdown to Slack mrkdwn', () => {
+    expect(toSlackMrkdwn('**Source:** \\<app\\> & \\*x\\*')).toBe('*Source:* &lt;app&gt; &amp; *x*');
+  });
+
+  test('should send the Markdown rendering to Slack when there is one', () => {
+    const alert = {
+      ...new AlertService({ channels: [] }).formatThresholdAlert([{ metric: 'Memory Usage', value: 95, threshold: 80, comparison: 'exceeds', unit: '%' }]),
+      severity: 'CRITICAL',
+      alertType: 'threshold-violation',
+      routing: {}
+    };
+
+    expect(new SlackChannel({ webhookUrl: 'https://hooks.slack.com/x' }).buildPayload(alert).blocks[2].text.text)
+      .toContain('*⚠️ Threshold Violation Alert*\n\n- Memory Usage: 95 exceeds 80 %');
+  });
+});
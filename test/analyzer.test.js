@@ -1,6 +1,10 @@
 const LogAnalyzer = require('../logAnalyzer');
 const AlertService = require('../alertService');
 const config = require('../config');
+const { MemoryStateStore } = require('../stateStore');
+const FakeS3Client = require('./fakeS3Client');
+const zlib = require('zlib');
+const { Readable } = require('stream');
 
 // Mock AWS SDK
 jest.mock('@aws-sdk/client-s3');
@@ -80,6 +84,524 @@ describe('LogAnalyzer', () => {
     expect(violations.some(v => v.metric === 'Average Response Time')).toBe(true);
     expect(violations.some(v => v.metric === 'Memory Usage')).toBe(true);
   });
+
+  test('should judge high-volume sources by error rate instead of count', () => {
+    const quietRate = logAnalyzer.checkThresholds({ totalEvents: 2000000, errorCount: 50 }, 'busy-source');
+    expect(quietRate.some(v => v.metric.startsWith('Error'))).toBe(false);
+
+    const [violation] = logAnalyzer.checkThresholds({ totalEvents: 2000, errorCount: 300 }, 'busy-source');
+    expect(violation).toMatchObject({
+      metric: 'Error Rate',
+      value: '15.0',
+      threshold: 5,
+      unit: '%',
+      errorCount: 300,
+      volume: 2000,
+      severity: 'CRITICAL'
+    });
+  });
+
+  test('should use parsed request counts as the error rate volume', () => {
+    const [violation] = logAnalyzer.checkThresholds(
+      { totalLines: 1002, requestCount: 1000, errorCount: 60, statusCodes: {} },
+      'alb-source'
+    );
+
+    expect(violation).toMatchObject({ metric: 'Error Rate', value: '6.0', volume: 1000, severity: 'WARNING' });
+  });
+});
+
+describe('Sliding-window error bursts', () => {
+  const hourStart = Date.parse('2023-12-01T10:00:00Z');
+  let logAnalyzer;
+
+  beforeEach(() => {
+    logAnalyzer = new LogAnalyzer();
+  });
+
+  // One event every 2 seconds for an hour, with errors at the given offsets (seconds)
+  function hourOfEvents(errorOffsets) {
+    const errorSet = new Set(errorOffsets);
+    const events = [];
+    for (let second = 0; second < 3600; second += 2) {
+      events.push({
+        timestamp: hourStart + second * 1000,
+        message: errorSet.has(second) ? `ERROR: upstream failed (${second})` : `INFO: ok ${second}`
+      });
+    }
+    return events;
+  }
+
+  test('should flag a short burst that the hourly rate would dilute', () => {
+    // 12 errors between 10:20 and 10:25 among 1800 events
+    const offsets = Array.from({ length: 12 }, (_, i) => 1200 + i * 24);
+    const results = logAnalyzer.processLogEvents(hourOfEvents(offsets), 'bursty-group');
+
+    const violation = results.violations.find(v => v.metric === 'Error Count');
+    expect(violation).toMatchObject({
+      value: 12,
+      threshold: 10,
+      windowStart: '2023-12-01T10:20:00.000Z',
+      windowEnd: '2023-12-01T10:35:00.000Z',
+      windowMinutes: 15,
+      volume: 450
+    });
+  });
+
+  test('should not flag errors spread thinly across the lookback', () => {
+    // 30 errors, one every 2 minutes: at most 8 in any 15-minute window
+    const offsets = Array.from({ length: 30 }, (_, i) => i * 120);
+    const results = logAnalyzer.processLogEvents(hourOfEvents(offsets), 'steady-group');
+
+    expect(results.metrics.errorCount).toBe(30);
+    expect(results.violations.some(v => v.metric.startsWith('Error'))).toBe(false);
+  });
+
+  test('should bucket S3 lines by their own timestamps', () => {
+    const lines = Array.from({ length: 11 }, (_, i) => `2023-12-01T10:0${Math.floor(i / 2)}:00Z ERROR job ${i} failed`);
+    const results = logAnalyzer.processLogLines(lines, 'logs/app.log');
+
+    expect(results.violations[0]).toMatchObject({ metric: 'Error Count', value: 11, windowStart: '2023-12-01T10:00:00.000Z' });
+  });
+});
+
+describe('CloudWatch pagination', () => {
+  let logAnalyzer;
+  const originalLogGroups = config.logGroups;
+  const originalAnalysis = { ...config.analysis };
+
+  beforeEach(() => {
+    logAnalyzer = new LogAnalyzer();
+    config.logGroups = ['/aws/apigateway/busy-api'];
+  });
+
+  afterEach(() => {
+    config.logGroups = originalLogGroups;
+    Object.assign(config.analysis, originalAnalysis);
+  });
+
+  test('should follow nextToken until the window is covered', async () => {
+    logAnalyzer.cloudWatchClient.send
+      .mockResolvedValueOnce({ events: [{ timestamp: 1000, message: 'ERROR: first page' }], nextToken: 'page-2' })
+      .mockResolvedValueOnce({ events: [], nextToken: 'page-3' })
+      .mockResolvedValueOnce({ events: [{ timestamp: 2000, message: 'ERROR: last page' }] });
+
+    const results = await logAnalyzer.analyzeCloudWatchLogs();
+
+    expect(logAnalyzer.cloudWatchClient.send).toHaveBeenCalledTimes(3);
+    expect(results.metrics['/aws/apigateway/busy-api'].totalEvents).toBe(2);
+    expect(results.metrics['/aws/apigateway/busy-api'].errorCount).toBe(2);
+    expect(results.scanCoverage['/aws/apigateway/busy-api']).toMatchObject({
+      status: 'complete',
+      pages: 3,
+      events: 2
+    });
+  });
+
+  test('should stop at the per-group event cap and report a partial scan', async () => {
+    config.analysis.maxEventsPerGroup = 2;
+    logAnalyzer.cloudWatchClient.send
+      .mockResolvedValueOnce({
+        events: [{ timestamp: 1000, message: 'INFO: a' }, { timestamp: 1500, message: 'INFO: b' }],
+        nextToken: 'page-2'
+      });
+
+    const results = await logAnalyzer.analyzeCloudWatchLogs();
+
+    expect(logAnalyzer.cloudWatchClient.send).toHaveBeenCalledTimes(1);
+    expect(results.scanCoverage['/aws/apigateway/busy-api']).toMatchObject({
+      status: 'partial',
+      stopReason: 'event-cap',
+      events: 2,
+      coveredUntil: new Date(1500).toISOString()
+    });
+  });
+
+  test('should stop when the per-group time budget is spent', async () => {
+    config.analysis.maxScanSecondsPerGroup = 0;
+    logAnalyzer.cloudWatchClient.send
+      .mockResolvedValueOnce({ events: [{ timestamp: 1000, message: 'INFO: a' }], nextToken: 'page-2' });
+
+    const results = await logAnalyzer.analyzeCloudWatchLogs();
+
+    expect(results.scanCoverage['/aws/apigateway/busy-api']).toMatchObject({
+      status: 'partial',
+      stopReason: 'time-budget'
+    });
+  });
+});
+
+describe('Log volume monitoring', () => {
+  const originalLogGroups = config.logGroups;
+  const originalS3Config = { ...config.s3Config };
+  const originalVolume = { ...config.thresholds.volume };
+  let volumeStore;
+  let logAnalyzer;
+
+  beforeEach(() => {
+    config.logGroups = ['/aws/ecs/orders', '/aws/ecs/billing'];
+    volumeStore = new MemoryStateStore({ volumes: { '/aws/ecs/billing': { volume: 1000 } } });
+    logAnalyzer = new LogAnalyzer({ volumeStore });
+  });
+
+  afterEach(() => {
+    config.logGroups = originalLogGroups;
+    Object.assign(config.s3Config, originalS3Config);
+    config.thresholds.volume = { ...originalVolume };
+  });
+
+  test('should keep silent log groups in the results and flag them', async () => {
+    logAnalyzer.cloudWatchClient.send
+      .mockResolvedValueOnce({ events: [] })
+      .mockRejectedValueOnce(new Error('AccessDenied'));
+
+    const results = await logAnalyzer.analyzeCloudWatchLogs();
+    expect(results.metrics['/aws/ecs/orders'].totalEvents).toBe(0);
+
+    const violations = await logAnalyzer.checkSourceVolumes(results.scanCoverage, results.metrics, { recentFiles: null });
+    expect(violations).toEqual([expect.objectContaining({
+      type: 'volume',
+      metric: 'No Logs',
+      value: 0,
+      severity: 'CRITICAL',
+      source: '/aws/ecs/orders'
+    })]);
+  });
+
+  test('should flag a drop against the previous run', async () => {
+    config.thresholds.volume.maxDropPercent = 50;
+    const scanCoverage = { '/aws/ecs/orders': { status: 'complete' }, '/aws/ecs/billing': { status: 'complete' } };
+    const metrics = { '/aws/ecs/orders': { totalEvents: 500 }, '/aws/ecs/billing': { totalEvents: 200 } };
+
+    const violations = await logAnalyzer.checkSourceVolumes(scanCoverage, metrics, { recentFiles: null });
+
+    expect(violations).toEqual([expect.objectContaining({
+      metric: 'Log Volume Drop',
+      value: '80.0',
+      previousVolume: 1000,
+      volume: 200,
+      source: '/aws/ecs/billing'
+    })]);
+    expect((await volumeStore.read()).volumes['/aws/ecs/orders'].volume).toBe(500);
+  });
+
+  test('should flag expected S3 prefixes without recent files', async () => {
+    config.logGroups = [];
+    config.s3Config.sources = [
+      { prefix: 'logs/app/', thresholds: { volume: { minFiles: 1 } } },
+      { prefix: 'logs/batch/' }
+    ];
+
+    const violations = await logAnalyzer.checkSourceVolumes({}, {}, { recentFiles: { 'logs/batch/': 2 } });
+
+    expect(violations).toEqual([expect.objectContaining({ metric: 'No Log Files', value: 0, source: 'logs/app/' })]);
+    expect(await logAnalyzer.checkSourceVolumes({}, {}, { recentFiles: null })).toEqual([]);
+  });
+});
+
+describe('Incremental S3 scanning', () => {
+  const originalS3Config = { ...config.s3Config };
+  let s3Client;
+  let checkpointStore;
+
+  const createAnalyzer = () => {
+    const analyzer = new LogAnalyzer({ checkpointStore });
+    analyzer.s3Client = s3Client;
+    return analyzer;
+  };
+
+  beforeEach(() => {
+    s3Client = new FakeS3Client();
+    checkpointStore = new MemoryStateStore();
+    config.s3Config.prefix = 'logs/';
+  });
+
+  afterEach(() => {
+    Object.assign(config.s3Config, originalS3Config);
+  });
+
+  test('should list every page and analyze each file exactly once across runs', async () => {
+    for (let i = 0; i < 1500; i++) {
+      s3Client.putObject(`logs/app-${String(i).padStart(4, '0')}.log`, 'INFO: ok');
+    }
+    config.s3Config.maxFilesPerRun = 2000;
+
+    const firstRun = await createAnalyzer().analyzeS3Logs();
+    expect(firstRun.s3Scan).toMatchObject({ listed: 1500, processed: 1500, alreadyProcessed: 0, deferred: 0 });
+
+    s3Client.putObject('logs/late-arrival.log', 'ERROR: late');
+    const secondRun = await createAnalyzer().analyzeS3Logs();
+    expect(secondRun.s3Scan).toMatchObject({ listed: 1501, processed: 1, alreadyProcessed: 1500, recentFiles: { 'logs/': 1501 } });
+    expect(secondRun.errors).toHaveLength(1);
+  });
+
+  test('should defer files beyond the per-run cap to the next run', async () => {
+    config.s3Config.maxFilesPerRun = 2;
+    ['a', 'b', 'c'].forEach((name, i) => s3Client.putObject(`logs/${name}.log`, 'INFO: ok', new Date(Date.now() - (3 - i) * 1000)));
+
+    const firstRun = await createAnalyzer().analyzeS3Logs();
+    expect(firstRun.s3Scan).toMatchObject({ processed: 2, deferred: 1 });
+    expect(Object.keys(firstRun.metrics)).toEqual(['logs/a.log', 'logs/b.log']);
+
+    const secondRun = await createAnalyzer().analyzeS3Logs();
+    expect(secondRun.s3Scan).toMatchObject({ processed: 1, deferred: 0, alreadyProcessed: 2 });
+    expect(Object.keys(secondRun.metrics)).toEqual(['logs/c.log']);
+  });
+
+  test('should report which prefixes a run read', async () => {
+    config.s3Config.maxFilesPerRun = 1;
+    ['a', 'b'].forEach((name, i) => s3Client.putObject(`logs/${name}.log`, 'INFO: ok', new Date(Date.now() - (2 - i) * 1000)));
+
+    expect((await createAnalyzer().analyzeS3Logs()).s3Scan.coverage).toEqual({ 'logs/': { status: 'partial', files: 1, pending: 2 } });
+    expect((await createAnalyzer().analyzeS3Logs()).s3Scan.coverage).toEqual({ 'logs/': { status: 'complete', files: 1, pending: 1 } });
+    expect((await createAnalyzer().analyzeS3Logs()).s3Scan.coverage).toEqual({ 'logs/': { status: 'no-new-files', files: 0, pending: 0 } });
+
+    s3Client.send = jest.fn().mockRejectedValue(new Error('AccessDenied'));
+    expect((await createAnalyzer().analyzeS3Logs()).s3Scan.coverage).toEqual({ 'logs/': { status: 'failed', error: 'AccessDenied' } });
+  });
+
+  test('should reprocess a file whose ETag changed and retry failed files', async () => {
+    s3Client.putObject('logs/app.log', 'INFO: ok');
+    await createAnalyzer().analyzeS3Logs();
+
+    s3Client.putObject('logs/app.log', 'ERROR: rewritten');
+    const analyzer = createAnalyzer();
+    jest.spyOn(analyzer, 'processS3LogFile').mockRejectedValueOnce(new Error('read failed'));
+    const failedRun = await analyzer.analyzeS3Logs();
+    expect(failedRun.s3Scan).toMatchObject({ processed: 0, failed: 1 });
+
+    const retryRun = await createAnalyzer().analyzeS3Logs();
+    expect(retryRun.s3Scan).toMatchObject({ processed: 1, failed: 0 });
+    expect(retryRun.errors[0].message).toBe('ERROR: rewritten');
+  });
+
+  test('should still process deferred files once they are older than the max file age', async () => {
+    config.s3Config.maxFilesPerRun = 1;
+    const twoMinutesAgo = new Date(Date.now() - 2 * 60 * 1000);
+    s3Client.putObject('logs/a.log', 'INFO: ok', twoMinutesAgo);
+    s3Client.putObject('logs/b.log', 'ERROR: spike', twoMinutesAgo);
+
+    await createAnalyzer().analyzeS3Logs();
+    config.s3Config.maxFileAgeMinutes = 1;
+    const secondRun = await createAnalyzer().analyzeS3Logs();
+
+    expect(secondRun.s3Scan).toMatchObject({ listed: 2, tooOld: 1, processed: 1, deferred: 0 });
+    expect(secondRun.errors.map(e => e.message)).toEqual(['ERROR: spike']);
+  });
+
+  test('should list after the keys too old to be analyzed, when enabled', async () => {
+    config.s3Config.listFromCheckpoint = true;
+    const old = new Date(Date.now() - 2 * 24 * 60 * 60 * 1000);
+    s3Client.putObject('logs/2024/01/01/a.log', 'INFO: ok', old);
+    s3Client.putObject('logs/2024/01/02/b.log', 'INFO: ok', old);
+    s3Client.putObject('logs/2024/01/03/c.log', 'INFO: ok');
+
+    const firstRun = await createAnalyzer().analyzeS3Logs();
+    expect(firstRun.s3Scan).toMatchObject({ listed: 3, tooOld: 2, processed: 1 });
+    expect((await checkpointStore.read()).startAfter).toEqual({ 'logs/': 'logs/2024/01/02/b.log' });
+
+    s3Client.putObject('logs/2024/01/04/d.log', 'ERROR: new');
+    const { ListObjectsV2Command } = require('@aws-sdk/client-s3');
+    ListObjectsV2Command.mockClear();
+    const secondRun = await createAnalyzer().analyzeS3Logs();
+
+    expect(ListObjectsV2Command).toHaveBeenCalledWith(expect.objectContaining({ Prefix: 'logs/', StartAfter: 'logs/2024/01/02/b.log' }));
+    expect(secondRun.s3Scan).toMatchObject({ listed: 2, tooOld: 0, alreadyProcessed: 1, processed: 1 });
+
+    config.s3Config.listFromCheckpoint = false;
+    const fullRun = await createAnalyzer().analyzeS3Logs();
+    expect(fullRun.s3Scan).toMatchObject({ listed: 4, tooOld: 2 });
+  });
+
+  test('should flag a prefix silent for its lookback, though it has files within the max file age', async () => {
+    config.s3Config.sources = [{ prefix: 'logs/', thresholds: { volume: { minFiles: 1 } } }];
+    s3Client.putObject('logs/earlier.log', 'INFO: ok', new Date(Date.now() - 2 * 60 * 60 * 1000));
+
+    const analyzer = createAnalyzer();
+    const results = await analyzer.analyzeS3Logs();
+    expect(results.s3Scan).toMatchObject({ processed: 1, recentFiles: {} });
+
+    const violations = await analyzer.checkSourceVolumes({}, {}, results.s3Scan);
+    expect(violations).toEqual([expect.objectContaining({
+      metric: 'No Log Files',
+      source: 'logs/',
+      lookbackMinutes: config.analysis.lookbackMinutes
+    })]);
+  });
+
+  test('should match deferred files by ETag, reading an overwritten one as it is now', async () => {
+    config.s3Config.maxFilesPerRun = 1;
+    const twoMinutesAgo = new Date(Date.now() - 2 * 60 * 1000);
+    s3Client.putObject('logs/a.log', 'INFO: ok', twoMinutesAgo);
+    s3Client.putObject('logs/b.log', 'ERROR: before', twoMinutesAgo);
+
+    await createAnalyzer().analyzeS3Logs();
+    expect((await checkpointStore.read()).deferred).toEqual({ 'logs/b.log': s3Client.objects.get('logs/b.log').etag });
+
+    s3Client.putObject('logs/b.log', 'ERROR: after');
+    const secondRun = await createAnalyzer().analyzeS3Logs();
+    expect(secondRun.errors.map(e => e.message)).toEqual(['ERROR: after']);
+
+    // Replaced by an old copy, it is as too old as any other file
+    s3Client.putObject('logs/c.log', 'INFO: ok', twoMinutesAgo);
+    s3Client.putObject('logs/d.log', 'ERROR: deferred', twoMinutesAgo);
+    await createAnalyzer().analyzeS3Logs();
+    s3Client.putObject('logs/d.log', 'ERROR: old copy', twoMinutesAgo);
+    config.s3Config.maxFileAgeMinutes = 1;
+    const lastRun = await createAnalyzer().analyzeS3Logs();
+    expect(lastRun.s3Scan).toMatchObject({ processed: 0, deferred: 0 });
+  });
+
+  test('should ignore files older than the max file age', async () => {
+    s3Client.putObject('logs/ancient.log', 'ERROR: old', new Date(Date.now() - 2 * 24 * 60 * 60 * 1000));
+
+    const results = await createAnalyzer().analyzeS3Logs();
+    expect(results.s3Scan).toMatchObject({ listed: 1, tooOld: 1, processed: 0, recentFiles: {} });
+  });
+});
+
+describe('Streaming S3 log processing', () => {
+  let logAnalyzer;
+  const originalAnalysis = { ...config.analysis };
+
+  beforeEach(() => {
+    logAnalyzer = new LogAnalyzer();
+  });
+
+  afterEach(() => {
+    Object.assign(config.analysis, originalAnalysis);
+  });
+
+  test('should process plain text streams split across chunks', async () => {
+    const stream = Readable.from([Buffer.from('INFO: started\r\nERROR: bro'), Buffer.from('ken pipe\n\nINFO: done')]);
+
+    const results = await logAnalyzer.processLogStream(stream, 'plain.log');
+
+    expect(results.metrics.totalLines).toBe(3);
+    expect(results.errors.map(e => e.message)).toEqual(['ERROR: broken pipe']);
+  });
+
+  test('should decompress multi-member gzip streams regardless of key name', async () => {
+    const gzipped = Buffer.concat([
+      zlib.gzipSync('ERROR: first member\n'),
+      zlib.gzipSync('INFO: second member\nERROR: last line without newline')
+    ]);
+    const s3Client = new FakeS3Client({ 'logs/app.log': gzipped, 'logs/plain.gz': 'ERROR: not really gzipped\n' });
+    logAnalyzer.s3Client = s3Client;
+
+    const gzipResults = await logAnalyzer.processS3LogFile('logs/app.log');
+    expect(gzipResults.metrics.totalLines).toBe(3);
+    expect(gzipResults.metrics.errorCount).toBe(2);
+
+    const plainResults = await logAnalyzer.processS3LogFile('logs/plain.gz');
+    expect(plainResults.metrics.errorCount).toBe(1);
+  });
+
+  test('should keep counting errors and samples beyond the stored limits', async () => {
+    config.analysis.maxStoredErrorsPerSource = 5;
+    config.analysis.maxMetricSamples = 10;
+    const lines = Array.from({ length: 100 }, (_, i) => `ERROR: request failed, duration: ${i}ms\n`);
+
+    const results = await logAnalyzer.processLogStream(Readable.from([Buffer.from(lines.join(''))]), 'big.log');
+
+    expect(results.metrics.errorCount).toBe(100);
+    expect(results.errors).toHaveLength(5);
+    expect(results.metrics.responseTimes).toHaveLength(10);
+    expect(results.metrics.sampledFrom.responseTimes).toBe(100);
+  });
+});
+
+describe('Structured JSON log analysis', () => {
+  let logAnalyzer;
+
+  beforeEach(() => {
+    logAnalyzer = new LogAnalyzer();
+  });
+
+  test('should use level fields instead of regexes for JSON lines', () => {
+    const results = logAnalyzer.processLogLines([
+      '{"level":"info","msg":"retry after timeout succeeded","latencyMs":120,"status":200}',
+      '{"level":"error","msg":"payment declined","latencyMs":340,"status":502,"time":"2023-12-01T10:30:00Z"}',
+      'ERROR: plain text still uses the error patterns'
+    ], 'json.log');
+
+    expect(results.metrics.errorCount).toBe(2);
+    expect(results.errors[0].timestamp).toBe('2023-12-01T10:30:00.000Z');
+    expect(results.metrics.responseTimes).toEqual([120, 340]);
+    expect(results.metrics.statusCodes).toEqual({ 200: 1, 502: 1 });
+  });
+
+  test('should fall back to error patterns on the message of level-less JSON', () => {
+    const results = logAnalyzer.processLogEvents([
+      { timestamp: Date.now(), message: '{"msg":"Exception in handler"}' },
+      { timestamp: Date.now(), message: '{"msg":"all good"}' }
+    ], 'json-group');
+
+    expect(results.metrics.errorCount).toBe(1);
+  });
+
+  test('should fingerprint JSON errors by their message field', () => {
+    const results = logAnalyzer.processLogLines([
+      '{"level":"error","msg":"payment declined","orderId":"a1"}',
+      '{"level":"error","msg":"payment declined","orderId":"b2"}',
+      '{"level":"error","msg":"card expired","orderId":"c3"}'
+    ], 'json.log');
+
+    const counts = Object.values(results.errorGroups).map(g => [g.pattern, g.count]);
+    expect(counts).toEqual([['payment declined', 2], ['card expired', 1]]);
+    expect(results.errors[0].fingerprint).toBe(results.errors[1].fingerprint);
+  });
+});
+
+describe('Lambda REPORT lines', () => {
+  let logAnalyzer;
+
+  beforeEach(() => {
+    logAnalyzer = new LogAnalyzer();
+  });
+
+  const report = (duration, maxMemoryUsed, initDuration) =>
+    `REPORT RequestId: 6f7f0961\tDuration: ${duration} ms\tBilled Duration: ${Math.ceil(duration)} ms\tMemory Size: 512 MB\tMax Memory Used: ${maxMemoryUsed} MB\t` +
+    (initDuration ? `Init Duration: ${initDuration} ms\t` : '');
+
+  test('should compute memory utilization as a percent of memory size', () => {
+    const results = logAnalyzer.processLogEvents([
+      { timestamp: Date.now(), message: report(12.3, 480, 250.5) },
+      { timestamp: Date.now(), message: report(8.1, 470) }
+    ], '/aws/lambda/payments');
+
+    expect(results.metrics.invocations).toBe(2);
+    expect(results.metrics.responseTimes).toEqual([12.3, 8.1]);
+    expect(results.metrics.memoryUsage).toEqual([93.75, (470 / 512) * 100]);
+    expect(results.metrics.coldStarts).toBe(1);
+    expect(results.metrics.initDurations).toEqual([250.5]);
+    expect(results.metrics.statusCodes).toBeUndefined();
+    expect(results.errors).toHaveLength(0);
+    expect(results.violations.find(v => v.metric === 'Memory Usage').value).toBe('92.8');
+    expect(results.violations.find(v => v.metric === 'Lambda Cold Start Rate').value).toBe('50.0');
+  });
+
+  test('should count timeouts and runtime exits as errors and violations', () => {
+    const results = logAnalyzer.processLogEvents([
+      { timestamp: Date.now(), message: '2023-12-01T10:30:00.000Z 6f7f0961 Task timed out after 3.00 seconds' },
+      { timestamp: Date.now(), message: 'RequestId: 7a8b Error: Runtime exited with error: signal: killed\nRuntime.ExitError' }
+    ], '/aws/lambda/payments');
+
+    expect(results.metrics.timeouts).toBe(1);
+    expect(results.metrics.runtimeExits).toBe(1);
+    expect(results.metrics.errorCount).toBe(2);
+    expect(results.violations.map(v => v.metric)).toEqual(
+      expect.arrayContaining(['Lambda Timeouts', 'Lambda Runtime Exits'])
+    );
+  });
+
+  test('should not treat megabyte values as memory percentages', () => {
+    const metrics = {};
+    logAnalyzer.extractMetrics('heap memory: 480 MB', metrics);
+    logAnalyzer.extractMetrics('Memory usage: 87.5%', metrics);
+
+    expect(metrics.memoryUsage).toEqual([87.5]);
+  });
 });
 
 describe('AlertService', () => {
@@ -111,6 +633,20 @@ describe('AlertService', () => {
     expect(alert.htmlMessage).toContain('Database connection failed');
   });
 
+  test('should list each error type once with its count', () => {
+    const errors = [1, 2, 3].map(n => ({
+      timestamp: `2023-12-01T10:3${n}:00Z`,
+      message: `Request req-${n}a7f9c2e1 failed with status 50${n}`,
+      source: 'app-logs'
+    }));
+
+    const alert = alertService.formatErrorAlert(errors, 15);
+
+    expect(alert.textMessage).toContain('Unique Error Types: 1');
+    expect(alert.textMessage).toContain('[3x] Request <id> failed with status <num>');
+    expect(alert.textMessage).toContain('First seen: 2023-12-01T10:31:00Z, last seen: 2023-12-01T10:33:00Z');
+  });
+
   test('should format threshold alert correctly', () => {
     const violations = [
       {
@@ -129,19 +665,6 @@ describe('AlertService', () => {
     expect(alert.textMessage).toContain('Response Time: 6000 exceeds 5000 ms');
     expect(alert.htmlMessage).toContain('<table');
   });
-
-  test('should respect cooldown period', () => {
-    const alertType = 'test-alert';
-    
-    // First alert should not be in cooldown
-    expect(alertService.isInCooldown(alertType)).toBe(false);
-    
-    // Record alert
-    alertService.recordAlert(alertType);
-    
-    // Subsequent alert should be in cooldown
-    expect(alertService.isInCooldown(alertType)).toBe(true);
-  });
 });
 
 describe('Integration Tests', () => {
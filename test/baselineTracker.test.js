@@ -0,0 +1,109 @@
+const config = require('../config');
+const BaselineTracker = require('../baselineTracker');
+const LogAnalyzer = require('../logAnalyzer');
+const { MemoryStateStore } = require('../stateStore');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+describe('BaselineTracker', () => {
+  const originalBaseline = { ...config.baseline };
+  let historyStore;
+  let tracker;
+
+  beforeEach(() => {
+    historyStore = new MemoryStateStore();
+    tracker = new BaselineTracker({ historyStore });
+  });
+
+  afterEach(() => {
+    config.baseline = { ...originalBaseline };
+  });
+
+  // Record one run per hour ending just before `end`, with errorCount from `errorsAt(i)`
+  async function recordRuns(count, end, errorsAt) {
+    for (let i = count; i > 0; i--) {
+      await tracker.checkAndRecord({ '/aws/ecs/orders': { errorCount: errorsAt(i), volume: 1000 } }, new Date(end - i * HOUR_MS));
+    }
+  }
+
+  test('should flag values far from the rolling baseline once enough runs exist', async () => {
+    const now = Date.parse('2023-12-04T12:00:00Z');
+    await recordRuns(config.baseline.minSamples, now, i => 300 + (i % 3) * 10);
+
+    // Too little history: nothing is flagged yet
+    const { sources } = await historyStore.read();
+    const fewRuns = sources['/aws/ecs/orders'].slice(1);
+    expect(tracker.findAnomalies('/aws/ecs/orders', { errorCount: 900 }, fewRuns, config.baseline, new Date(now))).toEqual([]);
+
+    const violations = await tracker.checkAndRecord({ '/aws/ecs/orders': { errorCount: 900, volume: 1000 } }, new Date(now));
+    expect(violations).toHaveLength(1);
+    expect(violations[0]).toMatchObject({
+      type: 'anomaly',
+      metric: 'Error Count Anomaly',
+      value: 900,
+      comparison: 'above baseline',
+      method: 'zscore',
+      baselineSamples: config.baseline.minSamples,
+      severity: 'CRITICAL',
+      source: '/aws/ecs/orders'
+    });
+  });
+
+  test('should not flag a normally noisy source at its usual level, or fewer errors', async () => {
+    const now = Date.parse('2023-12-04T12:00:00Z');
+    await recordRuns(20, now, i => 300 + (i % 5) * 10);
+
+    expect(await tracker.checkAndRecord({ '/aws/ecs/orders': { errorCount: 330, volume: 1000 } }, new Date(now))).toEqual([]);
+    expect(await tracker.checkAndRecord({ '/aws/ecs/orders': { errorCount: 0, volume: 1000 } }, new Date(now + HOUR_MS))).toEqual([]);
+  });
+
+  test('should compare only the same hour of the week in seasonal mode', async () => {
+    config.baseline = { ...config.baseline, method: 'seasonal', minSamples: 3 };
+    const monday9am = Date.parse('2023-12-04T09:00:00Z');
+    const weekMs = 7 * 24 * HOUR_MS;
+
+    // Monday mornings are busy; the hours around them are quiet
+    for (let week = 3; week > 0; week--) {
+      const start = monday9am - week * weekMs;
+      await tracker.checkAndRecord({ '/aws/ecs/orders': { errorCount: 2, volume: 20000 } }, new Date(start));
+      await tracker.checkAndRecord({ '/aws/ecs/orders': { errorCount: 2, volume: 500 } }, new Date(start + HOUR_MS));
+    }
+
+    expect(await tracker.checkAndRecord({ '/aws/ecs/orders': { errorCount: 2, volume: 20500 } }, new Date(monday9am))).toEqual([]);
+
+    const [violation] = await tracker.checkAndRecord({ '/aws/ecs/orders': { errorCount: 2, volume: 20500 } }, new Date(monday9am + HOUR_MS));
+    expect(violation).toMatchObject({ metric: 'Log Volume Anomaly', method: 'seasonal', baseline: 500 });
+  });
+
+  test('should persist history and drop runs past the retention period', async () => {
+    config.baseline = { ...config.baseline, historyDays: 1 };
+    const now = Date.parse('2023-12-04T12:00:00Z');
+
+    await tracker.checkAndRecord({ 'logs/': { errorCount: 1, volume: 10 } }, new Date(now - 30 * HOUR_MS));
+    await tracker.checkAndRecord({ '/aws/ecs/orders': { errorCount: 1, volume: 10 } }, new Date(now));
+
+    const state = await historyStore.read();
+    expect(Object.keys(state.sources)).toEqual(['/aws/ecs/orders']);
+    expect(state.sources['/aws/ecs/orders']).toEqual([{ timestamp: new Date(now).toISOString(), errorCount: 1, volume: 10 }]);
+  });
+});
+
+describe('Baseline samples', () => {
+  test('should aggregate S3 files per prefix and skip partial scans', () => {
+    const logAnalyzer = new LogAnalyzer();
+    const samples = logAnalyzer.buildSourceSamples({
+      '/aws/ecs/orders': { totalEvents: 50000, errorCount: 10 },
+      '/aws/ecs/billing': { totalEvents: 100, errorCount: 1, responseTimes: [100, 300] },
+      'logs/2023/12/01/a.log': { totalLines: 10, errorCount: 1, responseTimes: [200] },
+      'logs/2023/12/01/b.log': { totalLines: 30, errorCount: 2 }
+    }, {
+      '/aws/ecs/orders': { status: 'partial' },
+      '/aws/ecs/billing': { status: 'complete' }
+    });
+
+    expect(samples).toEqual({
+      '/aws/ecs/billing': { errorCount: 1, volume: 100, avgResponseTime: 200, p95ResponseTime: 300 },
+      'logs/': { errorCount: 3, volume: 40, avgResponseTime: 200, p95ResponseTime: 200 }
+    });
+  });
+});
@@ -0,0 +1,120 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const { Readable, Writable } = require('stream');
+const config = require('../config');
+const { run } = require('../cli');
+
+/**
+ * Writable that keeps everything written to it
+ */
+function capture() {
+  const stream = new Writable({
+    write(chunk, encoding, callback) {
+      stream.output += chunk;
+      callback();
+    }
+  });
+  stream.output = '';
+  return stream;
+}
+
+describe('CLI', () => {
+  const originalLogGroups = config.logGroups;
+  const originalS3Sources = config.s3Config.sources;
+  let tempDir;
+  let io;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'log-analyzer-cli-'));
+    io = { stdin: Readable.from([]), stdout: capture(), stderr: capture() };
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+    config.logGroups = originalLogGroups;
+    config.s3Config.sources = originalS3Sources;
+  });
+
+  const errorLines = count => Array.from({ length: count }, (_, i) => `2023-12-01T10:${String(i).padStart(2, '0')}:00Z ERROR: Database connection failed for order ${1000 + i}`);
+
+  test('should analyze plain and gzipped files in a directory', async () => {
+    fs.mkdirSync(path.join(tempDir, 'app'));
+    fs.writeFileSync(path.join(tempDir, 'app', 'a.log'), ['INFO: started', ...errorLines(3)].join('\n'));
+    fs.writeFileSync(path.join(tempDir, 'app', 'b.log.gz'), zlib.gzipSync(errorLines(2).join('\n')));
+    fs.writeFileSync(path.join(tempDir, '.hidden.log'), errorLines(5).join('\n'));
+
+    expect(await run(['--format', 'json', tempDir], io)).toBe(0);
+
+    const report = JSON.parse(io.stdout.output);
+    expect(report.sources.map(s => [s.source, s.events, s.errors])).toEqual([
+      [path.join(tempDir, 'app', 'a.log'), 4, 3],
+      [path.join(tempDir, 'app', 'b.log.gz'), 2, 2]
+    ]);
+    expect(report.errorGroups).toEqual([expect.objectContaining({ count: 5, pattern: '<timestamp> ERROR: Database connection failed for order <num>' })]);
+    expect(report.summary.totalErrors).toBe(5);
+  });
+
+  test('should render alerts in a dry run without sending them', async () => {
+    config.logGroups = [{ name: '/aws/lambda/payments', thresholds: { errorRate: { maxErrors: 1 } } }];
+    io.stdin = Readable.from([Buffer.from(errorLines(4).join('\n'))]);
+    const { SNSClient } = require('@aws-sdk/client-sns');
+
+    expect(await run(['--dry-run', '--source', '/aws/lambda/payments', '-'], io)).toBe(0);
+
+    expect(io.stdout.output).toMatch(/^SOURCE\s+FORMAT\s+EVENTS\s+ERRORS/);
+    expect(io.stdout.output).toContain('Alerts (dry run, not sent):');
+    expect(io.stdout.output).toContain('--- [CRITICAL] error-threshold /aws/lambda/payments -> sns, email');
+    expect(io.stdout.output).toContain('Subject: 4 errors detected in /aws/lambda/payments');
+    expect(io.stdout.output).toContain('4 errors (1 unique), 1 violations in 1 sources');
+    expect(SNSClient.mock.results.every(result => result.value.send.mock.calls.length === 0)).toBe(true);
+  });
+
+  test('should report dry-run deliveries as not sent in JSON', async () => {
+    config.logGroups = [{ name: '/aws/lambda/payments', thresholds: { errorRate: { maxErrors: 1 } } }];
+    io.stdin = Readable.from([Buffer.from(errorLines(4).join('\n'))]);
+
+    expect(await run(['--dry-run', '-f', 'json', '-s', '/aws/lambda/payments', '-'], io)).toBe(0);
+
+    const { alerts } = JSON.parse(io.stdout.output);
+    expect(alerts[0].deliveries.map(d => [d.channel, d.status])).toEqual([['sns', 'dry-run'], ['email', 'dry-run']]);
+  });
+
+  test('should keep the lines of files analyzed as one source apart', async () => {
+    fs.writeFileSync(path.join(tempDir, 'a.log'), 'ERROR tail-without-newline');
+    fs.writeFileSync(path.join(tempDir, 'b.log'), 'ERROR next file\n');
+
+    expect(await run(['-f', 'json', '-s', '/aws/lambda/x', path.join(tempDir, 'a.log'), path.join(tempDir, 'b.log')], io)).toBe(0);
+
+    const report = JSON.parse(io.stdout.output);
+    expect(report.sources).toEqual([expect.objectContaining({ source: '/aws/lambda/x', events: 2, errors: 2 })]);
+    expect(report.errorGroups.map(g => g.pattern).sort()).toEqual(['ERROR next file', 'ERROR tail-without-newline']);
+  });
+
+  test('should name files under an S3 prefix source so its settings apply', async () => {
+    config.s3Config.sources = [{ prefix: 'logs/alb/', format: 'alb' }];
+    fs.mkdirSync(path.join(tempDir, '2023'));
+    fs.writeFileSync(
+      path.join(tempDir, '2023', 'elb.log'),
+      'http 2023-12-01T10:30:00.123456Z app/my-lb/50dc6c495c0c9188 192.168.1.1:2817 10.0.0.1:80 0.000 0.120 0.000 503 503 34 366 "GET http://www.example.com:80/ HTTP/1.1" "curl/7.46.0" - - arn:aws:elasticloadbalancing:us-east-2:123456789012:targetgroup/my-targets/73e2d6bc24d8a067 "Root=1-58337262-36d228ad5d99923122bbe354" "-" "-" 0 2023-12-01T10:30:00.000000Z "forward" "-" "-" "10.0.0.1:80" "503" "-" "-"\n'
+    );
+
+    expect(await run(['-f', 'json', '-s', 'logs/alb/', tempDir], io)).toBe(0);
+
+    expect(JSON.parse(io.stdout.output).sources).toEqual([
+      expect.objectContaining({ source: 'logs/alb/2023/elb.log', format: 'alb', events: 1, errors: 1, avgResponseTime: 120 })
+    ]);
+  });
+
+  test('should report usage errors with exit code 2', async () => {
+    expect(await run(['--format', 'xml', tempDir], io)).toBe(2);
+    expect(io.stderr.output).toContain('Unknown format "xml"');
+
+    expect(await run([path.join(tempDir, 'missing.log')], io)).toBe(2);
+    expect(io.stderr.output).toContain('no such file or directory');
+
+    expect(await run(['--frobnicate'], io)).toBe(2);
+    expect(io.stderr.output).toContain('Usage: log-analyzer');
+  });
+});
@@ -0,0 +1,139 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const config = require('../config');
+const { loadConfig, validateConfig, ConfigValidationError } = require('../configLoader');
+const FakeS3Client = require('./fakeS3Client');
+
+describe('Config loading', () => {
+  let tempDir;
+  let snapshot;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'config-loader-'));
+    snapshot = structuredClone(config);
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+    for (const key of Object.keys(config)) {
+      delete config[key];
+    }
+    Object.assign(config, snapshot);
+  });
+
+  const writeConfig = (name, content) => {
+    const filePath = path.join(tempDir, name);
+    fs.writeFileSync(filePath, content);
+    return filePath;
+  };
+
+  test('should accept the built-in defaults', () => {
+    expect(validateConfig(config)).toEqual([]);
+  });
+
+  test('should merge a JSON file and compile regex strings', async () => {
+    const location = writeConfig('config.json', JSON.stringify({
+      logGroups: ['/aws/lambda/orders', { name: '/aws/lambda/payments', thresholds: { errorRate: { maxErrors: 0 } } }],
+      errorPatterns: ['/ERROR/i', 'FATAL'],
+      thresholds: { errorRate: { maxErrors: 50 } }
+    }));
+
+    await loadConfig({ location });
+
+    expect(config.logGroups[1].thresholds.errorRate.maxErrors).toBe(0);
+    expect(config.errorPatterns).toEqual([/ERROR/i, /FATAL/]);
+    expect(config.thresholds.errorRate).toEqual({ ...snapshot.thresholds.errorRate, maxErrors: 50 });
+    expect(config.thresholds.responseTime).toEqual(snapshot.thresholds.responseTime);
+  });
+
+  test('should load YAML from an S3 object', async () => {
+    const s3Client = new FakeS3Client({
+      'config/analyzer.yaml': [
+        'analysis:',
+        '  lookbackMinutes: 30',
+        's3Config:',
+        '  sources:',
+        '    - prefix: logs/alb/',
+        '      format: alb'
+      ].join('\n')
+    });
+
+    await loadConfig({ location: 's3://config-bucket/config/analyzer.yaml', s3Client });
+
+    expect(config.analysis.lookbackMinutes).toBe(30);
+    expect(config.s3Config.sources).toEqual([{ prefix: 'logs/alb/', format: 'alb' }]);
+  });
+
+  test('should report every problem at once and leave the config untouched', async () => {
+    const location = writeConfig('config.yml', [
+      'thresholds:',
+      '  errorRate:',
+      '    maxErrors: ten',
+      '    maxErorrs: 5',
+      'errorPatterns:',
+      '  - "([unclosed"',
+      'logGroups:',
+      '  - thresholds: {}',
+      's3Config:',
+      '  format: apache'
+    ].join('\n'));
+
+    const error = await loadConfig({ location }).catch(e => e);
+
+    expect(error).toBeInstanceOf(ConfigValidationError);
+    expect(error.errors).toEqual([
+      `${location}: thresholds.errorRate.maxErrors: expected a number, got "ten"`,
+      `${location}: thresholds.errorRate.maxErorrs: unknown key`,
+      expect.stringMatching(new RegExp(`^${location}: errorPatterns\\[0\\]: invalid regular expression "\\(\\[unclosed"`)),
+      `${location}: logGroups[0].name: is required`,
+      `${location}: s3Config.format: must be one of "auto", "alb", "cloudfront", "s3-access", "vpc-flow", "text", got "apache"`
+    ]);
+    expect(error.message).toContain('Invalid configuration (5 errors)');
+    expect(config).toEqual(snapshot);
+  });
+
+  test('should report environment numbers that failed to parse', async () => {
+    config.thresholds.errorRate.maxErrors = { invalidEnv: 'MAX_ERRORS', value: 'ten' };
+
+    await expect(loadConfig({})).rejects.toThrow(
+      'thresholds.errorRate.maxErrors: environment variable MAX_ERRORS must be a number, got "ten"'
+    );
+  });
+
+  test('should report unreadable and malformed files', async () => {
+    await expect(loadConfig({ location: path.join(tempDir, 'missing.json') })).rejects.toThrow('could not be loaded');
+    await expect(loadConfig({ location: writeConfig('broken.json', '{ "analysis": ') })).rejects.toThrow('could not be loaded');
+    await expect(loadConfig({ location: writeConfig('list.yaml', '- a\n- b') })).rejects.toThrow('expected a mapping');
+  });
+
+  test('should reject the g and y regex flags', () => {
+    expect(validateConfig({ errorPatterns: ['/ERROR/g', /timeout/y, '/FATAL/i'], logGroups: [1] })).toEqual([
+      'errorPatterns[0]: the g and y flags are not supported, got "/ERROR/g"',
+      'errorPatterns[1]: the g and y flags are not supported, got "/timeout/y"',
+      expect.stringMatching(/^logGroups\[0\]/)
+    ]);
+  });
+
+  test('should require a state bucket for the s3 state store', () => {
+    expect(validateConfig({ state: { type: 's3' } })).toEqual(['state.bucket: is required when state.type is "s3"']);
+  });
+
+  test('should check alert channel settings', () => {
+    expect(validateConfig({
+      alerts: {
+        channels: [
+          { type: 'slack', webhookUrl: 'https://hooks.slack.com/services/T/B/X' },
+          { type: 'slack' },
+          { type: 'webhook', url: 'https://example.com/hook', headers: { Authorization: 42 } },
+          { type: 'pager' }
+        ]
+      }
+    })).toEqual([
+      'alerts.channels[2].headers.Authorization: expected a string, got number 42',
+      'alerts.channels[3].type: must be one of "sns", "email", "slack", "teams", "pagerduty", "webhook", got "pager"',
+      'alerts.channels[1].webhookUrl: is required for slack channels',
+      'alerts.channels[1].name: duplicate channel name "slack"'
+    ]);
+  });
+});
@@ -0,0 +1,60 @@
+const {
+  normalizeMessage,
+  fingerprintMessage,
+  mergeErrorGroups,
+  groupErrors
+} = require('../errorFingerprint');
+
+describe('normalizeMessage', () => {
+  test('should mask IDs, numbers, addresses and quoted values', () => {
+    expect(normalizeMessage('ERROR request 3f2b8c1e-9a4d-4e2f-8b6a-1c2d3e4f5a6b failed after 30s'))
+      .toBe('ERROR request <uuid> failed after <num>s');
+    expect(normalizeMessage('Connection to 10.0.12.7:5432 refused at 2023-12-01T10:30:00.123Z'))
+      .toBe('Connection to <ip> refused at <timestamp>');
+    expect(normalizeMessage('User "alice@example.com" not found in table \'users_2023\''))
+      .toBe('User <str> not found in table <str>');
+    expect(normalizeMessage('Segfault at 0x7ffe12ab, object 5f4dcc3b5aa765d61d8327deb882cf99'))
+      .toBe('Segfault at <hex>, object <hex>');
+    expect(normalizeMessage('Instance i-0abc1234def5 unhealthy'))
+      .toBe('Instance <id> unhealthy');
+  });
+
+  test('should keep words and apostrophes intact', () => {
+    expect(normalizeMessage('Can\'t reach database')).toBe('Can\'t reach database');
+  });
+});
+
+describe('error grouping', () => {
+  const errors = [
+    { timestamp: '2023-12-01T10:31:00Z', logGroup: '/aws/lambda/api', message: 'Timeout after 3001ms for request 8f2a1c9e-1111-4e2f-8b6a-1c2d3e4f5a6b' },
+    { timestamp: '2023-12-01T10:30:00Z', logGroup: '/aws/lambda/api', message: 'Timeout after 2998ms for request 1c2d3e4f-2222-4e2f-8b6a-8f2a1c9e5a6b' },
+    { timestamp: '2023-12-01T10:35:00Z', source: 'logs/app.log', message: 'Timeout after 3050ms for request 5a6b1c2d-3333-4e2f-8b6a-8f2a1c9e3e4f' },
+    { timestamp: '2023-12-01T10:32:00Z', source: 'logs/app.log', message: 'Database connection failed' }
+  ];
+
+  test('should group messages differing only by variable parts', () => {
+    const groups = groupErrors(errors);
+
+    expect(groups).toHaveLength(2);
+    expect(groups[0]).toMatchObject({
+      pattern: 'Timeout after <num>ms for request <uuid>',
+      count: 3,
+      firstSeen: '2023-12-01T10:30:00Z',
+      lastSeen: '2023-12-01T10:35:00Z',
+      sources: ['/aws/lambda/api', 'logs/app.log'],
+      sourceCounts: { '/aws/lambda/api': 2, 'logs/app.log': 1 },
+      sample: errors[0].message
+    });
+    expect(groups[0].fingerprint).toBe(fingerprintMessage(errors[2].message).fingerprint);
+    expect(groups[1].count).toBe(1);
+  });
+
+  test('should merge groups from separate sources', () => {
+    const merged = mergeErrorGroups(mergeErrorGroups({}, groupErrors(errors.slice(0, 2))), groupErrors(errors.slice(2)));
+    const timeout = merged[fingerprintMessage(errors[0].message).fingerprint];
+
+    expect(Object.keys(merged)).toHaveLength(2);
+    expect(timeout.count).toBe(3);
+    expect(timeout.sourceCounts).toEqual({ '/aws/lambda/api': 2, 'logs/app.log': 1 });
+  });
+});
@@ -0,0 +1,71 @@
+const { Readable } = require('stream');
+const { GetObjectCommand, PutObjectCommand, ListObjectsV2Command } = require('@aws-sdk/client-s3');
+
+/**
+ * Minimal in-memory stand-in for S3Client, enough to exercise code that
+ * reads and writes objects without touching AWS
+ */
+class FakeS3Client {
+  constructor(objects = {}) {
+    this.objects = new Map();
+    for (const [key, body] of Object.entries(objects)) {
+      this.putObject(key, body);
+    }
+    this.send = jest.fn(command => this.handle(command));
+  }
+
+  putObject(key, body, lastModified = new Date()) {
+    const buffer = Buffer.isBuffer(body) ? body : Buffer.from(body);
+    const version = (this.objects.has(key) ? this.objects.get(key).version : 0) + 1;
+    this.objects.set(key, { body: buffer, etag: `"${key}-v${version}"`, version, lastModified });
+  }
+
+  getObjectText(key) {
+    const object = this.objects.get(key);
+    return object ? object.body.toString() : undefined;
+  }
+
+  async handle(command) {
+    const { input } = command;
+
+    if (command instanceof GetObjectCommand) {
+      const object = this.objects.get(input.Key);
+      if (!object) {
+        const error = new Error('The specified key does not exist.');
+        error.name = 'NoSuchKey';
+        error.$metadata = { httpStatusCode: 404 };
+        throw error;
+      }
+      const body = Readable.from([object.body]);
+      body.transformToString = async () => object.body.toString();
+      return { Body: body, ETag: object.etag };
+    }
+
+    if (command instanceof PutObjectCommand) {
+      this.putObject(input.Key, input.Body);
+      return { ETag: this.objects.get(input.Key).etag };
+    }
+
+    if (command instanceof ListObjectsV2Command) {
+      const keys = [...this.objects.keys()]
+        .filter(key => key.startsWith(input.Prefix || '') && (!input.StartAfter || key > input.StartAfter))
+        .sort();
+      const start = input.ContinuationToken ? parseInt(input.ContinuationToken) : 0;
+      const end = start + (input.MaxKeys || 1000);
+      return {
+        Contents: keys.slice(start, end).map(key => ({
+          Key: key,
+          ETag: this.objects.get(key).etag,
+          LastModified: this.objects.get(key).lastModified,
+          Size: this.objects.get(key).body.length
+        })),
+        IsTruncated: end < keys.length,
+        NextContinuationToken: end < keys.length ? String(end) : undefined
+      };
+    }
+
+    throw new Error(`FakeS3Client does not support ${command.constructor.name}`);
+  }
+}
+
+module.exports = FakeS3Client;
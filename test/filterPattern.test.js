@@ -0,0 +1,186 @@
+const { StartQueryCommand, GetQueryResultsCommand, FilterLogEventsCommand } = require('@aws-sdk/client-cloudwatch-logs');
+const config = require('../config');
+const LogAnalyzer = require('../logAnalyzer');
+const { getSourceSettings } = require('../sourceSettings');
+const { buildFilterPattern } = require('../filterPattern');
+
+describe('Filter pattern translation', () => {
+  test('should turn plain word patterns into optional terms', () => {
+    expect(buildFilterPattern([/ERROR/, /failed/i, /503\s+Service\s+Unavailable/i])).toBe([
+      '?"ERROR"',
+      '?"failed" ?"FAILED" ?"Failed"',
+      '?"503 Service Unavailable" ?"503 service unavailable" ?"503 SERVICE UNAVAILABLE"',
+      '?"Task timed out" ?"Runtime.ExitError"'
+    ].join(' '));
+  });
+
+  test('should add the JSON error levels and, when asked, the cold start REPORT lines', () => {
+    expect(buildFilterPattern([/ERROR/], { errorLevels: ['fatal', 'critical'], coldStarts: true })).toBe([
+      '?"ERROR"',
+      '?"fatal" ?"FATAL" ?"Fatal" ?"critical" ?"CRITICAL" ?"Critical"',
+      '?"Task timed out" ?"Runtime.ExitError" ?"Init Duration"'
+    ].join(' '));
+  });
+
+  test('should translate the default error patterns', () => {
+    const filterPattern = buildFilterPattern(config.errorPatterns, { errorLevels: config.jsonParsing.errorLevels, coldStarts: true });
+
+    expect(filterPattern).toContain('?"Error:" ?"error:" ?"ERROR:"');
+    expect(filterPattern).toContain('?"504 Gateway Timeout"');
+    expect(filterPattern).toContain('?"emergency" ?"EMERGENCY" ?"Emergency"');
+    expect(filterPattern).not.toContain('REPORT');
+  });
+
+  test('should not translate patterns that are not plain words', () => {
+    expect(buildFilterPattern([/ERROR/, /status=5\d\d/])).toBeNull();
+    expect(buildFilterPattern([/^FATAL/])).toBeNull();
+  });
+
+  test('should not build a pattern CloudWatch would reject as too long', () => {
+    const patterns = Array.from({ length: 40 }, (_, i) => new RegExp(`failure number ${i}`, 'i'));
+
+    expect(buildFilterPattern(patterns)).toBeNull();
+  });
+});
+
+describe('Filter pattern pushdown', () => {
+  const originalLogGroups = config.logGroups;
+  const originalPushdown = { ...config.filterPushdown };
+  const originalInsights = { ...config.insights };
+  const now = Date.now();
+  let logAnalyzer;
+  let countStatus;
+
+  beforeEach(() => {
+    config.logGroups = ['/aws/ecs/noisy'];
+    config.filterPushdown.enabled = true;
+    config.insights.pollIntervalMs = 0;
+    countStatus = 'Complete';
+
+    logAnalyzer = new LogAnalyzer();
+    logAnalyzer.cloudWatchClient.send = jest.fn(async command => {
+      if (command instanceof StartQueryCommand) {
+        return { queryId: 'count-1' };
+      }
+      if (command instanceof GetQueryResultsCommand) {
+        // 6000 events over two minutes, of which the filter returns the 3 errors
+        const bin = minutesAgo => new Date(now - minutesAgo * 60 * 1000).toISOString();
+        return {
+          status: countStatus,
+          results: [
+            [{ field: 'bin', value: bin(2) }, { field: 'events', value: '3000' }, { field: 'avgDuration', value: '100' }, { field: 'p95Duration', value: '250' }],
+            [{ field: 'bin', value: bin(1) }, { field: 'events', value: '3000' }, { field: 'avgDuration', value: '140' }, { field: 'p95Duration', value: '400' }]
+          ]
+        };
+      }
+      return {
+        events: [1, 2, 3].map(i => ({ timestamp: now - 60 * 1000, message: `ERROR: request ${i} failed after duration: 30000 ms (HTTP 504)` }))
+      };
+    });
+  });
+
+  afterEach(() => {
+    config.logGroups = originalLogGroups;
+    Object.assign(config.filterPushdown, originalPushdown);
+    Object.assign(config.insights, originalInsights);
+  });
+
+  test('should resolve the filter pattern setting per log group', () => {
+    config.logGroups = [
+      '/aws/ecs/noisy',
+      { name: '/aws/ecs/custom', filterPattern: '?ERROR ?WARN' },
+      { name: '/aws/ecs/quiet', filterPattern: false },
+      { name: '/aws/lambda/busy', insights: true }
+    ];
+
+    expect(getSourceSettings('/aws/ecs/noisy').filterPattern).toBe('auto');
+    expect(getSourceSettings('/aws/ecs/custom').filterPattern).toBe('?ERROR ?WARN');
+    expect(getSourceSettings('/aws/ecs/quiet').filterPattern).toBeNull();
+    expect(getSourceSettings('/aws/lambda/busy').filterPattern).toBeNull();
+    expect(getSourceSettings('logs/app/').filterPattern).toBeNull();
+
+    config.filterPushdown.enabled = false;
+    expect(getSourceSettings('/aws/ecs/noisy').filterPattern).toBeNull();
+  });
+
+  test('should fetch only candidate lines and take the volume from the count query', async () => {
+    const results = await logAnalyzer.analyzeCloudWatchLogs();
+
+    expect(FilterLogEventsCommand).toHaveBeenCalledWith(expect.objectContaining({
+      logGroupName: '/aws/ecs/noisy',
+      filterPattern: buildFilterPattern(config.errorPatterns, { errorLevels: config.jsonParsing.errorLevels })
+    }));
+    expect(StartQueryCommand).toHaveBeenCalledWith(expect.objectContaining({ queryString: config.filterPushdown.countQuery }));
+
+    const metrics = results.metrics['/aws/ecs/noisy'];
+    expect(metrics).toMatchObject({ totalEvents: 6000, candidateEvents: 3, errorCount: 3 });
+    expect(results.scanCoverage['/aws/ecs/noisy']).toMatchObject({ status: 'complete', events: 3, totalEvents: 6000 });
+    // 3 errors in 6000 events is well within the error rate threshold
+    expect(results.violations).toEqual([]);
+  });
+
+  test('should take response times from the count query, not from the error lines', async () => {
+    const results = await logAnalyzer.analyzeCloudWatchLogs();
+
+    const metrics = results.metrics['/aws/ecs/noisy'];
+    expect(metrics.responseTimes).toEqual([]);
+    expect(metrics.statusCodes).toBeUndefined();
+    expect(metrics.aggregates).toEqual({ avgResponseTime: 120, p95ResponseTime: 400 });
+    expect(logAnalyzer.buildSourceSamples(results.metrics)['/aws/ecs/noisy']).toMatchObject({ avgResponseTime: 120, p95ResponseTime: 400 });
+  });
+
+  test('should fetch the cold starts of Lambda groups and count invocations with the count query', async () => {
+    config.logGroups = ['/aws/lambda/api'];
+    const send = logAnalyzer.cloudWatchClient.send.getMockImplementation();
+    logAnalyzer.cloudWatchClient.send.mockImplementation(async command => {
+      if (command instanceof GetQueryResultsCommand) {
+        const response = await send(command);
+        return { ...response, results: response.results.map(row => [...row, { field: 'invocations', value: '100' }]) };
+      }
+      if (command instanceof FilterLogEventsCommand) {
+        return {
+          events: [
+            { timestamp: now - 60 * 1000, message: 'REPORT RequestId: 1 Duration: 10.0 ms Billed Duration: 11 ms Memory Size: 128 MB Max Memory Used: 64 MB Init Duration: 300.00 ms' },
+            { timestamp: now - 60 * 1000, message: '{"level":"fatal","message":"out of connections"}' }
+          ]
+        };
+      }
+      return send(command);
+    });
+
+    const results = await logAnalyzer.analyzeCloudWatchLogs();
+
+    expect(FilterLogEventsCommand.mock.calls[0][0].filterPattern).toContain('?"Init Duration"');
+    expect(results.metrics['/aws/lambda/api']).toMatchObject({ invocations: 200, coldStarts: 1, errorCount: 1 });
+    // 1 cold start in 200 invocations, not in the 1 REPORT line fetched
+    expect(results.violations.map(v => v.metric)).not.toContain('Lambda Cold Start Rate');
+  });
+
+  test('should mark the group partial when the count query reached its row limit', async () => {
+    config.insights.limit = 2;
+
+    const results = await logAnalyzer.analyzeCloudWatchLogs();
+
+    expect(StartQueryCommand).toHaveBeenCalledWith(expect.objectContaining({ limit: 2 }));
+    expect(results.scanCoverage['/aws/ecs/noisy']).toMatchObject({ status: 'partial', stopReason: 'row-limit', totalEvents: 6000 });
+  });
+
+  test('should read every event when the count query fails', async () => {
+    countStatus = 'Failed';
+
+    const results = await logAnalyzer.analyzeCloudWatchLogs();
+
+    expect(FilterLogEventsCommand).toHaveBeenLastCalledWith(expect.not.objectContaining({ filterPattern: expect.anything() }));
+    expect(results.metrics['/aws/ecs/noisy']).toMatchObject({ totalEvents: 3, errorCount: 3 });
+    expect(results.metrics['/aws/ecs/noisy'].candidateEvents).toBeUndefined();
+  });
+
+  test('should read every event when the error patterns can\'t be translated', async () => {
+    config.logGroups = [{ name: '/aws/ecs/noisy', errorPatterns: [/status=5\d\d/] }];
+
+    await logAnalyzer.analyzeCloudWatchLogs();
+
+    expect(StartQueryCommand).not.toHaveBeenCalled();
+    expect(FilterLogEventsCommand).toHaveBeenCalledWith(expect.not.objectContaining({ filterPattern: expect.anything() }));
+  });
+});
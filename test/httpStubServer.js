@@ -0,0 +1,44 @@
+const http = require('http');
+
+/**
+ * Local HTTP server recording every request it receives. Responses are
+ * taken from a queue of { status, body } (200 "ok" once the queue is empty),
+ * so tests can script failures followed by success.
+ */
+class HttpStubServer {
+  constructor() {
+    this.requests = [];
+    this.responses = [];
+    this.server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        this.requests.push({ method: req.method, url: req.url, headers: req.headers, body: JSON.parse(body) });
+        const { status = 200, body: responseBody = 'ok' } = this.responses.shift() || {};
+        res.writeHead(status, { 'Content-Type': 'text/plain' });
+        res.end(responseBody);
+      });
+    });
+  }
+
+  async start() {
+    await new Promise(resolve => this.server.listen(0, '127.0.0.1', resolve));
+    this.url = `http://127.0.0.1:${this.server.address().port}`;
+    return this;
+  }
+
+  respondWith(...responses) {
+    this.responses.push(...responses);
+  }
+
+  reset() {
+    this.requests = [];
+    this.responses = [];
+  }
+
+  async stop() {
+    await new Promise(resolve => this.server.close(resolve));
+  }
+}
+
+module.exports = HttpStubServer;
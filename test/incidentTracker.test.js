@@ -0,0 +1,281 @@
+const config = require('../config');
+const IncidentTracker = require('../incidentTracker');
+const AlertService = require('../alertService');
+const { AlertDeliveryError } = require('../alertChannels');
+const { MemoryStateStore, S3StateStore } = require('../stateStore');
+const { processAnalysisResults } = require('../index');
+const FakeS3Client = require('./fakeS3Client');
+
+const minutes = n => new Date(Date.parse('2023-12-01T10:00:00Z') + n * 60 * 1000);
+const issue = (key, severity = 'WARNING') => ({ key, source: key.split('::')[0], title: `${key} issue`, severity });
+
+describe('IncidentTracker', () => {
+  let store;
+
+  beforeEach(() => {
+    store = new MemoryStateStore();
+  });
+
+  // Each run uses a fresh tracker, as index.handler does
+  const run = async (issues, now, notify = true) => {
+    const tracker = new IncidentTracker({ store });
+    const incidents = await tracker.track(issues, now);
+    if (notify) {
+      tracker.markNotified([...incidents.opened, ...incidents.resolved], now);
+    }
+    await tracker.save(now);
+    return incidents;
+  };
+
+  test('should open, continue and resolve incidents across runs', async () => {
+    const first = await run([issue('api::P95 Response Time'), issue('api::error:abc')], minutes(0));
+    expect(first.opened.map(i => i.key)).toEqual(['api::P95 Response Time', 'api::error:abc']);
+
+    const second = await run([issue('api::P95 Response Time', 'CRITICAL')], minutes(5));
+    expect(second.opened).toEqual([]);
+    expect(second.ongoing).toEqual([expect.objectContaining({ key: 'api::P95 Response Time', severity: 'CRITICAL', runs: 2, openedAt: minutes(0).toISOString() })]);
+    expect(second.resolved).toEqual([]);
+
+    // Missing for resolveAfterRuns (2) runs in a row
+    const third = await run([issue('api::P95 Response Time')], minutes(10));
+    expect(third.resolved).toEqual([expect.objectContaining({ key: 'api::error:abc', missedRuns: 2, lastSeenAt: minutes(0).toISOString() })]);
+    expect(Object.keys((await store.read()).incidents)).toEqual(['api::P95 Response Time']);
+
+    // An issue that comes back after resolving opens a new incident
+    const fourth = await run([issue('api::error:abc')], minutes(15));
+    expect(fourth.opened).toEqual([expect.objectContaining({ key: 'api::error:abc', runs: 1, openedAt: minutes(15).toISOString() })]);
+  });
+
+  test('should keep an incident opened until a notification is delivered', async () => {
+    await run([issue('api::Memory Usage')], minutes(0), false);
+    const second = await run([issue('api::Memory Usage')], minutes(5));
+    expect(second.opened).toEqual([expect.objectContaining({ key: 'api::Memory Usage', runs: 2 })]);
+
+    // Never notified, so it resolves silently
+    await run([], minutes(10), false);
+    await run([issue('api::Other')], minutes(15), false);
+    const third = await run([], minutes(20), false);
+    expect(third.resolved.map(i => i.key)).toEqual(['api::Memory Usage']);
+  });
+
+  test('should leave missing incidents alone in partial runs', async () => {
+    await run([issue('api::Error Rate')], minutes(0));
+
+    const tracker = new IncidentTracker({ store });
+    await tracker.track([issue('log-analyzer::lambda-failure')], minutes(5), { complete: false });
+    await tracker.track([issue('log-analyzer::lambda-failure')], minutes(10), { complete: false });
+    expect((await tracker.load())['api::Error Rate'].missedRuns).toBe(0);
+  });
+
+  test('should know when an ongoing incident is due for a reminder', () => {
+    const tracker = new IncidentTracker({ store });
+    const incident = { notifiedAt: minutes(0).toISOString() };
+
+    expect(tracker.isReminderDue(incident, minutes(29), 30)).toBe(false);
+    expect(tracker.isReminderDue(incident, minutes(30), 30)).toBe(true);
+  });
+
+  test('should persist incidents in S3 across invocations', async () => {
+    const s3Client = new FakeS3Client();
+    const incidentStore = () => new S3StateStore({ bucket: 'state-bucket', key: 'state/incidents.json', s3Client });
+
+    const tracker = new IncidentTracker({ store: incidentStore() });
+    tracker.markNotified((await tracker.track([issue('api::Error Rate')], minutes(0))).opened, minutes(0));
+    await tracker.save(minutes(0));
+
+    const next = await new IncidentTracker({ store: incidentStore() }).track([issue('api::Error Rate')], minutes(5));
+    expect(next.ongoing.map(i => i.key)).toEqual(['api::Error Rate']);
+  });
+
+  test('should treat every issue as new when state cannot be read, without overwriting it', async () => {
+    const failingStore = { read: jest.fn().mockRejectedValue(new Error('AccessDenied')), write: jest.fn() };
+    const tracker = new IncidentTracker({ store: failingStore });
+
+    expect((await tracker.track([issue('api::Error Rate')], minutes(0))).opened).toHaveLength(1);
+    await tracker.save(minutes(0));
+    expect(failingStore.write).not.toHaveBeenCalled();
+  });
+});
+
+describe('Incident notifications', () => {
+  const originalLogGroups = config.logGroups;
+  let store;
+  let alertService;
+
+  const violation = value => ({
+    metric: 'P95 Response Time',
+    value,
+    threshold: 500,
+    comparison: 'exceeds',
+    unit: 'ms',
+    source: '/aws/ecs/orders',
+    severity: 'WARNING'
+  });
+  const results = violations => ({
+    timestamp: new Date().toISOString(),
+    errors: [],
+    metrics: { '/aws/ecs/orders': { totalEvents: 100, errorCount: 0 } },
+    violations,
+    summary: { totalErrors: 0, totalViolations: violations.length, cloudWatchSources: 1, s3Sources: 0 }
+  });
+  const sentTypes = () => alertService.sendAlert.mock.calls.map(call => call[1]);
+
+  beforeEach(() => {
+    config.logGroups = ['/aws/ecs/orders'];
+    store = new MemoryStateStore();
+    alertService = new AlertService({ channels: [] });
+    jest.spyOn(alertService, 'sendAlert').mockResolvedValue([{ channel: 'sns', status: 'sent', attempts: 1 }]);
+    jest.useFakeTimers({ now: minutes(0), doNotFake: ['setTimeout'] });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    config.logGroups = originalLogGroups;
+  });
+
+  const analyze = (violations, at) => {
+    jest.setSystemTime(minutes(at));
+    return processAnalysisResults(results(violations), alertService, new IncidentTracker({ store }));
+  };
+
+  test('should alert on open, digest while ongoing and notify on resolve', async () => {
+    await analyze([violation(900)], 0);
+    expect(sentTypes()).toEqual(['threshold-violation', 'summary']);
+    expect(alertService.sendAlert.mock.calls[0][0].incidents).toEqual([
+      expect.objectContaining({ key: '/aws/ecs/orders::P95 Response Time', title: 'P95 Response Time: 900 exceeds 500 ms' })
+    ]);
+
+    // Repeats are quiet until the reminder interval has passed
+    alertService.sendAlert.mockClear();
+    await analyze([violation(950)], 5);
+    expect(sentTypes()).toEqual([]);
+
+    await analyze([violation(990)], config.alerts.alertCooldown);
+    expect(sentTypes()).toEqual(['incident-digest']);
+    expect(alertService.sendAlert.mock.calls[0][0].textMessage).toContain('P95 Response Time: 990 exceeds 500 ms');
+
+    alertService.sendAlert.mockClear();
+    await analyze([], config.alerts.alertCooldown + 5);
+    expect(sentTypes()).toEqual([]);
+    await analyze([], config.alerts.alertCooldown + 10);
+    expect(sentTypes()).toEqual(['incident-resolved']);
+    expect(alertService.sendAlert.mock.calls[0]).toEqual([
+      expect.objectContaining({ subject: '1 incident resolved in /aws/ecs/orders' }),
+      'incident-resolved',
+      'INFO',
+      '/aws/ecs/orders',
+      expect.any(Object)
+    ]);
+  });
+
+  test('should suppress ongoing incidents when configured to', async () => {
+    const originalMode = config.alerts.incidents.ongoing;
+    config.alerts.incidents.ongoing = 'suppress';
+    try {
+      await analyze([violation(900)], 0);
+      alertService.sendAlert.mockClear();
+      await analyze([violation(900)], 5 * config.alerts.alertCooldown);
+      expect(sentTypes()).toEqual([]);
+    } finally {
+      config.alerts.incidents.ongoing = originalMode;
+    }
+  });
+
+  test('should retry the opening alert when it was not delivered', async () => {
+    alertService.sendAlert.mockResolvedValue([]);
+    await analyze([violation(900)], 0);
+
+    alertService.sendAlert.mockResolvedValue([{ channel: 'sns', status: 'sent', attempts: 1 }]);
+    alertService.sendAlert.mockClear();
+    await analyze([violation(900)], 5);
+    expect(sentTypes()).toEqual(['threshold-violation', 'summary']);
+  });
+
+  test('should return a failed summary delivery instead of failing the run', async () => {
+    alertService.sendAlert.mockImplementation(async (alert, alertType) => {
+      if (alertType === 'summary') {
+        throw new AlertDeliveryError('summary', [{ channel: 'sns', status: 'failed', attempts: 3, error: 'Throttled' }]);
+      }
+      return [{ channel: 'sns', status: 'sent', attempts: 1 }];
+    });
+
+    const outcome = await analyze([violation(900)], 0);
+
+    expect(outcome).toEqual({ summaryAlertError: 'Alert \'summary\' could not be delivered: sns (Throttled)' });
+    expect((await store.read()).incidents['/aws/ecs/orders::P95 Response Time'].notifiedAt).not.toBeNull();
+    expect(await analyze([violation(900)], 5)).toEqual({});
+  });
+
+  test('should track S3 issues per prefix, not per file', async () => {
+    const fileResults = n => {
+      const key = `logs/app/file-${n}.log`;
+      return {
+        timestamp: new Date().toISOString(),
+        errors: Array.from({ length: 12 }, () => ({ timestamp: new Date().toISOString(), message: 'ERROR: disk full', source: key })),
+        metrics: { [key]: { totalLines: 20, errorCount: 12 } },
+        violations: [{ ...violation(900), source: key }],
+        summary: { totalErrors: 12, totalViolations: 1, cloudWatchSources: 0, s3Sources: 1 }
+      };
+    };
+
+    for (let n = 1; n <= 4; n++) {
+      jest.setSystemTime(minutes(n));
+      await processAnalysisResults(fileResults(n), alertService, new IncidentTracker({ store }));
+    }
+
+    // Each run reads a new file of the same prefix: one incident per issue, alerted once
+    expect(sentTypes()).toEqual(['error-threshold', 'threshold-violation', 'summary']);
+    expect(alertService.sendAlert.mock.calls[0][3]).toBe('logs/');
+    expect(Object.keys((await store.read()).incidents).sort()).toEqual(['logs/::P95 Response Time', expect.stringMatching(/^logs\/::error:/)]);
+  });
+
+  test('should keep the incidents of log groups that weren\'t fully read', async () => {
+    await analyze([violation(900)], 0);
+    alertService.sendAlert.mockClear();
+
+    for (const at of [5, 10, 15]) {
+      jest.setSystemTime(minutes(at));
+      await processAnalysisResults({
+        ...results([]),
+        scanCoverage: { '/aws/ecs/orders': { status: 'failed', error: 'Throttled' } }
+      }, alertService, new IncidentTracker({ store }));
+    }
+
+    expect(sentTypes()).toEqual([]);
+    expect((await store.read()).incidents['/aws/ecs/orders::P95 Response Time'].resolvedAt).toBeUndefined();
+  });
+
+  test('should keep the incidents of S3 prefixes without new files or whose listing failed', async () => {
+    jest.setSystemTime(minutes(0));
+    await processAnalysisResults({
+      ...results([{ ...violation(900), source: 'logs/app.log' }]),
+      metrics: { 'logs/app.log': { totalLines: 20, errorCount: 0 } },
+      s3Scan: { coverage: { 'logs/': { status: 'complete', files: 1, pending: 1 } } }
+    }, alertService, new IncidentTracker({ store }));
+    alertService.sendAlert.mockClear();
+
+    const coverages = [{ status: 'no-new-files', files: 0, pending: 0 }, { status: 'failed', error: 'AccessDenied' }, { status: 'no-new-files', files: 0, pending: 0 }];
+    for (const [run, coverage] of coverages.entries()) {
+      jest.setSystemTime(minutes(5 * (run + 1)));
+      await processAnalysisResults({ ...results([]), s3Scan: { coverage: { 'logs/': coverage } } }, alertService, new IncidentTracker({ store }));
+    }
+
+    expect(sentTypes()).toEqual([]);
+    expect((await store.read()).incidents['logs/::P95 Response Time'].resolvedAt).toBeUndefined();
+  });
+
+  test('should keep every incident open when log group discovery failed', async () => {
+    await analyze([{ ...violation(900), source: '/aws/lambda/payments-api' }], 0);
+    alertService.sendAlert.mockClear();
+
+    for (const at of [5, 10, 15]) {
+      jest.setSystemTime(minutes(at));
+      const failedDiscovery = results([]);
+      failedDiscovery.summary.logGroupDiscovery = { discovered: [], added: [], removed: [], error: 'ThrottlingException' };
+      await processAnalysisResults(failedDiscovery, alertService, new IncidentTracker({ store }));
+    }
+
+    expect(sentTypes()).toEqual([]);
+    expect((await store.read()).incidents['/aws/lambda/payments-api::P95 Response Time'].resolvedAt).toBeUndefined();
+  });
+});
@@ -0,0 +1,45 @@
+const { getField, parseJsonLine } = require('../jsonLogParser');
+
+describe('JSON log parser', () => {
+  test('should return null for lines that are not JSON objects', () => {
+    expect(parseJsonLine('ERROR: plain text line')).toBeNull();
+    expect(parseJsonLine('{not json}')).toBeNull();
+    expect(parseJsonLine('[1, 2, 3]')).toBeNull();
+  });
+
+  test('should read level, timestamp, duration and status from configured fields', () => {
+    const parsed = parseJsonLine('{"level":"error","time":"2023-12-01T10:30:00Z","latencyMs":"812.5","http":{"status_code":502},"msg":"upstream failed"}');
+
+    expect(parsed).toMatchObject({
+      level: 'error',
+      isError: true,
+      message: 'upstream failed',
+      timestamp: '2023-12-01T10:30:00.000Z',
+      duration: 812.5,
+      status: 502
+    });
+  });
+
+  test('should treat numeric pino levels of 50 and above as errors', () => {
+    expect(parseJsonLine('{"level":30,"msg":"ok"}').isError).toBe(false);
+    expect(parseJsonLine('{"level":60,"msg":"boom","time":1701426600}').isError).toBe(true);
+    expect(parseJsonLine('{"level":60,"time":1701426600}').timestamp).toBe('2023-12-01T10:30:00.000Z');
+  });
+
+  test('should find JSON after a Lambda runtime prefix', () => {
+    const parsed = parseJsonLine('2023-12-01T10:30:00.000Z\tabc-123\tERROR\t{"level":"ERROR","durationMs":15}');
+
+    expect(parsed.isError).toBe(true);
+    expect(parsed.duration).toBe(15);
+  });
+
+  test('should leave isError undefined when the record has no level', () => {
+    expect(parseJsonLine('{"msg":"hello"}').isError).toBeUndefined();
+  });
+
+  test('should resolve dotted paths and literal dotted keys', () => {
+    expect(getField({ log: { level: 'warn' } }, 'log.level')).toBe('warn');
+    expect(getField({ 'log.level': 'info' }, 'log.level')).toBe('info');
+    expect(getField({ log: 'flat' }, 'log.level')).toBeUndefined();
+  });
+});
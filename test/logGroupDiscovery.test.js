@@ -0,0 +1,232 @@
+const { DescribeLogGroupsCommand, ListTagsForResourceCommand, FilterLogEventsCommand } = require('@aws-sdk/client-cloudwatch-logs');
+const config = require('../config');
+const LogAnalyzer = require('../logAnalyzer');
+const LogGroupDiscovery = require('../logGroupDiscovery');
+const { MemoryStateStore } = require('../stateStore');
+const { getSourceSettings, setDiscoveredLogGroups } = require('../sourceSettings');
+const { validateConfig } = require('../configLoader');
+
+const ACCOUNT_ARN = 'arn:aws:logs:us-east-1:123456789012:log-group:';
+
+/**
+ * CloudWatch Logs client listing the given log groups ({ name, tags }) two
+ * per page, filtered by logGroupNamePrefix, and answering tag requests
+ */
+function createLogsClient(logGroups) {
+  return {
+    send: jest.fn(async command => {
+      if (command instanceof DescribeLogGroupsCommand) {
+        const { logGroupNamePrefix = '', nextToken } = command.input;
+        const matching = logGroups.filter(group => group.name.startsWith(logGroupNamePrefix));
+        const start = Number(nextToken || 0);
+        return {
+          logGroups: matching.slice(start, start + 2).map(group => ({ logGroupName: group.name, arn: `${ACCOUNT_ARN}${group.name}:*` })),
+          nextToken: start + 2 < matching.length ? String(start + 2) : undefined
+        };
+      }
+      if (command instanceof ListTagsForResourceCommand) {
+        const group = logGroups.find(g => `${ACCOUNT_ARN}${g.name}` === command.input.resourceArn);
+        return { tags: group.tags || {} };
+      }
+      if (command instanceof FilterLogEventsCommand) {
+        return { events: [] };
+      }
+      throw new Error(`Unexpected command ${command.constructor.name}`);
+    })
+  };
+}
+
+const LOG_GROUPS = [
+  { name: '/aws/ecs/orders-prod', tags: { team: 'orders' } },
+  { name: '/aws/ecs/orders-staging' },
+  { name: '/aws/lambda/payments-api', tags: { team: 'payments' } },
+  { name: '/aws/lambda/payments-worker' },
+  { name: '/aws/lambda/reports', tags: { team: 'payments' } },
+  { name: '/aws/lambda/scratch', tags: { team: 'payments' } }
+];
+
+describe('Log group discovery', () => {
+  const originalDiscovery = { ...config.logGroupDiscovery };
+  const now = Date.parse('2024-05-01T12:00:00Z');
+  let client;
+  let store;
+  let discovery;
+
+  beforeEach(() => {
+    config.logGroupDiscovery.sources = [
+      { prefix: '/aws/lambda/payments-', thresholds: { errorRate: { maxErrors: 0 } } },
+      { pattern: /^\/aws\/ecs\/.+-prod$/ },
+      { pattern: /^\/aws\/lambda\//, tags: { team: 'payments' } }
+    ];
+    config.logGroupDiscovery.exclude = ['/aws/lambda/scratch'];
+    config.logGroupDiscovery.excludePatterns = [/-worker$/];
+    client = createLogsClient(LOG_GROUPS);
+    store = new MemoryStateStore();
+    discovery = new LogGroupDiscovery({ store });
+  });
+
+  afterEach(() => {
+    Object.assign(config.logGroupDiscovery, originalDiscovery);
+  });
+
+  test('should expand prefixes, patterns and tags across every page, minus exclusions', async () => {
+    const result = await discovery.discover(client, now);
+
+    expect(result.discovered).toEqual(['/aws/ecs/orders-prod', '/aws/lambda/payments-api', '/aws/lambda/reports']);
+    // The first source a group matches gives its overrides
+    expect(result.logGroups).toEqual([
+      { name: '/aws/ecs/orders-prod' },
+      { name: '/aws/lambda/payments-api', thresholds: { errorRate: { maxErrors: 0 } } },
+      { name: '/aws/lambda/reports' }
+    ]);
+    expect(result).toMatchObject({ added: result.discovered, removed: [], cached: false, refreshedAt: '2024-05-01T12:00:00.000Z' });
+
+    // A source without a prefix needs every group listed: 6 groups in 3 pages
+    expect(DescribeLogGroupsCommand).toHaveBeenCalledTimes(3);
+    expect(DescribeLogGroupsCommand).toHaveBeenLastCalledWith({ nextToken: '4' });
+    // Tags are only read for groups whose name matched a source with tags
+    expect(ListTagsForResourceCommand.mock.calls.map(([input]) => input.resourceArn)).toEqual([
+      `${ACCOUNT_ARN}/aws/lambda/reports`
+    ]);
+  });
+
+  test('should retry throttled tag requests', async () => {
+    const send = client.send.getMockImplementation();
+    const throttled = Object.assign(new Error('Rate exceeded'), { name: 'ThrottlingException' });
+    client.send.mockImplementation(command => (command instanceof ListTagsForResourceCommand && ListTagsForResourceCommand.mock.calls.length === 1
+      ? Promise.reject(throttled)
+      : send(command)));
+
+    const result = await discovery.discover(client, now);
+
+    expect(ListTagsForResourceCommand).toHaveBeenCalledTimes(2);
+    expect(result.discovered).toContain('/aws/lambda/reports');
+  });
+
+  test('should reuse tags read within cacheMinutes when the declarations change', async () => {
+    await discovery.discover(client, now);
+    config.logGroupDiscovery.excludePatterns = [];
+    ListTagsForResourceCommand.mockClear();
+
+    const refreshed = await discovery.discover(client, now + 10 * 60 * 1000);
+    expect(refreshed).toMatchObject({ added: ['/aws/lambda/payments-worker'], cached: false });
+    expect(ListTagsForResourceCommand).not.toHaveBeenCalled();
+
+    // The expansion refreshed 10 minutes in expires, and the tags with it
+    await discovery.discover(client, now + 71 * 60 * 1000);
+    expect(ListTagsForResourceCommand).toHaveBeenCalledTimes(1);
+  });
+
+  test('should list only under the declared prefixes when every source has one', async () => {
+    config.logGroupDiscovery.sources = [{ prefix: '/aws/lambda/' }, { prefix: '/aws/lambda/payments-' }, { prefix: '/aws/ecs/orders-' }];
+
+    const result = await discovery.discover(client, now);
+
+    expect(DescribeLogGroupsCommand.mock.calls.map(([input]) => input.logGroupNamePrefix)).toEqual(['/aws/lambda/', '/aws/lambda/', '/aws/ecs/orders-']);
+    expect(result.discovered).toEqual(['/aws/ecs/orders-prod', '/aws/ecs/orders-staging', '/aws/lambda/payments-api', '/aws/lambda/reports']);
+  });
+
+  test('should reuse the cached expansion until it expires, then report changes', async () => {
+    await discovery.discover(client, now);
+    client.send.mockClear();
+
+    const cached = await discovery.discover(client, now + 30 * 60 * 1000);
+    expect(client.send).not.toHaveBeenCalled();
+    expect(cached).toMatchObject({ discovered: ['/aws/ecs/orders-prod', '/aws/lambda/payments-api', '/aws/lambda/reports'], added: [], removed: [], cached: true });
+    expect(cached.logGroups[1].thresholds).toEqual({ errorRate: { maxErrors: 0 } });
+
+    // A service is added and another one retired
+    client = createLogsClient([...LOG_GROUPS.filter(g => g.name !== '/aws/lambda/reports'), { name: '/aws/lambda/payments-refunds' }]);
+    const refreshed = await discovery.discover(client, now + 61 * 60 * 1000);
+    expect(refreshed).toMatchObject({ added: ['/aws/lambda/payments-refunds'], removed: ['/aws/lambda/reports'], cached: false });
+  });
+
+  test('should refresh as soon as the declarations change', async () => {
+    await discovery.discover(client, now);
+    config.logGroupDiscovery.excludePatterns = [];
+
+    const result = await discovery.discover(client, now + 60 * 1000);
+
+    expect(result).toMatchObject({ added: ['/aws/lambda/payments-worker'], removed: [], cached: false });
+  });
+
+  test('should fall back to the last expansion when listing fails', async () => {
+    await expect(discovery.discover({ send: jest.fn().mockRejectedValue(new Error('Throttled')) }, now)).rejects.toThrow('Throttled');
+
+    await discovery.discover(client, now);
+    const result = await discovery.discover({ send: jest.fn().mockRejectedValue(new Error('Throttled')) }, now + 2 * 60 * 60 * 1000);
+
+    expect(result).toMatchObject({ discovered: ['/aws/ecs/orders-prod', '/aws/lambda/payments-api', '/aws/lambda/reports'], cached: true, stale: true });
+  });
+
+  test('should do nothing without discovery sources', async () => {
+    config.logGroupDiscovery.sources = [];
+
+    expect(await discovery.discover(client, now)).toBeNull();
+    expect(client.send).not.toHaveBeenCalled();
+  });
+
+  test('should require a name selector on every source', () => {
+    const errors = validateConfig({
+      logGroupDiscovery: {
+        sources: [{ prefix: '/aws/lambda/' }, { thresholds: { errorRate: { maxErrors: 0 } } }, { tags: { team: 'payments' } }],
+        cacheMinutes: -1
+      }
+    });
+
+    expect(errors).toEqual([
+      'logGroupDiscovery.cacheMinutes: must be at least 0, got -1',
+      'logGroupDiscovery.sources[1]: needs a prefix or pattern to select log groups by (tags can only narrow them down)',
+      'logGroupDiscovery.sources[2]: needs a prefix or pattern to select log groups by (tags can only narrow them down)'
+    ]);
+  });
+});
+
+describe('LogAnalyzer with log group discovery', () => {
+  const originalLogGroups = config.logGroups;
+  const originalDiscovery = { ...config.logGroupDiscovery };
+  let logAnalyzer;
+
+  beforeEach(() => {
+    config.logGroups = ['/aws/ecs/orders-prod', { name: '/aws/lambda/payments-api', lookbackMinutes: 5 }];
+    config.logGroupDiscovery.sources = [{ prefix: '/aws/lambda/payments-', lookbackMinutes: 15 }];
+    logAnalyzer = new LogAnalyzer({ logGroupDiscovery: new LogGroupDiscovery({ store: new MemoryStateStore() }) });
+    logAnalyzer.cloudWatchClient = createLogsClient(LOG_GROUPS);
+  });
+
+  afterEach(() => {
+    config.logGroups = originalLogGroups;
+    Object.assign(config.logGroupDiscovery, originalDiscovery);
+    setDiscoveredLogGroups([]);
+  });
+
+  test('should analyze discovered log groups alongside the configured ones', async () => {
+    const results = await logAnalyzer.analyzeCloudWatchLogs();
+
+    expect(Object.keys(results.scanCoverage)).toEqual(['/aws/ecs/orders-prod', '/aws/lambda/payments-api', '/aws/lambda/payments-worker']);
+    // Configured entries take precedence over the discovery source's overrides
+    expect(getSourceSettings('/aws/lambda/payments-api').lookbackMinutes).toBe(5);
+    expect(getSourceSettings('/aws/lambda/payments-worker').lookbackMinutes).toBe(15);
+
+    const { summary } = logAnalyzer.combineResults(results, { errors: [], errorGroups: {}, metrics: {}, violations: [], s3Scan: {} });
+    expect(summary.logGroupDiscovery).toEqual({
+      discovered: ['/aws/lambda/payments-api', '/aws/lambda/payments-worker'],
+      added: ['/aws/lambda/payments-api', '/aws/lambda/payments-worker'],
+      removed: [],
+      cached: false
+    });
+  });
+
+  test('should record a failed discovery and still analyze the configured groups', async () => {
+    const send = logAnalyzer.cloudWatchClient.send.getMockImplementation();
+    logAnalyzer.cloudWatchClient.send.mockImplementation(command => (
+      command instanceof DescribeLogGroupsCommand ? Promise.reject(new Error('AccessDenied')) : send(command)
+    ));
+
+    const results = await logAnalyzer.analyzeCloudWatchLogs();
+
+    expect(Object.keys(results.scanCoverage)).toEqual(['/aws/ecs/orders-prod', '/aws/lambda/payments-api']);
+    expect(results.logGroupDiscovery).toMatchObject({ discovered: [], error: 'AccessDenied' });
+    expect(results.errors).toContainEqual(expect.objectContaining({ message: 'Failed to discover log groups: AccessDenied', source: 'log-analyzer' }));
+  });
+});
@@ -0,0 +1,155 @@
+const { StartQueryCommand, GetQueryResultsCommand, StopQueryCommand, FilterLogEventsCommand } = require('@aws-sdk/client-cloudwatch-logs');
+const config = require('../config');
+const LogAnalyzer = require('../logAnalyzer');
+const { InsightsQueryError, runInsightsQuery, rowsToMetrics } = require('../logsInsights');
+
+/**
+ * Insights result rows as GetQueryResults returns them
+ */
+const resultRows = rows => rows.map(row => Object.entries(row).map(([field, value]) => ({ field, value: String(value) })));
+
+/**
+ * CloudWatch Logs client answering StartQuery with a query ID and
+ * GetQueryResults with the given responses in turn
+ */
+function createInsightsClient(responses) {
+  const pending = [...responses];
+  return {
+    send: jest.fn(async command => {
+      if (command instanceof StartQueryCommand) {
+        return { queryId: 'query-1' };
+      }
+      if (command instanceof GetQueryResultsCommand) {
+        return pending.length > 1 ? pending.shift() : pending[0];
+      }
+      if (command instanceof StopQueryCommand) {
+        return { success: true };
+      }
+      throw new Error(`Unexpected command ${command.constructor.name}`);
+    })
+  };
+}
+
+const ROWS = [
+  { bin: '2024-05-01 12:00:00.000', events: 100, errors: 2, avgDuration: 200, p95Duration: 400 },
+  { bin: '2024-05-01 12:01:00.000', events: 300, errors: 30, avgDuration: 600, p95Duration: 2500 }
+];
+
+describe('Logs Insights queries', () => {
+  const query = { logGroup: '/aws/lambda/busy', startTime: 1714564800500, endTime: 1714568400500, query: 'stats count(*)', timeoutSeconds: 60, pollIntervalMs: 0, limit: 10000 };
+
+  test('should poll until the query completes and return its rows', async () => {
+    const client = createInsightsClient([
+      { status: 'Scheduled' },
+      { status: 'Running' },
+      { status: 'Complete', results: resultRows(ROWS), statistics: { recordsScanned: 400, bytesScanned: 1024 } }
+    ]);
+
+    const result = await runInsightsQuery(client, query);
+
+    expect(client.send.mock.calls[0][0].input).toEqual({
+      logGroupName: '/aws/lambda/busy',
+      startTime: 1714564800,
+      endTime: 1714568401,
+      queryString: 'stats count(*)',
+      limit: 10000
+    });
+    expect(client.send).toHaveBeenCalledTimes(4);
+    expect(result.queryId).toBe('query-1');
+    expect(result.rows[1]).toEqual({ bin: '2024-05-01 12:01:00.000', events: '300', errors: '30', avgDuration: '600', p95Duration: '2500' });
+    expect(result.statistics.recordsScanned).toBe(400);
+    expect(result.truncated).toBe(false);
+  });
+
+  test('should fail when the query fails', async () => {
+    const client = createInsightsClient([{ status: 'Failed' }]);
+
+    await expect(runInsightsQuery(client, query)).rejects.toThrow(new InsightsQueryError('Logs Insights query query-1 on /aws/lambda/busy ended with status Failed'));
+  });
+
+  test('should stop a query that runs past its timeout', async () => {
+    const client = createInsightsClient([{ status: 'Running' }]);
+
+    await expect(runInsightsQuery(client, { ...query, timeoutSeconds: 0 })).rejects.toThrow('did not finish within 0s');
+    expect(client.send.mock.calls.map(([command]) => command.constructor)).toEqual([StartQueryCommand, GetQueryResultsCommand, StopQueryCommand]);
+    expect(client.send.mock.calls[2][0].input).toEqual({ queryId: 'query-1' });
+  });
+
+  test('should map rows to counts, a per-minute timeline and aggregates', () => {
+    const metrics = rowsToMetrics(resultRows(ROWS).map(fields => Object.fromEntries(fields.map(({ field, value }) => [field, value]))));
+    const minute = Date.parse('2024-05-01T12:01:00Z');
+
+    expect(metrics.totalEvents).toBe(400);
+    expect(metrics.errorCount).toBe(32);
+    expect(metrics.eventsPerMinute[minute]).toBe(300);
+    expect(metrics.errorsPerMinute[minute]).toBe(30);
+    expect(metrics.aggregates).toEqual({ avgResponseTime: 500, p95ResponseTime: 2500 });
+  });
+});
+
+describe('LogAnalyzer in Logs Insights mode', () => {
+  const originalLogGroups = config.logGroups;
+  let logAnalyzer;
+
+  beforeEach(() => {
+    config.logGroups = ['/aws/ecs/orders', { name: '/aws/lambda/busy', insights: { pollIntervalMs: 0 } }];
+    logAnalyzer = new LogAnalyzer();
+  });
+
+  afterEach(() => {
+    config.logGroups = originalLogGroups;
+  });
+
+  test('should query insights log groups and check their thresholds', async () => {
+    const client = createInsightsClient([
+      { status: 'Complete', results: resultRows(ROWS), statistics: { recordsScanned: 400, bytesScanned: 1024 } }
+    ]);
+    const send = client.send.getMockImplementation();
+    client.send.mockImplementation(command => (command instanceof FilterLogEventsCommand ? Promise.resolve({ events: [] }) : send(command)));
+    logAnalyzer.cloudWatchClient = client;
+
+    const results = await logAnalyzer.analyzeCloudWatchLogs();
+
+    const [startQuery] = client.send.mock.calls.find(([command]) => command instanceof StartQueryCommand);
+    expect(startQuery.input.queryString).toBe(config.insights.query);
+    expect(results.scanCoverage['/aws/lambda/busy']).toMatchObject({ status: 'complete', mode: 'insights', queryId: 'query-1', events: 400, recordsScanned: 400 });
+    expect(results.metrics['/aws/lambda/busy']).toMatchObject({ totalEvents: 400, errorCount: 32 });
+    expect(results.errors).toEqual([]);
+    // 400 events is below minEvents, so the 32 errors are compared as a count
+    expect(results.violations.filter(v => v.source === '/aws/lambda/busy')).toEqual([
+      expect.objectContaining({ metric: 'Error Count', value: 32, windowStart: '2024-05-01T12:00:00.000Z' })
+    ]);
+    // The other log group is still read event by event
+    expect(FilterLogEventsCommand).toHaveBeenCalledWith(expect.objectContaining({ logGroupName: '/aws/ecs/orders' }));
+  });
+
+  test('should check response times against the query\'s aggregates', () => {
+    const metrics = rowsToMetrics([{ events: '10', avgDuration: '6000', p95Duration: '12000' }]);
+
+    expect(logAnalyzer.checkThresholds(metrics, '/aws/lambda/busy').map(v => [v.metric, v.value])).toEqual([
+      ['Average Response Time', 6000],
+      ['P95 Response Time', 12000]
+    ]);
+  });
+
+  test('should record a query that reached its row limit as a partial scan', async () => {
+    logAnalyzer.cloudWatchClient = createInsightsClient([{ status: 'Complete', results: resultRows(ROWS) }]);
+    config.logGroups = [{ name: '/aws/lambda/busy', insights: { pollIntervalMs: 0, limit: 2 } }];
+
+    const results = await logAnalyzer.analyzeCloudWatchLogs();
+
+    expect(StartQueryCommand).toHaveBeenCalledWith(expect.objectContaining({ limit: 2 }));
+    expect(results.scanCoverage['/aws/lambda/busy']).toMatchObject({ status: 'partial', stopReason: 'row-limit', rows: 2 });
+    expect(await logAnalyzer.checkSourceVolumes(results.scanCoverage, results.metrics, { recentFiles: null })).toEqual([]);
+  });
+
+  test('should record a failed query as a failed scan', async () => {
+    logAnalyzer.cloudWatchClient = createInsightsClient([{ status: 'Cancelled' }]);
+    config.logGroups = [{ name: '/aws/lambda/busy', insights: true }];
+
+    const results = await logAnalyzer.analyzeCloudWatchLogs();
+
+    expect(results.scanCoverage['/aws/lambda/busy']).toEqual({ status: 'failed', error: 'Logs Insights query query-1 on /aws/lambda/busy ended with status Cancelled' });
+    expect(results.errors[0]).toMatchObject({ logGroup: '/aws/lambda/busy', source: 'log-analyzer' });
+  });
+});
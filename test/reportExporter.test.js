@@ -0,0 +1,94 @@
+const ReportExporter = require('../reportExporter');
+const FakeS3Client = require('./fakeS3Client');
+
+describe('ReportExporter', () => {
+  const now = new Date('2024-05-01T12:00:00.000Z');
+
+  const results = {
+    timestamp: '2024-05-01T11:59:58.000Z',
+    summary: { totalErrors: 2, uniqueErrors: 1, totalViolations: 2 },
+    errors: [
+      { logGroup: '/aws/lambda/api', message: 'ERROR: db down', timestamp: '2024-05-01T11:30:00.000Z' },
+      { logGroup: '/aws/lambda/api', message: 'ERROR: db down', timestamp: '2024-05-01T11:31:00.000Z' }
+    ],
+    errorGroups: [{ fingerprint: 'abc', pattern: 'ERROR: db down', count: 2, sources: ['/aws/lambda/api'], sourceCounts: { '/aws/lambda/api': 2 } }],
+    metrics: {
+      '/aws/lambda/api': {
+        errorCount: 2,
+        totalEvents: 400,
+        responseTimes: [100, 200, 300, 400, 500, 600, 700, 800, 900, 1000],
+        sampledFrom: { responseTimes: 25 }
+      },
+      'logs/alb/': { errorCount: 0, responseTimes: [] }
+    },
+    violations: [
+      { source: '/aws/lambda/api', metric: 'P95 Response Time', value: 1000, threshold: 800, comparison: 'exceeds', unit: 'ms', severity: 'WARNING' },
+      { source: 'logs/alb/', metric: 'Error Rate', value: 12, threshold: 5, comparison: 'exceeds', unit: '%', severity: 'CRITICAL', type: 'anomaly', baseline: 2, zScore: 4.1, windowStart: 'a, "quoted" start', windowEnd: 'b' }
+    ],
+    scanCoverage: { '/aws/lambda/api': { status: 'complete', eventsScanned: 400 } },
+    s3Scan: { listed: 3, processed: 2, deferred: 1, failed: 0 }
+  };
+
+  test('should build a versioned report with percentiles per source', () => {
+    const report = new ReportExporter({ bucket: 'reports', s3Client: new FakeS3Client() }).buildReport(results, 'run-1', now);
+
+    expect(report).toMatchObject({
+      schemaVersion: 1,
+      runId: 'run-1',
+      generatedAt: '2024-05-01T12:00:00.000Z',
+      analyzedAt: '2024-05-01T11:59:58.000Z',
+      summary: results.summary,
+      errors: results.errors,
+      errorGroups: results.errorGroups,
+      violations: results.violations,
+      scanCoverage: results.scanCoverage,
+      s3Scan: results.s3Scan
+    });
+    expect(report.sources).toEqual([
+      {
+        source: '/aws/lambda/api',
+        type: 'cloudwatch',
+        errorCount: 2,
+        totalEvents: 400,
+        responseTimes: { count: 10, sampledFrom: 25, min: 100, max: 1000, avg: 550, p50: 500, p90: 900, p95: 1000, p99: 1000 }
+      },
+      { source: 'logs/alb/', type: 's3', errorCount: 0, responseTimes: { count: 0 } }
+    ]);
+  });
+
+  test('should flatten violations to CSV, quoting fields where needed', () => {
+    const exporter = new ReportExporter({ bucket: 'reports', s3Client: new FakeS3Client() });
+    const csv = exporter.toViolationsCsv(exporter.buildReport(results, 'run-1', now));
+
+    expect(csv.split('\n')).toEqual([
+      'run_id,run_timestamp,source,metric,type,severity,value,threshold,comparison,unit,baseline,z_score,window_start,window_end',
+      'run-1,2024-05-01T12:00:00.000Z,/aws/lambda/api,P95 Response Time,threshold,WARNING,1000,800,exceeds,ms,,,,',
+      'run-1,2024-05-01T12:00:00.000Z,logs/alb/,Error Rate,anomaly,CRITICAL,12,5,exceeds,%,2,4.1,"a, ""quoted"" start",b',
+      ''
+    ]);
+  });
+
+  test('should write the report and CSV under date partitions', async () => {
+    const s3Client = new FakeS3Client();
+    const exporter = new ReportExporter({ bucket: 'reports', prefix: 'analyzer/reports/', s3Client });
+
+    const locations = await exporter.export(results, { runId: 'run-1', now });
+
+    const jsonKey = 'analyzer/reports/runs/dt=2024-05-01/2024-05-01T12-00-00-000Z_run-1.json';
+    const csvKey = 'analyzer/reports/violations/dt=2024-05-01/2024-05-01T12-00-00-000Z_run-1.csv';
+    expect(locations).toEqual({ json: `s3://reports/${jsonKey}`, csv: `s3://reports/${csvKey}` });
+
+    const json = s3Client.getObjectText(jsonKey);
+    expect(json).not.toContain('\n');
+    expect(JSON.parse(json)).toMatchObject({ schemaVersion: 1, runId: 'run-1', violations: results.violations });
+    expect(s3Client.getObjectText(csvKey).split('\n')).toHaveLength(4);
+  });
+
+  test('should write a header-only CSV when there are no violations', async () => {
+    const s3Client = new FakeS3Client();
+    await new ReportExporter({ bucket: 'reports', s3Client }).export({ ...results, violations: [] }, { runId: 'run-2', now });
+
+    const csv = s3Client.getObjectText('log-analyzer/reports/violations/dt=2024-05-01/2024-05-01T12-00-00-000Z_run-2.csv');
+    expect(csv).toBe('run_id,run_timestamp,source,metric,type,severity,value,threshold,comparison,unit,baseline,z_score,window_start,window_end\n');
+  });
+});
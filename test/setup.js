@@ -6,16 +6,22 @@ jest.mock('@aws-sdk/client-s3', () => ({
   S3Client: jest.fn().mockImplementation(() => ({
     send: jest.fn()
   })),
-  ListObjectsV2Command: jest.fn(),
-  GetObjectCommand: jest.fn()
+  // Commands keep their input so fake clients can inspect what was sent
+  ListObjectsV2Command: jest.fn().mockImplementation(function (input) { this.input = input; }),
+  GetObjectCommand: jest.fn().mockImplementation(function (input) { this.input = input; }),
+  PutObjectCommand: jest.fn().mockImplementation(function (input) { this.input = input; })
 }));
 
 jest.mock('@aws-sdk/client-cloudwatch-logs', () => ({
   CloudWatchLogsClient: jest.fn().mockImplementation(() => ({
     send: jest.fn()
   })),
-  DescribeLogGroupsCommand: jest.fn(),
-  FilterLogEventsCommand: jest.fn()
+  DescribeLogGroupsCommand: jest.fn().mockImplementation(function (input) { this.input = input; }),
+  ListTagsForResourceCommand: jest.fn().mockImplementation(function (input) { this.input = input; }),
+  FilterLogEventsCommand: jest.fn(),
+  StartQueryCommand: jest.fn().mockImplementation(function (input) { this.input = input; }),
+  GetQueryResultsCommand: jest.fn().mockImplementation(function (input) { this.input = input; }),
+  StopQueryCommand: jest.fn().mockImplementation(function (input) { this.input = input; })
 }));
 
 jest.mock('@aws-sdk/client-sns', () => ({
@@ -38,6 +44,7 @@ process.env.LOG_BUCKET = 'test-bucket';
 process.env.SNS_TOPIC_ARN = 'arn:aws:sns:us-east-1:123456789012:test-topic';
 process.env.EMAIL_FROM = 'test@example.com';
 process.env.EMAIL_TO = 'admin@example.com';
+process.env.STATE_STORE = 'memory';
 
 // Console log suppression for cleaner test output
 const originalConsoleLog = console.log;
@@ -0,0 +1,143 @@
+const config = require('../config');
+const { getLogGroupNames, getS3Prefixes, getSourceSettings } = require('../sourceSettings');
+const LogAnalyzer = require('../logAnalyzer');
+const AlertService = require('../alertService');
+const { SnsChannel } = require('../alertChannels');
+const { processAnalysisResults } = require('../index');
+
+describe('Per-source settings', () => {
+  const originalLogGroups = config.logGroups;
+  const originalS3Config = { ...config.s3Config };
+
+  beforeEach(() => {
+    config.logGroups = [
+      '/aws/ecs/orders',
+      {
+        name: '/aws/lambda/payments',
+        errorPatterns: [/DECLINED/],
+        ignorePatterns: [/DECLINED test card/],
+        thresholds: { errorRate: { maxErrors: 0 } },
+        lookbackMinutes: 15,
+        alerts: { snsTopicArn: 'arn:aws:sns:us-east-1:123456789012:payments-oncall', emailTo: ['payments@example.com'] }
+      }
+    ];
+    config.s3Config.sources = [
+      { prefix: 'logs/', lookbackMinutes: 120 },
+      { prefix: 'logs/alb/', format: 'alb', thresholds: { responseTime: { maxP95ResponseTime: 500 } } }
+    ];
+  });
+
+  afterEach(() => {
+    config.logGroups = originalLogGroups;
+    Object.assign(config.s3Config, originalS3Config);
+  });
+
+  test('should accept log groups as names or objects', () => {
+    expect(getLogGroupNames()).toEqual(['/aws/ecs/orders', '/aws/lambda/payments']);
+  });
+
+  test('should list only the outermost S3 source prefixes', () => {
+    expect(getS3Prefixes()).toEqual(['logs/']);
+
+    config.s3Config.sources = [];
+    expect(getS3Prefixes()).toEqual([config.s3Config.prefix]);
+  });
+
+  test('should fall back to global settings for sources without overrides', () => {
+    const settings = getSourceSettings('/aws/ecs/orders');
+
+    expect(settings.type).toBe('cloudwatch');
+    expect(settings.errorPatterns).toBe(config.errorPatterns);
+    expect(settings.thresholds).toEqual(config.thresholds);
+    expect(settings.lookbackMinutes).toBe(config.analysis.lookbackMinutes);
+    expect(settings.alerts).toEqual({});
+  });
+
+  test('should merge threshold overrides per category', () => {
+    const settings = getSourceSettings('/aws/lambda/payments');
+
+    expect(settings.thresholds.errorRate).toEqual({ ...config.thresholds.errorRate, maxErrors: 0 });
+    expect(settings.thresholds.responseTime).toEqual(config.thresholds.responseTime);
+    expect(settings.lookbackMinutes).toBe(15);
+    expect(settings.alerts).toEqual({ snsTopicArn: 'arn:aws:sns:us-east-1:123456789012:payments-oncall', emailTo: ['payments@example.com'] });
+  });
+
+  test('should resolve S3 keys to the longest matching prefix', () => {
+    const albSettings = getSourceSettings('logs/alb/2023/12/01/file.log.gz');
+    expect(albSettings).toMatchObject({ type: 's3', format: 'alb' });
+    expect(albSettings.thresholds.responseTime.maxP95ResponseTime).toBe(500);
+
+    expect(getSourceSettings('logs/app/file.log').lookbackMinutes).toBe(120);
+  });
+
+  test('should apply per-source patterns and thresholds in the analyzer', () => {
+    const logAnalyzer = new LogAnalyzer();
+    const events = [
+      { timestamp: Date.now(), message: 'card DECLINED' },
+      { timestamp: Date.now(), message: 'card DECLINED test card' },
+      { timestamp: Date.now(), message: 'ERROR: not a payments error pattern' }
+    ];
+
+    const payments = logAnalyzer.processLogEvents(events, '/aws/lambda/payments');
+    expect(payments.metrics.errorCount).toBe(1);
+    expect(payments.violations).toEqual([expect.objectContaining({ metric: 'Error Count', threshold: 0 })]);
+
+    const orders = logAnalyzer.processLogEvents(events, '/aws/ecs/orders');
+    expect(orders.metrics.errorCount).toBe(1);
+    expect(orders.violations).toHaveLength(0);
+  });
+
+  test('should use per-source lookback when querying CloudWatch', async () => {
+    const logAnalyzer = new LogAnalyzer();
+    logAnalyzer.cloudWatchClient.send.mockResolvedValue({ events: [] });
+    const before = Date.now();
+
+    await logAnalyzer.analyzeCloudWatchLogs();
+
+    const { FilterLogEventsCommand } = require('@aws-sdk/client-cloudwatch-logs');
+    const [ordersParams] = FilterLogEventsCommand.mock.calls[0];
+    const [paymentsParams] = FilterLogEventsCommand.mock.calls[1];
+    expect(ordersParams.endTime - ordersParams.startTime).toBe(config.analysis.lookbackMinutes * 60 * 1000);
+    expect(paymentsParams.endTime - paymentsParams.startTime).toBe(15 * 60 * 1000);
+    expect(paymentsParams.endTime).toBeGreaterThanOrEqual(before);
+  });
+
+  test('should alert per source with that source\'s threshold and routing', async () => {
+    const alertService = new AlertService();
+    jest.spyOn(alertService, 'sendAlert').mockResolvedValue();
+
+    await processAnalysisResults({
+      timestamp: new Date().toISOString(),
+      errors: [
+        { timestamp: '2023-12-01T10:30:00Z', logGroup: '/aws/lambda/payments', message: 'card DECLINED', source: 'cloudwatch' },
+        { timestamp: '2023-12-01T10:30:00Z', logGroup: '/aws/ecs/orders', message: 'ERROR: x', source: 'cloudwatch' }
+      ],
+      metrics: {
+        '/aws/lambda/payments': { totalEvents: 10, errorCount: 1 },
+        '/aws/ecs/orders': { totalEvents: 10, errorCount: 1 }
+      },
+      violations: [],
+      summary: { totalErrors: 2, totalViolations: 0, cloudWatchSources: 2, s3Sources: 0 }
+    }, alertService);
+
+    const errorAlerts = alertService.sendAlert.mock.calls.filter(call => call[1] === 'error-threshold');
+    expect(errorAlerts).toHaveLength(1);
+    expect(errorAlerts[0][0].subject).toContain('in /aws/lambda/payments');
+    expect(errorAlerts[0][3]).toBe('/aws/lambda/payments');
+    expect(errorAlerts[0][4].snsTopicArn).toBe('arn:aws:sns:us-east-1:123456789012:payments-oncall');
+  });
+
+  test('should let a channel\'s own destination take precedence over the global one', async () => {
+    const snsClient = { send: jest.fn().mockResolvedValue({ MessageId: 'm-1' }) };
+    const alertService = new AlertService({ channels: [new SnsChannel({ topicArn: 'arn:pager', snsClient })] });
+
+    await alertService.sendAlert({ subject: 'x', textMessage: 'x' }, 'error-threshold', 'WARNING', '/aws/ecs/orders', getSourceSettings('/aws/ecs/orders').alerts);
+    await alertService.sendAlert({ subject: 'x', textMessage: 'x' }, 'error-threshold', 'WARNING', '/aws/lambda/payments', getSourceSettings('/aws/lambda/payments').alerts);
+
+    const { PublishCommand } = require('@aws-sdk/client-sns');
+    expect(PublishCommand.mock.calls.map(([input]) => input.TopicArn)).toEqual([
+      'arn:pager',
+      'arn:aws:sns:us-east-1:123456789012:payments-oncall'
+    ]);
+  });
+});
@@ -0,0 +1,51 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { MemoryStateStore, FileStateStore, S3StateStore, createStateStore } = require('../stateStore');
+const FakeS3Client = require('./fakeS3Client');
+
+describe('State stores', () => {
+  let tempDir;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'state-store-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  test('file store should return empty state when no file exists yet', async () => {
+    const store = new FileStateStore(path.join(tempDir, 'nested', 'state.json'));
+
+    expect(await store.read()).toEqual({});
+  });
+
+  test('file store should round-trip state through disk', async () => {
+    const filePath = path.join(tempDir, 'nested', 'state.json');
+    await new FileStateStore(filePath).write({ 'error-threshold::all': 1234 });
+
+    expect(await new FileStateStore(filePath).read()).toEqual({ 'error-threshold::all': 1234 });
+  });
+
+  test('s3 store should return empty state for a missing object', async () => {
+    const store = new S3StateStore({ bucket: 'state-bucket', key: 'state/cooldowns.json', s3Client: new FakeS3Client() });
+
+    expect(await store.read()).toEqual({});
+  });
+
+  test('s3 store should round-trip state through the object', async () => {
+    const s3Client = new FakeS3Client();
+    await new S3StateStore({ bucket: 'state-bucket', key: 'state/cooldowns.json', s3Client }).write({ a: 1 });
+
+    expect(JSON.parse(s3Client.getObjectText('state/cooldowns.json'))).toEqual({ a: 1 });
+    expect(await new S3StateStore({ bucket: 'state-bucket', key: 'state/cooldowns.json', s3Client }).read()).toEqual({ a: 1 });
+  });
+
+  test('should create stores by type', () => {
+    expect(createStateStore('x', { type: 'memory' })).toBeInstanceOf(MemoryStateStore);
+    expect(createStateStore('x', { type: 'file', directory: tempDir }).filePath).toBe(path.join(tempDir, 'x.json'));
+    expect(createStateStore('x', { type: 's3', bucket: 'b', prefix: 'p/' }).key).toBe('p/x.json');
+    expect(() => createStateStore('x', { type: 'redis' })).toThrow('Unknown state store type: redis');
+  });
+});
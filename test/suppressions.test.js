@@ -0,0 +1,108 @@
+const config = require('../config');
+const { getSourceSettings, isSuppressionActive } = require('../sourceSettings');
+const { validateConfig } = require('../configLoader');
+const LogAnalyzer = require('../logAnalyzer');
+
+const ALB_503 = 'https 2018-07-02T22:23:00.186641Z app/my-loadbalancer/50dc6c495c0c9188 192.168.131.39:2817 10.0.0.1:80 0.001 0.100 0.000 503 503 34 366 ' +
+  '"GET https://www.example.com:443/ HTTP/1.1" "curl/7.46.0" ECDHE-RSA-AES128-GCM-SHA256 TLSv1.2 ' +
+  'arn:aws:elasticloadbalancing:us-east-2:123456789012:targetgroup/my-targets/73e2d6bc24d8a067 "Root=1-58337262-36d228ad5d99923122bbe354" "-" "-" 0 2018-07-02T22:22:48.364000Z "forward" "-" "-" "10.0.0.1:80" "200" "-" "-"';
+
+describe('Suppressions', () => {
+  const originalLogGroups = config.logGroups;
+  const originalSuppressions = config.suppressions;
+  const originalIgnorePatterns = config.ignorePatterns;
+  const originalSources = config.s3Config.sources;
+  const inAnHour = new Date(Date.now() + 60 * 60 * 1000).toISOString();
+  const anHourAgo = new Date(Date.now() - 60 * 60 * 1000).toISOString();
+
+  beforeEach(() => {
+    config.logGroups = [
+      '/aws/ecs/orders',
+      { name: '/aws/lambda/payments', mute: { reason: 'deploy window', expires: inAnHour } }
+    ];
+    config.s3Config.sources = [{ prefix: 'logs/alb/', format: 'alb', mute: { reason: 'load test' } }];
+    config.ignorePatterns = [/retry after timeout succeeded/];
+    config.suppressions = [
+      { pattern: /Gateway timeout/, sources: ['/aws/ecs/orders'], reason: 'INC-1234 gateway degraded', expires: inAnHour },
+      { name: 'old-incident', pattern: /cache miss failed/, reason: 'INC-1000', expires: anHourAgo },
+      { pattern: /warmup failed/, reason: 'warmup noise', starts: inAnHour, expires: inAnHour }
+    ];
+  });
+
+  afterEach(() => {
+    config.logGroups = originalLogGroups;
+    config.suppressions = originalSuppressions;
+    config.ignorePatterns = originalIgnorePatterns;
+    config.s3Config.sources = originalSources;
+  });
+
+  test('should scope suppressions to their sources and add source mutes', () => {
+    expect(getSourceSettings('/aws/ecs/orders').suppressions.map(rule => rule.name))
+      .toEqual(['INC-1234 gateway degraded', 'old-incident', 'warmup noise']);
+    expect(getSourceSettings('/aws/lambda/payments').suppressions.map(rule => rule.name))
+      .toEqual(['old-incident', 'warmup noise', 'muted']);
+    expect(getSourceSettings('logs/alb/2024/05/01/file.log').suppressions.map(rule => rule.name))
+      .toEqual(['old-incident', 'warmup noise', 'muted']);
+  });
+
+  test('should only be active between start and expiry', () => {
+    const now = Date.parse('2024-05-01T12:00:00Z');
+
+    expect(isSuppressionActive({ expires: '2024-05-01T13:00:00Z' }, now)).toBe(true);
+    expect(isSuppressionActive({ expires: '2024-05-01T12:00:00Z' }, now)).toBe(false);
+    expect(isSuppressionActive({ starts: '2024-05-01T12:30:00Z', expires: '2024-05-01T13:00:00Z' }, now)).toBe(false);
+    expect(isSuppressionActive({}, now)).toBe(true);
+  });
+
+  test('should count suppressed errors separately, per rule', () => {
+    const logAnalyzer = new LogAnalyzer();
+    const events = [
+      'ERROR: Gateway timeout calling payments',
+      'retry after timeout succeeded',
+      'ERROR: cache miss failed',
+      'ERROR: warmup failed'
+    ].map(message => ({ timestamp: Date.now(), message }));
+
+    const results = logAnalyzer.processLogEvents(events, '/aws/ecs/orders');
+
+    expect(results.errors.map(e => e.message)).toEqual(['ERROR: cache miss failed', 'ERROR: warmup failed']);
+    expect(results.metrics.errorCount).toBe(2);
+    expect(results.metrics.suppressedErrors).toBe(2);
+    expect(results.metrics.suppressions).toEqual({ 'INC-1234 gateway degraded': 1, ignorePatterns: 1 });
+  });
+
+  test('should suppress every error of a muted source, access log errors included', () => {
+    const logAnalyzer = new LogAnalyzer();
+
+    const muted = logAnalyzer.processLogEvents([{ timestamp: Date.now(), message: 'ERROR: charge failed' }], '/aws/lambda/payments');
+    const alb = logAnalyzer.processLogLines([ALB_503], 'logs/alb/file.log');
+
+    expect(muted.metrics.errorCount).toBe(0);
+    expect(muted.metrics.suppressions).toEqual({ muted: 1 });
+    expect(alb.metrics.errorCount).toBe(0);
+    expect(alb.metrics.statusCodes).toEqual({ 503: 1 });
+    expect(alb.metrics.suppressions).toEqual({ muted: 1 });
+
+    const combined = logAnalyzer.combineResults(
+      { errors: [], errorGroups: {}, metrics: { '/aws/lambda/payments': muted.metrics }, violations: [], scanCoverage: {} },
+      { errors: [], errorGroups: {}, metrics: { 'logs/alb/': alb.metrics }, violations: [], s3Scan: { processed: 1, deferred: 0, failed: 0 } }
+    );
+    expect(combined.summary.suppressedErrors).toBe(2);
+  });
+
+  test('should validate suppression rules', () => {
+    const errors = validateConfig({
+      suppressions: [
+        { pattern: 'Gateway timeout', reason: 'INC-1234', expires: new Date('2024-05-01T18:00:00Z') },
+        { pattern: 'x', expires: 'next tuesday' }
+      ],
+      logGroups: [{ name: '/aws/lambda/payments', mute: { expires: '2024-05-01' } }]
+    });
+
+    expect(errors).toEqual([
+      'suppressions[1].expires: expected a date such as "2024-05-01T18:00:00Z", got "next tuesday"',
+      'suppressions[1].reason: is required',
+      'logGroups[0].mute.reason: is required'
+    ]);
+  });
+});